@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+// server/mock-server.mjs - Local Stand-in for the OpenWeatherMap API
+//
+// Serves the geocoding, air_pollution (current, history, forecast) and weather endpoints
+// from fixtures/, plus the app itself, using only Node built-ins:
+//
+//   node server/mock-server.mjs                      # replay fixtures on http://localhost:8787
+//   OPENWEATHERMAP_API_KEY=... node server/mock-server.mjs --record --fixtures /tmp/recorded
+//
+// Open http://localhost:8787/?api to run the app against it (see readme "Offline Development").
+import { createServer } from 'node:http';
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { dirname, extname, join, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { OpenWeatherMapProvider } from '../src/providers/OpenWeatherMapProvider.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const UPSTREAM = 'https://api.openweathermap.org';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+const { values: args } = parseArgs({
+  options: {
+    port: { type: 'string', default: process.env.PORT || '8787' },
+    host: { type: 'string', default: '127.0.0.1' },
+    fixtures: { type: 'string', default: join(ROOT, 'fixtures') },
+    record: { type: 'boolean', default: false },
+    upstream: { type: 'string', default: UPSTREAM }
+  }
+});
+
+const fixturesDir = resolve(args.fixtures);
+const apiKey = process.env.OPENWEATHERMAP_API_KEY;
+
+if (args.record && !apiKey) {
+  console.error('❌ Record mode needs OPENWEATHERMAP_API_KEY');
+  process.exit(1);
+}
+
+// The provider knows which fixture file stands in for each endpoint and how to move it to the present
+const provider = new OpenWeatherMapProvider({
+  fetchJson: () => Promise.reject(new Error('The mock server never fetches through the provider'))
+});
+
+function send(res, status, body, type = CONTENT_TYPES['.json']) {
+  res.writeHead(status, {
+    'Content-Type': type,
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-store'
+  });
+  res.end(typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body));
+}
+
+// Forward to OpenWeatherMap with the real key and keep the answer as the endpoint's fixture
+async function record(upstreamUrl, file) {
+  const target = new URL(upstreamUrl.pathname + upstreamUrl.search, args.upstream);
+  target.searchParams.set('appid', apiKey);
+  const response = await fetch(target);
+  const body = await response.text();
+
+  if (response.ok) {
+    const path = join(fixturesDir, file);
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, JSON.stringify(JSON.parse(body), null, 2) + '\n');
+    console.log(`⏺️  Recorded ${upstreamUrl.pathname} → ${path}`);
+  }
+  return { status: response.status, body };
+}
+
+async function replay(upstreamUrl, file) {
+  const data = JSON.parse(await readFile(join(fixturesDir, file), 'utf8'));
+  return { status: 200, body: provider.rebaseFixture(data, upstreamUrl.href) };
+}
+
+async function serveStatic(pathname, res) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+  } catch {
+    // Malformed percent-encoding, e.g. /%E0%A4%A
+    return send(res, 400, { cod: 400, message: 'Bad request' });
+  }
+
+  const path = resolve(ROOT, '.' + decoded);
+  if (path !== ROOT && !path.startsWith(ROOT + sep)) {
+    return send(res, 403, { cod: 403, message: 'Forbidden' });
+  }
+
+  try {
+    const body = await readFile(path);
+    send(res, 200, body, CONTENT_TYPES[extname(path)] || 'application/octet-stream');
+  } catch {
+    send(res, 404, { cod: 404, message: 'Not found' });
+  }
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Accept, Content-Type'
+    });
+    return res.end();
+  }
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return send(res, 405, { cod: 405, message: 'Method not allowed' });
+  }
+
+  const upstreamUrl = new URL(url.pathname + url.search, UPSTREAM);
+  const file = provider.fixtureFor(upstreamUrl.href);
+  if (!file) {
+    return serveStatic(url.pathname, res);
+  }
+
+  try {
+    const { status, body } = args.record ? await record(upstreamUrl, file) : await replay(upstreamUrl, file);
+    console.log(`${status} ${url.pathname}${args.record ? '' : ` ← ${file}`}`);
+    send(res, status, body);
+  } catch (error) {
+    console.error(`❌ ${url.pathname}:`, error.message);
+    // Same error shape as OpenWeatherMap
+    send(res, 502, { cod: 502, message: error.message });
+  }
+});
+
+server.listen(Number(args.port), args.host, () => {
+  console.log(`🧪 Mock OpenWeatherMap API on http://${args.host}:${args.port} (${args.record ? 'recording' : 'replaying'} ${fixturesDir})`);
+  console.log(`   Open http://${args.host}:${args.port}/?api to use it from the app`);
+});
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+// server/proxy.mjs - OpenWeatherMap Proxy that Keeps the API Key off the Client
+//
+// Forwards the allow-listed endpoints below with the key added server-side, rate-limits each
+// client and caches responses. Node built-ins only:
+//
+//   OPENWEATHERMAP_API_KEY=... node server/proxy.mjs     # http://localhost:8788
+//
+// Environment:
+//   OPENWEATHERMAP_API_KEY  required
+//   PORT, HOST              where to listen (8788, 127.0.0.1)
+//   ALLOWED_ORIGINS         comma-separated origins for CORS, or * (default)
+//   RATE_LIMIT              requests per minute per client (60)
+//   RATE_LIMIT_BURST        requests a client may make at once (20)
+//   CACHE_ENTRIES           responses kept in memory (500)
+//   TRUST_PROXY             set to 1 behind a reverse proxy so X-Forwarded-For identifies clients
+//   UPSTREAM_URL            API to forward to (https://api.openweathermap.org), e.g. server/mock-server.mjs
+import { createServer } from 'node:http';
+
+const MINUTE = 60 * 1000;
+
+// Paths clients may reach, the query parameters passed on, and how long answers are cached
+const ENDPOINTS = {
+  '/geo/1.0/direct': { params: ['q', 'limit'], ttl: 24 * 60 * MINUTE },
+  '/geo/1.0/reverse': { params: ['lat', 'lon', 'limit'], ttl: 24 * 60 * MINUTE },
+  '/data/2.5/air_pollution': { params: ['lat', 'lon'], ttl: 10 * MINUTE },
+  '/data/2.5/air_pollution/history': { params: ['lat', 'lon', 'start', 'end'], ttl: 10 * MINUTE },
+  '/data/2.5/air_pollution/forecast': { params: ['lat', 'lon'], ttl: 60 * MINUTE },
+  '/data/2.5/weather': { params: ['lat', 'lon', 'units'], ttl: 30 * MINUTE }
+};
+
+const config = {
+  apiKey: process.env.OPENWEATHERMAP_API_KEY,
+  upstream: process.env.UPSTREAM_URL || 'https://api.openweathermap.org',
+  port: Number(process.env.PORT || 8788),
+  host: process.env.HOST || '127.0.0.1',
+  allowedOrigins: (process.env.ALLOWED_ORIGINS || '*').split(',').map(origin => origin.trim()),
+  ratePerMinute: Number(process.env.RATE_LIMIT || 60),
+  burst: Number(process.env.RATE_LIMIT_BURST || 20),
+  cacheEntries: Number(process.env.CACHE_ENTRIES || 500),
+  trustProxy: process.env.TRUST_PROXY === '1'
+};
+
+if (!config.apiKey) {
+  console.error('❌ Set OPENWEATHERMAP_API_KEY to start the proxy');
+  process.exit(1);
+}
+
+// Token bucket per client: `burst` tokens, refilled at ratePerMinute
+class RateLimiter {
+  constructor(ratePerMinute, burst) {
+    this.refillPerMs = ratePerMinute / MINUTE;
+    this.burst = burst;
+    this.buckets = new Map();
+  }
+
+  // { allowed, retryAfter } where retryAfter is in seconds
+  take(client, now = Date.now()) {
+    const bucket = this.buckets.get(client) || { tokens: this.burst, updated: now };
+    bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updated) * this.refillPerMs);
+    bucket.updated = now;
+    this.buckets.set(client, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, retryAfter: 0 };
+    }
+    return { allowed: false, retryAfter: Math.ceil((1 - bucket.tokens) / this.refillPerMs / 1000) };
+  }
+
+  // Forget clients whose buckets have filled up again
+  sweep(now = Date.now()) {
+    for (const [client, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updated) * this.refillPerMs >= this.burst) {
+        this.buckets.delete(client);
+      }
+    }
+  }
+}
+
+// Successful responses by upstream URL (without the key); least recently used entries go first
+class ResponseCache {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    this.entries.delete(key);
+    if (entry.expires <= now) return null;
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  set(key, body, ttl, now = Date.now()) {
+    this.entries.delete(key);
+    this.entries.set(key, { body, expires: now + ttl });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+const limiter = new RateLimiter(config.ratePerMinute, config.burst);
+const cache = new ResponseCache(config.cacheEntries);
+setInterval(() => limiter.sweep(), MINUTE).unref();
+
+function clientId(req) {
+  const forwarded = config.trustProxy && req.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+}
+
+// Retry-After is exposed so the browser's retry policy can honour it
+function corsHeaders(req) {
+  const origin = req.headers.origin;
+  const expose = { 'Access-Control-Expose-Headers': 'Retry-After' };
+  if (config.allowedOrigins.includes('*')) return { 'Access-Control-Allow-Origin': '*', ...expose };
+  if (origin && config.allowedOrigins.includes(origin)) {
+    return { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin', ...expose };
+  }
+  return {};
+}
+
+// Errors use OpenWeatherMap's own { cod, message } shape
+function send(req, res, status, body, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    ...corsHeaders(req),
+    ...headers
+  });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+// Only allow-listed parameters reach OpenWeatherMap, in a fixed order so equal requests share a cache entry
+function upstreamUrl(pathname, searchParams) {
+  const url = new URL(pathname, config.upstream);
+  for (const name of ENDPOINTS[pathname].params) {
+    if (searchParams.has(name)) {
+      url.searchParams.set(name, searchParams.get(name));
+    }
+  }
+  return url;
+}
+
+const server = createServer(async (req, res) => {
+  const { pathname, searchParams } = new URL(req.url, `http://${req.headers.host}`);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      ...corsHeaders(req),
+      'Access-Control-Allow-Methods': 'GET',
+      'Access-Control-Allow-Headers': 'Accept, Content-Type',
+      'Access-Control-Max-Age': '86400'
+    });
+    return res.end();
+  }
+  if (req.method !== 'GET') {
+    return send(req, res, 405, { cod: 405, message: 'Method not allowed' });
+  }
+  if (!ENDPOINTS[pathname]) {
+    return send(req, res, 404, { cod: 404, message: `${pathname} is not proxied` });
+  }
+
+  const { allowed, retryAfter } = limiter.take(clientId(req));
+  if (!allowed) {
+    return send(req, res, 429, { cod: 429, message: 'Too many requests' }, { 'Retry-After': String(retryAfter) });
+  }
+
+  const url = upstreamUrl(pathname, searchParams);
+  const cacheKey = url.href;
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    return send(req, res, 200, cached.body, { 'X-Cache': 'HIT' });
+  }
+
+  try {
+    url.searchParams.set('appid', config.apiKey);
+    const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+    const body = await response.text();
+
+    if (response.ok) {
+      cache.set(cacheKey, body, ENDPOINTS[pathname].ttl);
+    } else {
+      console.warn(`⚠️ ${response.status} from OpenWeatherMap for ${pathname}`);
+    }
+
+    const headers = { 'X-Cache': 'MISS' };
+    if (response.headers.has('retry-after')) {
+      headers['Retry-After'] = response.headers.get('retry-after');
+    }
+    // A rejected key is the proxy's problem, not the client's
+    const status = response.status === 401 ? 502 : response.status;
+    send(req, res, status, body, headers);
+  } catch (error) {
+    console.error(`❌ ${pathname}:`, error.message);
+    send(req, res, 502, { cod: 502, message: 'Upstream request failed' });
+  }
+});
+
+server.listen(config.port, config.host, () => {
+  console.log(`🔐 OpenWeatherMap proxy on http://${config.host}:${config.port}`);
+});
@@ -1,5 +1,11 @@
 // src/App.js - Main Application Class (Optimized)
-import { StateManager, DataManager, lazyImports, getSystemTheme } from './bundle.js';
+import { StateManager, DataManager, ExposureLedger, lazyImports, getSystemTheme } from './bundle.js';
+
+// Cities that can be pinned side by side
+const MAX_COMPARED = 4;
+
+// URL parameter holding the comparison set, one `name|country|lat|lon` value per city
+const COMPARE_PARAM = 'compare';
 
 export class AQIApp {
   constructor() {
@@ -7,16 +13,45 @@ export class AQIApp {
       currentCity: null,
       currentAQI: null,
       currentPM25: null,
+      currentPollutants: null,
+      subIndices: null,
+      dominantPollutant: null,
+      nowCast: null,
+      history: [],
+      forecast: [],
+      // Set when the forecast was modelled from history: { method: 'holt-winters', backtest } (see fetchForecast)
+      forecastModel: null,
+      // { source, sourceName, fetchedAt, observedAt, isStale } for the current reading
+      dataFreshness: null,
+      // Places around the current city whose data is being prefetched (see DataManager.prefetchNearbyCities)
+      nearbyCities: [],
+      // Pinned cities: { name, country, state, lat, lon, pollutants, history, loading, error }.
+      // Only the concentrations are kept; AQI and cigarettes follow the selected standard and routine.
+      comparison: [],
+      aqiMode: 'instant',
+      exposureSchedule: 'reference',
+      exposure: null,
+      ledger: null,
       searchHistory: [],
       theme: getSystemTheme(),
+      aqiStandard: 'epa-2024',
+      aqiStandardVersion: null,
       loading: false,
-      error: null
+      error: null,
+      // DataError type of the last failure ('auth', 'network', ...) and, when rate limited, the wait in ms
+      errorType: null,
+      errorRetryAfter: null
     });
 
     // Initialize only essential services
-    this.dataManager = new DataManager();
+    this.dataManager = new DataManager({ staleWhileRevalidate: true });
+    this.exposureLedger = new ExposureLedger();
     this.components = new Map();
     this.lazyComponents = new Map();
+    // Aborts the search still loading when a newer one starts
+    this.searchController = null;
+    this.lastQuery = null;
+    this.refreshTimer = null;
 
     this.init();
   }
@@ -25,6 +60,7 @@ export class AQIApp {
     console.log('🚀 Initializing AQI Application (Optimized)...');
 
     // Only essential setup
+    this.applyTheme();
     this.setupEssentialEventListeners();
     this.registerEssentialComponents();
     await this.loadEssentialData();
@@ -38,9 +74,29 @@ export class AQIApp {
   setupEssentialEventListeners() {
     // Basic state change handling
     this.state.onChange((changes) => {
+      if ('theme' in changes) {
+        this.applyTheme(changes.theme.current);
+      }
       this.updateComponents(changes);
     });
 
+    // Results shown from expired cache entries are searched again once their refresh lands
+    this.dataManager.eventBus.on('dataRefreshed', () => {
+      const { dataFreshness, loading } = this.state.getState();
+      if (!dataFreshness?.isStale || loading || !this.lastQuery) return;
+
+      // Several responses usually refresh together; search once for all of them
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = setTimeout(() => this.searchCity(this.lastQuery, { quiet: true }), 250);
+    });
+
+    // A search that failed for want of a connection is tried again once there is one
+    this.dataManager.eventBus.on('networkStatusChange', ({ data }) => {
+      if (data.online && this.state.getState().errorType === 'network') {
+        this.retrySearch();
+      }
+    });
+
     // Basic error handling
     window.addEventListener('error', (event) => {
       console.error('Global error:', event.error);
@@ -77,11 +133,19 @@ export class AQIApp {
         this.state.setState({ searchHistory: JSON.parse(history) });
       }
 
+      // Cumulative exposure recorded for the home location
+      this.state.setState({ ledger: this.exposureLedger.getSummary() });
+
       // Load theme preference
       const preferences = localStorage.getItem('aqi_preferences');
       if (preferences) {
         const prefs = JSON.parse(preferences);
-        this.state.setState({ theme: prefs.theme || this.getSystemTheme() });
+        this.state.setState({
+          theme: prefs.theme || this.getSystemTheme(),
+          aqiStandard: prefs.aqiStandard || this.state.getState().aqiStandard,
+          aqiMode: prefs.aqiMode || this.state.getState().aqiMode,
+          exposureSchedule: prefs.exposureSchedule || this.state.getState().exposureSchedule
+        });
       }
 
     } catch (error) {
@@ -95,6 +159,9 @@ export class AQIApp {
       await this.lazyLoadComponent('results', '.results-container');
       await this.lazyLoadComponent('visualization', '.visualization-container');
 
+      // A shared comparison link pins its cities again
+      this.restoreComparison();
+
       // Initialize DataManager and other services
       await this.dataManager.initialize();
 
@@ -112,14 +179,13 @@ export class AQIApp {
       ]);
 
       this.eventBus = new EventBus();
-      this.calculator = new AQICalculator();
+      if (!this.calculator) {
+        this.calculator = this.createCalculator(AQICalculator);
+      }
 
       // Setup advanced event handling
       this.setupAdvancedEventListeners();
 
-      // Setup workers if needed
-      this.setupWorkers();
-
     } catch (error) {
       console.warn('Error setting up advanced features:', error);
     }
@@ -133,90 +199,371 @@ export class AQIApp {
     });
   }
 
-  setupWorkers() {
-    // Initialize Web Workers for heavy calculations (lazy)
-    if (window.Worker) {
-      try {
-        const calculatorWorker = new Worker('./src/workers/aqi-calculator-worker.js');
-        this.workers = this.workers || new Map();
-        this.workers.set('calculator', calculatorWorker);
-
-        calculatorWorker.onmessage = (e) => {
-          this.handleWorkerMessage('calculator', e.data);
-        };
-      } catch (error) {
-        console.warn('Web Workers not supported, falling back to main thread calculations');
-      }
+  // `query` is a search string, or a place with coordinates such as a nearby city, which skips geocoding.
+  // `quiet` refreshes the results on screen without clearing them first.
+  async searchCity(query, { quiet = false } = {}) {
+    this.searchController?.abort();
+    clearTimeout(this.refreshTimer);
+    const controller = new AbortController();
+    const { signal } = controller;
+    this.searchController = controller;
+    this.lastQuery = query;
+
+    if (!quiet) {
+      this.state.setState({ loading: true, error: null, errorType: null, errorRetryAfter: null, nowCast: null, history: [], forecast: [], forecastModel: null, nearbyCities: [] });
     }
-  }
-
-  async searchCity(query) {
-    this.state.setState({ loading: true, error: null });
 
     try {
-      const cityData = await this.dataManager.fetchCityData(query);
-      const aqiData = await this.dataManager.fetchAQIData(cityData.lat, cityData.lon);
-
-      // Use calculator if available, otherwise lazy load it
-      let aqiValue, cigarettesValue;
-      if (this.calculator) {
-        aqiValue = this.calculator.calculateAQIFromPM25(aqiData.pm25);
-        cigarettesValue = this.calculator.calculateCigarettes(aqiValue);
-      } else {
-        // Lazy load calculator
-        const { AQICalculator } = await lazyImports.AQICalculator();
-        this.calculator = new AQICalculator();
-        aqiValue = this.calculator.calculateAQIFromPM25(aqiData.pm25);
-        cigarettesValue = this.calculator.calculateCigarettes(aqiValue);
-      }
+      const cityData = typeof query === 'string'
+        ? await this.dataManager.fetchCityData(query, { signal })
+        : { name: query.name, country: query.country, state: query.state, lat: query.lat, lon: query.lon };
+      const [aqiData, weather] = await Promise.all([
+        this.dataManager.fetchAQIData(cityData.lat, cityData.lon, { signal }),
+        // Only needed for ppb/ppm conversion, which falls back to 25 °C and 1 atm
+        this.dataManager.fetchWeatherData(cityData.lat, cityData.lon, { signal }).catch(() => null)
+      ]);
+
+      const calculator = await this.getCalculator();
+      calculator.setConditions(weather || {});
+      const { timestamp, aqi, source, fetchedAt, observedAt, isStale, ...pollutants } = aqiData;
+      const result = calculator.calculateAQIFromMultiplePollutants(pollutants);
+      // Cigarette equivalents come from PM2.5 alone, whichever pollutant dominates the index;
+      // some stations don't measure it, and the rest of the reading still stands
+      const hasPM25 = Number.isFinite(aqiData.pm25);
+      const exposure = hasPM25
+        ? calculator.calculateCigarettesFromPM25(aqiData.pm25, this.state.getState().exposureSchedule)
+        : null;
+      const historyRequest = this.fetchHistory(cityData, signal);
+      const [history, { forecast, forecastModel }] = await Promise.all([
+        historyRequest,
+        this.fetchForecast(cityData, historyRequest, signal)
+      ]);
+      // History and forecast swallow their errors, aborts included
+      signal.throwIfAborted();
+      const nowCast = calculator.calculateNowCastAQI(history);
 
       const newState = {
         currentCity: cityData,
-        currentAQI: aqiValue,
-        currentPM25: aqiData.pm25,
-        cigarettesEquivalent: cigarettesValue,
+        currentAQI: result.aqi,
+        currentPM25: hasPM25 ? aqiData.pm25 : null,
+        currentPollutants: pollutants,
+        subIndices: result.subIndices,
+        dominantPollutant: result.dominantPollutant,
+        nowCast,
+        history,
+        forecast,
+        forecastModel,
+        dataFreshness: {
+          source,
+          sourceName: this.dataManager.getProviderName(source),
+          fetchedAt,
+          observedAt,
+          isStale
+        },
+        exposure,
+        cigarettesEquivalent: exposure ? exposure.total.toFixed(2) : null,
+        aqiStandard: result.standard,
+        aqiStandardVersion: result.version,
         loading: false
       };
 
       this.state.setState(newState);
 
+      if (!quiet) {
+        this.prefetchNearby(cityData, signal);
+      }
+
       // Update search history
-      this.updateSearchHistory(cityData);
+      this.updateSearchHistory(cityData, {
+        aqi: result.aqi,
+        dominantPollutant: result.dominantPollutant,
+        pollutants,
+        cigarettes: exposure?.total ?? null,
+        standard: result.standard,
+        version: result.version,
+        observedAt: timestamp
+      });
 
     } catch (error) {
+      // Superseded by a newer search, which owns the loading state now
+      if (signal.aborted) return;
+      // The stale results stay up rather than give way to an error
+      if (quiet) {
+        console.warn('Refresh failed:', error);
+        return;
+      }
+
       this.state.setState({
         error: error.message,
+        errorType: error.type || 'unknown',
+        errorRetryAfter: error.retryAfter ?? null,
         loading: false
       });
       console.error('Search failed:', error);
+    } finally {
+      if (this.searchController === controller) {
+        this.searchController = null;
+      }
     }
   }
 
-  async calculateWithWorker(aqiData) {
-    return new Promise((resolve, reject) => {
-      const worker = this.workers.get('calculator');
+  retrySearch() {
+    if (this.lastQuery) {
+      this.searchCity(this.lastQuery);
+    }
+  }
 
-      const handleMessage = (e) => {
-        worker.removeEventListener('message', handleMessage);
-        resolve(e.data);
-      };
+  // Recovery from an auth error: put the keyless source first and search again
+  useKeylessProvider() {
+    const priority = this.dataManager.getProviderPriority().filter(id => id !== 'open-meteo');
+    this.dataManager.setProviderPriority(['open-meteo', ...priority]);
+    this.retrySearch();
+  }
 
-      const handleError = (error) => {
-        worker.removeEventListener('message', handleMessage);
-        reject(error);
+  async getCalculator() {
+    if (!this.calculator) {
+      const { AQICalculator } = await lazyImports.AQICalculator();
+      this.calculator = this.createCalculator(AQICalculator);
+    }
+    return this.calculator;
+  }
+
+  createCalculator(AQICalculator) {
+    const calculator = new AQICalculator();
+    const { aqiStandard } = this.state.getState();
+
+    if (calculator.hasStandard(aqiStandard)) {
+      calculator.setStandard(aqiStandard);
+    }
+    return calculator;
+  }
+
+  // Switch the index standard and re-express the current reading in it
+  async setAQIStandard(standardId) {
+    const calculator = await this.getCalculator();
+    calculator.setStandard(standardId);
+
+    const { currentPollutants, nowCast } = this.state.getState();
+    const updates = {
+      aqiStandard: calculator.standardId,
+      aqiStandardVersion: calculator.standard.version
+    };
+
+    if (currentPollutants) {
+      const result = calculator.calculateAQIFromMultiplePollutants(currentPollutants);
+      updates.currentAQI = result.aqi;
+      updates.subIndices = result.subIndices;
+      updates.dominantPollutant = result.dominantPollutant;
+    }
+
+    if (nowCast) {
+      updates.nowCast = {
+        ...calculator.calculateAQIFromMultiplePollutants(nowCast.concentrations),
+        concentrations: nowCast.concentrations
       };
+    }
+
+    this.state.setState(updates);
+
+    // Save preference
+    const preferences = JSON.parse(localStorage.getItem('aqi_preferences') || '{}');
+    preferences.aqiStandard = calculator.standardId;
+    localStorage.setItem('aqi_preferences', JSON.stringify(preferences));
+  }
+
+  // Comparison mode: pin the current city (or any place with coordinates) next to the others
+  async pinCity(cityData = this.state.getState().currentCity) {
+    if (!cityData) return;
+
+    const { comparison, currentCity, currentPollutants, history } = this.state.getState();
+    const key = this.comparisonKey(cityData);
+    if (comparison.some(entry => this.comparisonKey(entry) === key)) return;
+    if (comparison.length >= MAX_COMPARED) {
+      throw new Error(`Up to ${MAX_COMPARED} cities can be compared`);
+    }
 
-      worker.addEventListener('message', handleMessage);
-      worker.addEventListener('error', handleError);
+    const { name, country, state, lat, lon } = cityData;
+    const isCurrent = currentCity && this.comparisonKey(currentCity) === key && currentPollutants;
+    const entry = isCurrent
+      ? { name, country, state, lat, lon, pollutants: currentPollutants, history, loading: false, error: null }
+      : { name, country, state, lat, lon, pollutants: null, history: [], loading: true, error: null };
 
-      worker.postMessage({
-        type: 'calculate',
-        data: aqiData
+    this.setComparison([...comparison, entry]);
+    if (!isCurrent) {
+      await this.loadComparisonEntry(entry);
+    }
+  }
+
+  // Whether pinCity would add the place: not pinned yet, and room left
+  canPin(cityData = this.state.getState().currentCity) {
+    const { comparison } = this.state.getState();
+    return Boolean(cityData) &&
+      comparison.length < MAX_COMPARED &&
+      !comparison.some(entry => this.comparisonKey(entry) === this.comparisonKey(cityData));
+  }
+
+  unpinCity(index) {
+    const comparison = [...this.state.getState().comparison];
+    comparison.splice(index, 1);
+    this.setComparison(comparison);
+  }
+
+  clearComparison() {
+    this.setComparison([]);
+  }
+
+  // Current reading and last 7 days for a pinned city; both usually come from cache
+  async loadComparisonEntry(entry) {
+    const key = this.comparisonKey(entry);
+    let updates;
+
+    try {
+      const [reading, history] = await Promise.all([
+        this.dataManager.fetchAQIData(entry.lat, entry.lon),
+        this.fetchHistory(entry),
+        // The cards work out AQI and cigarettes when they render
+        this.getCalculator()
+      ]);
+      const { timestamp, aqi, source, fetchedAt, observedAt, isStale, ...pollutants } = reading;
+      updates = { pollutants, history, loading: false, error: null };
+    } catch (error) {
+      console.warn(`Comparison data unavailable for ${entry.name}:`, error);
+      updates = { loading: false, error: error.message };
+    }
+
+    // The city may have been unpinned while it loaded
+    const comparison = this.state.getState().comparison.map(pinned =>
+      this.comparisonKey(pinned) === key ? { ...pinned, ...updates } : pinned
+    );
+    this.state.setState({ comparison });
+  }
+
+  setComparison(comparison) {
+    this.state.setState({ comparison });
+    this.saveComparisonToUrl(comparison);
+  }
+
+  comparisonKey(place) {
+    return `${Number(place.lat).toFixed(4)},${Number(place.lon).toFixed(4)}`;
+  }
+
+  // The set lives in the URL so a comparison can be bookmarked or shared; other parameters are kept
+  saveComparisonToUrl(comparison) {
+    try {
+      const url = new URL(window.location.href);
+      url.searchParams.delete(COMPARE_PARAM);
+      comparison.forEach(({ name, country, lat, lon }) => {
+        url.searchParams.append(COMPARE_PARAM, [name, country || '', Number(lat).toFixed(4), Number(lon).toFixed(4)].join('|'));
       });
-    });
+      window.history.replaceState(window.history.state, '', url);
+    } catch (error) {
+      console.warn('Failed to save comparison to the URL:', error);
+    }
+  }
+
+  restoreComparison() {
+    const values = new URL(window.location.href).searchParams.getAll(COMPARE_PARAM);
+    const comparison = values
+      .map(value => {
+        const [name, country, lat, lon] = value.split('|');
+        return { name, country: country || undefined, lat: Number(lat), lon: Number(lon) };
+      })
+      .filter(place => place.name && Number.isFinite(place.lat) && Number.isFinite(place.lon))
+      .slice(0, MAX_COMPARED)
+      .map(place => ({ ...place, pollutants: null, history: [], loading: true, error: null }));
+
+    if (comparison.length === 0) return;
+
+    this.state.setState({ comparison });
+    comparison.forEach(entry => this.loadComparisonEntry(entry));
+  }
+
+  // Measured hourly readings for the last 7 days, used for NowCast and the trend charts.
+  // Missing hours stay missing; the current reading still works without any history.
+  async fetchHistory(cityData, signal) {
+    try {
+      return await this.dataManager.fetchRecentHistory(cityData.lat, cityData.lon, { signal });
+    } catch (error) {
+      console.warn('History unavailable:', error);
+      return [];
+    }
+  }
+
+  // Neighbouring cities are warmed in the background and offered as shortcuts on the results card
+  async prefetchNearby(cityData, signal) {
+    const nearbyCities = await this.dataManager.prefetchNearbyCities(cityData.lat, cityData.lon, 100, { signal });
+    if (!signal.aborted) {
+      this.state.setState({ nearbyCities });
+    }
+  }
+
+  // Hourly forecast for the next 4 days. Sources without one (OpenAQ, WAQI) get a PM2.5 forecast
+  // modelled from `history` (a promise for fetchHistory's result) in the calculator worker, with its
+  // backtest so the view can say how far to trust it. An empty list just hides the forecast view.
+  async fetchForecast(cityData, history, signal) {
+    try {
+      const forecast = await this.dataManager.fetchAQIForecast(cityData.lat, cityData.lon, { signal });
+      if (forecast.length > 0) return { forecast, forecastModel: null };
+    } catch (error) {
+      if (signal.aborted) return { forecast: [], forecastModel: null };
+      console.warn('Forecast unavailable, modelling one from history:', error);
+    }
+
+    try {
+      const measured = await history;
+      const [forecast, backtest] = await Promise.all([
+        this.dataManager.forecastFromHistory(measured, { signal }),
+        this.dataManager.backtestForecast(measured, { signal })
+      ]);
+      return {
+        forecast,
+        forecastModel: forecast.length > 0 ? { method: 'holt-winters', backtest } : null
+      };
+    } catch (error) {
+      console.warn('Modelled forecast unavailable:', error);
+      return { forecast: [], forecastModel: null };
+    }
+  }
+
+  // Daily schedule behind the cigarette figure: a preset id from ExposureModel.js or an array of blocks
+  async setExposureSchedule(schedule) {
+    const calculator = await this.getCalculator();
+    const { currentPM25 } = this.state.getState();
+    const updates = { exposureSchedule: schedule };
+
+    // Throws on an invalid schedule before anything is saved
+    calculator.exposure.normalizeSchedule(schedule);
+
+    if (Number.isFinite(currentPM25)) {
+      const exposure = calculator.calculateCigarettesFromPM25(currentPM25, schedule);
+      updates.exposure = exposure;
+      updates.cigarettesEquivalent = exposure.total.toFixed(2);
+    }
+
+    this.state.setState(updates);
+
+    // Save preference
+    const preferences = JSON.parse(localStorage.getItem('aqi_preferences') || '{}');
+    preferences.exposureSchedule = schedule;
+    localStorage.setItem('aqi_preferences', JSON.stringify(preferences));
   }
 
-  updateSearchHistory(cityData) {
+  // 'instant' shows the latest hourly reading, 'nowcast' the 12-hour weighted average
+  setAQIMode(mode) {
+    if (mode !== 'instant' && mode !== 'nowcast') {
+      throw new Error(`Unknown AQI mode: ${mode}`);
+    }
+
+    this.state.setState({ aqiMode: mode });
+
+    // Save preference
+    const preferences = JSON.parse(localStorage.getItem('aqi_preferences') || '{}');
+    preferences.aqiMode = mode;
+    localStorage.setItem('aqi_preferences', JSON.stringify(preferences));
+  }
+
+  // `reading` keeps the concentrations alongside the standard and table version the AQI came from
+  updateSearchHistory(cityData, reading = null) {
     const history = this.state.getState().searchHistory || [];
     const existingIndex = history.findIndex(item =>
       item.name === cityData.name && item.country === cityData.country
@@ -228,6 +575,7 @@ export class AQIApp {
 
     history.unshift({
       ...cityData,
+      reading,
       timestamp: Date.now()
     });
 
@@ -236,20 +584,28 @@ export class AQIApp {
 
     this.state.setState({ searchHistory: trimmedHistory });
     localStorage.setItem('aqi_search_history', JSON.stringify(trimmedHistory));
+
+    // Readings taken at home also go into the exposure ledger
+    if (reading && this.exposureLedger.record(cityData, {
+      pm25: reading.pollutants?.pm25,
+      cigarettes: reading.cigarettes,
+      timestamp: reading.observedAt
+    })) {
+      this.state.setState({ ledger: this.exposureLedger.getSummary() });
+    }
   }
 
-  handleWorkerMessage(workerType, data) {
-    switch (workerType) {
-      case 'calculator':
-        // Handle calculation results
-        if (data.type === 'calculationComplete') {
-          this.state.setState({
-            currentAQI: data.aqi,
-            cigarettesEquivalent: data.cigarettes
-          });
-        }
-        break;
+  // Choose where the exposure ledger tracks readings; pass null to stop tracking
+  setHomeLocation(cityData = this.state.getState().currentCity) {
+    this.exposureLedger.setHome(cityData);
+
+    // Start the ledger off with the reading on screen
+    const { currentCity, currentPM25, exposure } = this.state.getState();
+    if (cityData && currentCity && exposure) {
+      this.exposureLedger.record(currentCity, { pm25: currentPM25, cigarettes: exposure.total });
     }
+
+    this.state.setState({ ledger: this.exposureLedger.getSummary() });
   }
 
   updateComponents(changes) {
@@ -264,6 +620,8 @@ export class AQIApp {
   handleError(error) {
     this.state.setState({
       error: error.message || 'An unexpected error occurred',
+      errorType: error.type || 'unknown',
+      errorRetryAfter: null,
       loading: false
     });
   }
@@ -272,6 +630,11 @@ export class AQIApp {
     return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
   }
 
+  // index.html styles both themes from the data-theme attribute
+  applyTheme(theme = this.state.getState().theme) {
+    document.documentElement.setAttribute('data-theme', theme);
+  }
+
   toggleTheme() {
     const currentTheme = this.state.getState().theme;
     const newTheme = currentTheme === 'light' ? 'dark' : 'light';
@@ -285,9 +648,10 @@ export class AQIApp {
   }
 
   destroy() {
-    // Cleanup workers
-    this.workers.forEach(worker => worker.terminate());
-    this.workers.clear();
+    // Cleanup workers, timers and pending requests
+    this.searchController?.abort();
+    clearTimeout(this.refreshTimer);
+    this.dataManager.destroy();
 
     // Cleanup components
     this.components.forEach(component => {
@@ -296,6 +660,6 @@ export class AQIApp {
     this.components.clear();
 
     // Cleanup event listeners
-    this.eventBus.clear();
+    this.eventBus?.clear();
   }
 }
@@ -4,6 +4,7 @@
 // Core utilities and StateManager (essential)
 export { StateManager } from './core/StateManager.js';
 export { DataManager } from './modules/DataManager.js';
+export { ExposureLedger } from './modules/ExposureLedger.js';
 
 // Lazy imports for heavy components (non-blocking)
 export const lazyImports = {
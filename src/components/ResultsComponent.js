@@ -1,16 +1,108 @@
 // src/components/ResultsComponent.js - Advanced Results Display
-import { Component } from '../core/Component.js';
+import { Component, escapeHTML } from '../core/Component.js';
+import { listStandards, POLLUTANTS } from '../modules/AQIStandards.js';
+import { listExposurePresets } from '../modules/ExposureModel.js';
+
+// Advice for each tier of the advice scale; every standard's categories map onto it through their `risk`
+const HEALTH_ADVICE = {
+  good: [
+    '✅ Air quality is satisfactory. Enjoy outdoor activities!',
+    '🌱 Consider planting trees to help improve local air quality.'
+  ],
+  moderate: [
+    '⚠️ Sensitive individuals should consider reducing prolonged outdoor exertion.',
+    '🏠 Keep windows closed during peak pollution hours.'
+  ],
+  unhealthy: [
+    '🚨 Children, elderly, and those with respiratory conditions should avoid outdoor activities.',
+    '😷 Consider wearing N95 masks if you must go outside.',
+    '🏃‍♂️ Avoid outdoor exercise, especially near busy roads.'
+  ],
+  'very-unhealthy': [
+    '🚨 Everyone should avoid outdoor activities. Stay indoors with air filtration.',
+    '🏠 Use air purifiers with HEPA filters.',
+    '🚗 Avoid driving; use public transport or walk during low-traffic hours.'
+  ],
+  hazardous: [
+    '🚨 Hazardous conditions! Stay indoors, use air purifiers, and wear N95 masks if going outside.',
+    '🏥 Monitor health symptoms and seek medical attention if needed.'
+  ],
+  severe: [
+    '🚨 EMERGENCY: Severe health risk! Seek clean air immediately.',
+    '🏥 Emergency responders should use appropriate respiratory protection.',
+    '📞 Contact local health authorities for guidance.'
+  ]
+};
+
+// What to say for each DataError type and what the user can do about it
+const ERROR_RECOVERY = {
+  auth: {
+    message: 'The air quality service turned down our API key',
+    hint: 'Open-Meteo needs no key and can take over.',
+    action: 'use-keyless',
+    label: 'Use Open-Meteo'
+  },
+  'not-found': {
+    message: 'No air quality data for that place',
+    hint: 'Check the spelling, or try a nearby larger city.',
+    action: 'edit-search',
+    label: 'Edit search'
+  },
+  'rate-limited': {
+    message: 'Too many requests right now',
+    hint: 'The data source asked us to slow down.',
+    action: 'retry',
+    label: 'Try again'
+  },
+  network: {
+    message: 'No connection to the data source',
+    hint: 'Check your connection; we\'ll try again as soon as you\'re back online.',
+    action: 'retry',
+    label: 'Try again'
+  },
+  parse: {
+    message: 'The data source sent something we couldn\'t read',
+    hint: 'This is usually temporary.',
+    action: 'retry',
+    label: 'Try again'
+  },
+  'provider-down': {
+    message: 'Air quality services are unavailable',
+    hint: 'Try again in a few minutes.',
+    action: 'retry',
+    label: 'Try again'
+  },
+  unknown: {
+    message: 'Something went wrong',
+    hint: '',
+    action: 'retry',
+    label: 'Try again'
+  }
+};
+
+// App state the card shows; other changes (search history, forecast, ...) leave it alone
+const RESULT_STATE = ['currentCity', 'currentAQI', 'currentPM25', 'cigarettesEquivalent', 'aqiStandard', 'subIndices', 'dominantPollutant', 'nowCast', 'aqiMode', 'exposure', 'ledger', 'loading', 'error', 'errorType', 'nearbyCities', 'dataFreshness', 'comparison', 'exposureSchedule'];
 
 export class ResultsComponent extends Component {
   constructor(element, props = {}) {
     super(element, props);
     this.currentAnimation = null;
     this.animationQueue = [];
+    // Re-enables the retry button once a rate limit has passed
+    this.retryTimer = null;
   }
 
   render() {
     if (!this.element) return;
 
+    const { aqiStandard, aqiMode, nowCast, exposureSchedule } = this.props.app?.state?.getState() || {};
+    const standardOptions = listStandards()
+      .map(standard => `<option value="${standard.id}" ${standard.id === aqiStandard ? 'selected' : ''}>${standard.shortName} (${standard.region})</option>`)
+      .join('');
+    const exposureOptions = listExposurePresets()
+      .map(preset => `<option value="${preset.id}" ${preset.id === exposureSchedule ? 'selected' : ''}>${preset.name}</option>`)
+      .join('') + (Array.isArray(exposureSchedule) ? '<option value="custom" selected>My schedule</option>' : '');
+
     this.element.innerHTML = `
       <div class="results-container">
         <div id="result" class="result-card" style="display: none;">
@@ -18,14 +110,25 @@ export class ResultsComponent extends Component {
             <h3 class="city-name">---</h3>
             <div class="result-meta">
               <span class="timestamp">Updated just now</span>
-              <span class="data-source">OpenWeatherMap</span>
+              <span class="data-source"></span>
             </div>
+            <select class="standard-select" aria-label="AQI standard">
+              ${standardOptions}
+            </select>
+            <button type="button" class="pin-city" title="Show this city side by side with others">
+              <i class="fas fa-thumbtack"></i> Compare
+            </button>
           </div>
 
           <div class="aqi-display">
             <div class="aqi-value">--</div>
             <div class="aqi-label">Air Quality Index</div>
             <div class="aqi-category">---</div>
+            <div class="dominant-pollutant"></div>
+            <div class="aqi-mode-toggle" role="group" aria-label="Averaging">
+              <button type="button" class="aqi-mode ${aqiMode !== 'nowcast' ? 'active' : ''}" data-mode="instant">Instant</button>
+              <button type="button" class="aqi-mode ${aqiMode === 'nowcast' ? 'active' : ''}" data-mode="nowcast" ${nowCast ? '' : 'disabled title="Not enough recent hourly data"'}>NowCast</button>
+            </div>
           </div>
 
           <div class="pm25-display">
@@ -38,7 +141,28 @@ export class ResultsComponent extends Component {
             <div class="cigarette-icon">🚬</div>
             <div class="cigarette-value">--</div>
             <div class="cigarette-label">Cigarettes per day</div>
+            <select class="exposure-select" aria-label="Daily routine">
+              ${exposureOptions}
+            </select>
           </div>
+
+          <div class="nearby-cities" style="display: none;">
+            <span class="nearby-label">Nearby:</span>
+            <div class="nearby-list"></div>
+          </div>
+
+          <div class="error-recovery" style="display: none;">
+            <p class="error-hint"></p>
+            <button type="button" class="error-action"></button>
+          </div>
+        </div>
+
+        <div class="comparison-panel" style="display: none;">
+          <div class="comparison-header">
+            <h4>Comparing</h4>
+            <button type="button" class="comparison-clear">Clear</button>
+          </div>
+          <ul class="comparison-list"></ul>
         </div>
 
         <div class="health-advisory" style="display: none;">
@@ -56,34 +180,12 @@ export class ResultsComponent extends Component {
 
         <div class="detailed-info" style="display: none;">
           <h4>Air Quality Details</h4>
-          <div class="pollutants-grid">
-            <div class="pollutant-item">
-              <span class="pollutant-name">PM10</span>
-              <span class="pollutant-value">--</span>
-              <span class="pollutant-unit">μg/m³</span>
-            </div>
-            <div class="pollutant-item">
-              <span class="pollutant-name">NO₂</span>
-              <span class="pollutant-value">--</span>
-              <span class="pollutant-unit">μg/m³</span>
-            </div>
-            <div class="pollutant-item">
-              <span class="pollutant-name">SO₂</span>
-              <span class="pollutant-value">--</span>
-              <span class="pollutant-unit">μg/m³</span>
-            </div>
-            <div class="pollutant-item">
-              <span class="pollutant-name">O₃</span>
-              <span class="pollutant-value">--</span>
-              <span class="pollutant-unit">μg/m³</span>
-            </div>
-            <div class="pollutant-item">
-              <span class="pollutant-name">CO</span>
-              <span class="pollutant-value">--</span>
-              <span class="pollutant-unit">μg/m³</span>
-            </div>
-          </div>
+          <div class="pollutants-grid"></div>
+          <h4>Daily Exposure</h4>
+          <ul class="exposure-breakdown"></ul>
         </div>
+
+        <div class="exposure-ledger" style="display: none;"></div>
       </div>
     `;
 
@@ -95,38 +197,129 @@ export class ResultsComponent extends Component {
     const resultCard = this.querySelector('.result-card');
     const healthAdvisory = this.querySelector('.health-advisory');
     const detailedInfo = this.querySelector('.detailed-info');
+    const standardSelect = this.querySelector('.standard-select');
+    const exposureSelect = this.querySelector('.exposure-select');
+    const exposureLedger = this.querySelector('.exposure-ledger');
 
     if (resultCard) {
-      resultCard.addEventListener('click', () => this.toggleSection(detailedInfo));
+      resultCard.addEventListener('click', (e) => {
+        if (e.target.closest('.standard-select, .pin-city, .aqi-mode-toggle, .exposure-select, .error-recovery, .nearby-cities')) return;
+        this.toggleSection(detailedInfo);
+      });
     }
 
+    if (standardSelect) {
+      standardSelect.addEventListener('change', (e) => {
+        this.props.app?.setAQIStandard(e.target.value);
+      });
+    }
+
+    if (exposureSelect) {
+      exposureSelect.addEventListener('change', (e) => {
+        if (e.target.value !== 'custom') this.props.app?.setExposureSchedule(e.target.value);
+      });
+    }
+
+    if (exposureLedger) {
+      exposureLedger.addEventListener('click', (e) => {
+        const button = e.target.closest('.set-home');
+        if (button) this.props.app?.setHomeLocation(button.dataset.clear ? null : undefined);
+      });
+    }
+
+    this.querySelectorAll('.aqi-mode').forEach(button => {
+      button.addEventListener('click', () => this.props.app?.setAQIMode(button.dataset.mode));
+    });
+
     if (healthAdvisory) {
       healthAdvisory.addEventListener('click', () => this.toggleSection(healthAdvisory));
     }
-  }
 
-  update(changes) {
-    super.update(changes);
+    const nearbyList = this.querySelector('.nearby-list');
+    if (nearbyList) {
+      nearbyList.addEventListener('click', (e) => {
+        const chip = e.target.closest('.nearby-chip');
+        const place = chip && this.props.app?.state.getState().nearbyCities[chip.dataset.index];
+        if (place) this.props.app.searchCity(place);
+      });
+    }
 
-    // Check if relevant state changed
-    const relevantChanges = ['currentCity', 'currentAQI', 'currentPM25', 'cigarettesEquivalent', 'loading', 'error'];
-    const hasRelevantChange = relevantChanges.some(key => changes[key]);
+    const pinButton = this.querySelector('.pin-city');
+    if (pinButton) {
+      pinButton.addEventListener('click', () => {
+        this.props.app?.pinCity().catch(error => console.warn('Pinning failed:', error));
+      });
+    }
 
-    if (hasRelevantChange) {
-      this.updateDisplay();
+    const comparisonPanel = this.querySelector('.comparison-panel');
+    if (comparisonPanel) {
+      comparisonPanel.addEventListener('click', (e) => {
+        const app = this.props.app;
+        const card = e.target.closest('.comparison-card');
+        if (e.target.closest('.comparison-clear')) {
+          app?.clearComparison();
+        } else if (card && e.target.closest('.comparison-remove')) {
+          app?.unpinCity(Number(card.dataset.index));
+        } else if (card && e.target.closest('.comparison-city')) {
+          const place = app?.state.getState().comparison[card.dataset.index];
+          if (place) app.searchCity(place);
+        }
+      });
     }
+
+    const errorAction = this.querySelector('.error-action');
+    if (errorAction) {
+      errorAction.addEventListener('click', () => this.recoverFromError(errorAction.dataset.action));
+    }
+  }
+
+  recoverFromError(action) {
+    const app = this.props.app;
+    if (!app) return;
+
+    switch (action) {
+      case 'use-keyless':
+        app.useKeylessProvider();
+        break;
+      case 'edit-search': {
+        const input = document.getElementById('cityInput');
+        input?.focus();
+        input?.select();
+        break;
+      }
+      default:
+        app.retrySearch();
+    }
+  }
+
+  shouldUpdate(changes) {
+    return RESULT_STATE.some(key => changes[key]);
+  }
+
+  update(changes) {
+    if (!this.shouldUpdate(changes)) return;
+
+    super.update(changes);
+    this.updateDisplay();
   }
 
   async updateDisplay() {
     const state = this.props.app?.state?.getState() || {};
 
+    if (state.loading || state.error || state.currentCity || state.comparison?.length) {
+      this.reveal('results-placeholder');
+    }
+
+    // Pinned cities stay up whatever happens to the current search
+    this.updateComparison(state);
+
     if (state.loading) {
       this.showLoading();
       return;
     }
 
     if (state.error) {
-      this.showError(state.error);
+      this.showError(state);
       return;
     }
 
@@ -141,16 +334,19 @@ export class ResultsComponent extends Component {
     const resultCard = this.querySelector('.result-card');
     const healthAdvisory = this.querySelector('.health-advisory');
     const detailedInfo = this.querySelector('.detailed-info');
+    const exposureLedger = this.querySelector('.exposure-ledger');
 
     // Update result card
     this.updateResultCard(state);
     this.updateHealthAdvisory(state);
     this.updateDetailedInfo(state);
+    this.updateExposureLedger(state);
 
     // Animate in
     await this.animateIn(resultCard);
     await this.animateIn(healthAdvisory, 200);
     await this.animateIn(detailedInfo, 400);
+    await this.animateIn(exposureLedger, 600);
 
     // Announce to screen readers
     this.announceResults(state);
@@ -159,23 +355,115 @@ export class ResultsComponent extends Component {
   updateResultCard(state) {
     const cityName = this.querySelector('.city-name');
     const aqiValue = this.querySelector('.aqi-value');
+    const aqiLabel = this.querySelector('.aqi-label');
     const aqiCategory = this.querySelector('.aqi-category');
+    const dominantPollutant = this.querySelector('.dominant-pollutant');
     const pm25Value = this.querySelector('.pm25-value');
     const cigaretteValue = this.querySelector('.cigarette-value');
     const timestamp = this.querySelector('.timestamp');
+    const dataSource = this.querySelector('.data-source');
+    const reading = this.getDisplayedReading(state);
+    const category = this.getAQICategory(reading.aqi);
 
+    this.hideErrorRecovery();
     if (cityName) cityName.textContent = state.currentCity.name;
     if (aqiValue) {
-      aqiValue.textContent = state.currentAQI;
-      aqiValue.className = `aqi-value ${this.getAQICategory(state.currentAQI).key}`;
+      aqiValue.textContent = reading.aqi;
+      aqiValue.className = `aqi-value ${category.key}`;
+      aqiValue.style.color = category.color;
+    }
+    if (aqiLabel) {
+      const standardName = this.props.app.calculator.getStandard().name;
+      aqiLabel.textContent = reading.nowCast ? `${standardName} · NowCast` : standardName;
     }
     if (aqiCategory) {
-      aqiCategory.textContent = this.getAQICategory(state.currentAQI).description;
-      aqiCategory.className = `aqi-category ${this.getAQICategory(state.currentAQI).key}`;
+      aqiCategory.textContent = category.description;
+      aqiCategory.className = `aqi-category ${category.key}`;
+      aqiCategory.style.color = category.color;
+    }
+    if (dominantPollutant) {
+      const pollutant = POLLUTANTS[reading.dominantPollutant];
+      dominantPollutant.textContent = pollutant ? `Dominant pollutant: ${pollutant.label}` : '';
+    }
+    if (pm25Value) pm25Value.textContent = reading.pm25 ?? '--';
+    if (cigaretteValue) {
+      cigaretteValue.textContent = state.cigarettesEquivalent || '--';
+      cigaretteValue.title = state.cigarettesEquivalent ? '' : 'No PM2.5 reading for this location';
+    }
+    if (timestamp) this.updateFreshness(timestamp, state.dataFreshness);
+    if (dataSource) dataSource.textContent = state.dataFreshness?.sourceName || '';
+    this.updateNearbyCities(state.nearbyCities || []);
+  }
+
+  // Shortcuts to the places around; their data is prefetched, so they open instantly
+  updateNearbyCities(places) {
+    const container = this.querySelector('.nearby-cities');
+    const list = this.querySelector('.nearby-list');
+    if (!container || !list) return;
+
+    container.style.display = places.length ? 'flex' : 'none';
+    list.innerHTML = places.map((place, index) => `
+      <button type="button" class="nearby-chip" data-index="${index}" title="${Math.round(place.distance)} km away">
+        ${escapeHTML(place.name)}
+      </button>
+    `).join('');
+  }
+
+  // Pinned cities side by side, in the selected standard and for the selected daily routine
+  updateComparison(state) {
+    const panel = this.querySelector('.comparison-panel');
+    const list = this.querySelector('.comparison-list');
+    const pinButton = this.querySelector('.pin-city');
+    const app = this.props.app;
+    const comparison = state.comparison || [];
+
+    if (pinButton) pinButton.disabled = !app?.canPin();
+    if (!panel || !list) return;
+
+    panel.style.display = comparison.length ? 'block' : 'none';
+    list.innerHTML = comparison.map((entry, index) => `
+      <li class="comparison-card${entry.error ? ' error' : ''}" data-index="${index}">
+        <button type="button" class="comparison-remove" aria-label="Stop comparing ${escapeHTML(entry.name)}">&times;</button>
+        <button type="button" class="comparison-city">${escapeHTML(entry.name)}${entry.country ? `, ${escapeHTML(entry.country)}` : ''}</button>
+        ${this.renderComparisonReading(entry, state)}
+      </li>
+    `).join('');
+  }
+
+  renderComparisonReading(entry, state) {
+    if (entry.loading) return '<div class="loading-spinner"></div>';
+    if (entry.error || !entry.pollutants) {
+      return `<p class="comparison-error">${escapeHTML(entry.error || 'No data')}</p>`;
     }
-    if (pm25Value) pm25Value.textContent = state.currentPM25 || '--';
-    if (cigaretteValue) cigaretteValue.textContent = state.cigarettesEquivalent || '--';
-    if (timestamp) timestamp.textContent = `Updated ${this.formatTimestamp(new Date())}`;
+
+    const calculator = this.props.app.calculator;
+    const result = calculator.calculateAQIFromMultiplePollutants(entry.pollutants);
+    const category = this.getAQICategory(result.aqi);
+    const pollutant = POLLUTANTS[result.dominantPollutant];
+    const pm25 = entry.pollutants.pm25;
+    const cigarettes = Number.isFinite(pm25)
+      ? calculator.calculateCigarettesFromPM25(pm25, state.exposureSchedule).total.toFixed(2)
+      : '--';
+
+    return `
+      <div class="comparison-aqi ${category.key}" style="color: ${category.color}">${result.aqi}</div>
+      <div class="comparison-category">${category.description}</div>
+      <div class="comparison-pollutant">${pollutant ? pollutant.label : '—'}</div>
+      <div class="comparison-cigarettes">${cigarettes} 🚬 per day</div>
+    `;
+  }
+
+  // "Data from 47m ago", with the measurement time on hover; stale data is marked while it refreshes
+  updateFreshness(element, freshness) {
+    if (!freshness) {
+      element.textContent = 'Updated just now';
+      return;
+    }
+
+    const age = this.formatTimestamp(new Date(freshness.fetchedAt));
+    element.textContent = freshness.isStale ? `Data from ${age} · refreshing…` : `Data from ${age}`;
+    element.classList.toggle('stale', freshness.isStale);
+    element.title = freshness.observedAt ? `Measured ${new Date(freshness.observedAt).toLocaleString()}` : '';
   }
 
   updateHealthAdvisory(state) {
@@ -184,57 +472,133 @@ export class ResultsComponent extends Component {
 
     if (!riskBadge || !recommendations) return;
 
-    const riskLevel = this.getAQICategory(state.currentAQI);
+    const reading = this.getDisplayedReading(state);
+    const riskLevel = this.getAQICategory(reading.aqi);
     riskBadge.textContent = riskLevel.description;
     riskBadge.className = `risk-badge ${riskLevel.key}`;
 
-    const recs = this.generateRecommendations(state.currentAQI, state.currentPM25);
+    // Advice follows the displayed category, so each standard's own bands decide it
+    const recs = this.generateRecommendations(riskLevel.risk, reading.pm25);
     recommendations.innerHTML = recs.map(rec => `<li>${rec}</li>`).join('');
   }
 
-  updateDetailedInfo(state) {
-    // This would be populated with detailed pollutant data
-    // For now, we'll use mock data since the API response structure may vary
-    const mockPollutants = {
-      pm10: Math.round(state.currentPM25 * 1.5),
-      no2: Math.round(Math.random() * 50) + 10,
-      so2: Math.round(Math.random() * 20) + 5,
-      o3: Math.round(Math.random() * 100) + 20,
-      co: Math.round(Math.random() * 500) + 100
+  // The card shows the latest hourly reading, or the 12-hour NowCast when that mode is selected and available
+  getDisplayedReading(state) {
+    if (state.aqiMode === 'nowcast' && state.nowCast) {
+      return {
+        aqi: state.nowCast.aqi,
+        pm25: state.nowCast.concentrations.pm25,
+        dominantPollutant: state.nowCast.dominantPollutant,
+        nowCast: true
+      };
+    }
+
+    return {
+      aqi: state.currentAQI,
+      pm25: state.currentPM25,
+      dominantPollutant: state.dominantPollutant,
+      nowCast: false
     };
+  }
 
-    Object.entries(mockPollutants).forEach(([pollutant, value]) => {
-      const element = this.querySelector(`.${pollutant.toLowerCase()}-value`);
-      if (element) element.textContent = value;
-    });
+  updateDetailedInfo(state) {
+    const grid = this.querySelector('.pollutants-grid');
+    if (!grid) return;
+
+    const concentrations = state.currentPollutants || {};
+    const subIndices = state.subIndices || {};
+
+    // Pollutants the selected standard doesn't score are listed with their concentration only
+    grid.innerHTML = Object.entries(POLLUTANTS)
+      .filter(([key]) => concentrations[key] !== undefined && concentrations[key] !== null)
+      .map(([key, pollutant]) => {
+        const subIndex = subIndices[key];
+        const scored = subIndex !== null && subIndex !== undefined;
+        const category = scored ? this.getAQICategory(subIndex) : null;
+        const dominant = key === state.dominantPollutant ? ' dominant' : '';
+
+        return `
+          <div class="pollutant-item${dominant}" data-pollutant="${key}">
+            <span class="pollutant-name">${pollutant.label}</span>
+            <span class="pollutant-index ${category ? category.key : 'unscored'}" ${category ? `style="color: ${category.color}"` : ''}>
+              ${scored ? subIndex : '—'}
+            </span>
+            <span class="pollutant-value">${Math.round(concentrations[key] * 10) / 10}</span>
+            <span class="pollutant-unit">μg/m³</span>
+          </div>
+        `;
+      })
+      .join('');
+
+    this.updateExposureBreakdown(state);
   }
 
-  generateRecommendations(aqi, pm25) {
-    const recommendations = [];
-
-    if (aqi <= 50) {
-      recommendations.push('✅ Air quality is satisfactory. Enjoy outdoor activities!');
-      recommendations.push('🌱 Consider planting trees to help improve local air quality.');
-    } else if (aqi <= 100) {
-      recommendations.push('⚠️ Sensitive individuals should consider reducing prolonged outdoor exertion.');
-      recommendations.push('🏠 Keep windows closed during peak pollution hours.');
-    } else if (aqi <= 150) {
-      recommendations.push('🚨 Children, elderly, and those with respiratory conditions should avoid outdoor activities.');
-      recommendations.push('😷 Consider wearing N95 masks if you must go outside.');
-      recommendations.push('🏃‍♂️ Avoid outdoor exercise, especially near busy roads.');
-    } else if (aqi <= 200) {
-      recommendations.push('🚨 Everyone should avoid outdoor activities. Stay indoors with air filtration.');
-      recommendations.push('🏠 Use air purifiers with HEPA filters.');
-      recommendations.push('🚗 Avoid driving; use public transport or walk during low-traffic hours.');
-    } else if (aqi <= 300) {
-      recommendations.push('🚨 Hazardous conditions! Stay indoors, use air purifiers, and wear N95 masks if going outside.');
-      recommendations.push('🏥 Monitor health symptoms and seek medical attention if needed.');
-    } else {
-      recommendations.push('🚨 EMERGENCY: Severe health risk! Seek clean air immediately.');
-      recommendations.push('🏥 Emergency responders should use appropriate respiratory protection.');
-      recommendations.push('📞 Contact local health authorities for guidance.');
+  updateExposureBreakdown(state) {
+    const list = this.querySelector('.exposure-breakdown');
+    if (!list) return;
+
+    const blocks = state.exposure?.blocks || [];
+    list.innerHTML = blocks.map(block => `
+      <li class="exposure-block ${block.location}">
+        <span class="exposure-block-label">${escapeHTML(block.label)}</span>
+        <span class="exposure-block-detail">${block.hours} h ${block.location}, ${block.activity}</span>
+        <span class="exposure-block-value">${block.cigarettes.toFixed(2)} 🚬</span>
+      </li>
+    `).join('');
+  }
+
+  // Running totals from readings stored for the home location (see ExposureLedger.js)
+  updateExposureLedger(state) {
+    const panel = this.querySelector('.exposure-ledger');
+    if (!panel) return;
+
+    const ledger = state.ledger;
+    const cityName = state.currentCity?.name;
+
+    if (!ledger?.home) {
+      panel.innerHTML = `
+        <h4>Your Exposure Over Time</h4>
+        <p class="ledger-note">Set a home location to add up what you breathe there week by week.</p>
+        <button type="button" class="set-home">Set ${escapeHTML(cityName)} as home</button>
+      `;
+      return;
     }
 
+    const { week, month, year } = ledger.windows;
+    const atHome = state.currentCity && ledger.home.name === cityName && ledger.home.country === state.currentCity.country;
+    const row = (label, total) => `
+      <li>
+        <span class="ledger-window">${label}</span>
+        <span class="ledger-value">${total.cigarettes.toFixed(1)} cigarettes</span>
+        <span class="ledger-coverage">${total.coveredDays.toFixed(1)} of ${total.days} days recorded</span>
+      </li>
+    `;
+
+    panel.innerHTML = `
+      <h4>Your Exposure in ${escapeHTML(ledger.home.name)}</h4>
+      <p class="ledger-headline">
+        You have breathed the equivalent of <strong>${month.packs.toFixed(1)} packs</strong> this month
+      </p>
+      <ul class="ledger-windows">
+        ${row('Last 7 days', week)}
+        ${row('Last 30 days', month)}
+        ${row('Last 365 days', year)}
+      </ul>
+      <p class="ledger-note">
+        ${ledger.packYears.toFixed(3)} pack-years from ${ledger.samples} stored readings.
+        Days without readings are not counted.
+      </p>
+      ${atHome
+        ? '<button type="button" class="set-home" data-clear="true">Stop tracking</button>'
+        : `<button type="button" class="set-home">Make ${escapeHTML(cityName)} home instead</button>`}
+    `;
+  }
+
+  // `risk` is the category's tier on the advice scale (see AQIStandards.js)
+  generateRecommendations(risk, pm25) {
+    // No advice without a reading to base it on
+    const recommendations = [...(HEALTH_ADVICE[risk] || [])];
+
     // PM2.5 specific recommendations
     if (pm25 > 55.4) {
       recommendations.push('🔍 High PM2.5 levels detected. Use advanced air filtration systems.');
@@ -244,27 +608,14 @@ export class ResultsComponent extends Component {
   }
 
   getAQICategory(aqi) {
-    const categories = {
-      good: { min: 0, max: 50, color: '#00e400', description: 'Good', key: 'good' },
-      moderate: { min: 51, max: 100, color: '#ffff00', description: 'Moderate', key: 'moderate' },
-      unhealthy: { min: 101, max: 150, color: '#ff7e00', description: 'Unhealthy for Sensitive Groups', key: 'unhealthy' },
-      veryUnhealthy: { min: 151, max: 200, color: '#ff0000', description: 'Very Unhealthy', key: 'very-unhealthy' },
-      hazardous: { min: 201, max: 300, color: '#8f3f97', description: 'Hazardous', key: 'hazardous' },
-      severe: { min: 301, max: 500, color: '#7e0023', description: 'Very Hazardous', key: 'severe' }
-    };
-
-    for (const [key, category] of Object.entries(categories)) {
-      if (aqi >= category.min && aqi <= category.max) {
-        return category;
-      }
-    }
-
-    return categories.severe; // Default for extreme values
+    // Categories, names and colors follow the standard selected in the app
+    return this.props.app.calculator.getAQICategory(aqi);
   }
 
   showLoading() {
     const resultCard = this.querySelector('.result-card');
     if (resultCard) {
+      this.hideErrorRecovery();
       resultCard.style.display = 'block';
       resultCard.classList.add('loading');
 
@@ -279,7 +630,9 @@ export class ResultsComponent extends Component {
     }
   }
 
-  showError(error) {
+  // The failure in plain words, with one thing to do about it (see ERROR_RECOVERY)
+  showError({ error, errorType, errorRetryAfter }) {
+    const recovery = ERROR_RECOVERY[errorType] || ERROR_RECOVERY.unknown;
     const resultCard = this.querySelector('.result-card');
     if (resultCard) {
       resultCard.style.display = 'block';
@@ -297,18 +650,53 @@ export class ResultsComponent extends Component {
 
       const aqiCategory = this.querySelector('.aqi-category');
       if (aqiCategory) {
-        aqiCategory.textContent = error;
+        aqiCategory.textContent = recovery.message;
         aqiCategory.className = 'aqi-category error';
+        aqiCategory.title = error;
       }
+
+      this.showErrorRecovery(recovery, errorRetryAfter);
+    }
+  }
+
+  showErrorRecovery(recovery, retryAfter) {
+    const panel = this.querySelector('.error-recovery');
+    const hint = this.querySelector('.error-hint');
+    const button = this.querySelector('.error-action');
+    if (!panel || !hint || !button) return;
+
+    clearTimeout(this.retryTimer);
+    panel.style.display = 'block';
+    hint.textContent = recovery.hint;
+    button.textContent = recovery.label;
+    button.dataset.action = recovery.action;
+    button.disabled = false;
+
+    // Hold the retry back for as long as the source asked
+    if (retryAfter > 0) {
+      hint.textContent = `${recovery.hint} You can try again in ${Math.ceil(retryAfter / 1000)} s.`;
+      button.disabled = true;
+      this.retryTimer = setTimeout(() => {
+        button.disabled = false;
+        hint.textContent = recovery.hint;
+      }, retryAfter);
     }
   }
 
+  hideErrorRecovery() {
+    clearTimeout(this.retryTimer);
+    this.querySelector('.result-card')?.classList.remove('error');
+    const panel = this.querySelector('.error-recovery');
+    if (panel) panel.style.display = 'none';
+  }
+
   hideResults() {
     const resultCard = this.querySelector('.result-card');
     const healthAdvisory = this.querySelector('.health-advisory');
     const detailedInfo = this.querySelector('.detailed-info');
+    const exposureLedger = this.querySelector('.exposure-ledger');
 
-    [resultCard, healthAdvisory, detailedInfo].forEach(el => {
+    [resultCard, healthAdvisory, detailedInfo, exposureLedger].forEach(el => {
       if (el) el.style.display = 'none';
     });
   }
@@ -359,7 +747,8 @@ export class ResultsComponent extends Component {
 
   announceResults(state) {
     // Announce to screen readers
-    const announcement = `Air quality updated for ${state.currentCity.name}. AQI is ${state.currentAQI}, which is ${this.getAQICategory(state.currentAQI).description}.`;
+    const { aqi } = this.getDisplayedReading(state);
+    const announcement = `Air quality updated for ${state.currentCity.name}. AQI is ${aqi}, which is ${this.getAQICategory(aqi).description}.`;
 
     // Create aria-live region if it doesn't exist
     let liveRegion = document.getElementById('results-live-region');
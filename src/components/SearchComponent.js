@@ -7,6 +7,8 @@ export class SearchComponent extends Component {
     super(element, props);
     this.searchEngine = new SmartSearch([]);
     this.debounceTimer = null;
+    // Aborts the suggestion request still running when a newer one starts
+    this.searchController = null;
     this.currentQuery = '';
     this.isLoading = false;
   }
@@ -67,7 +69,7 @@ export class SearchComponent extends Component {
     }
 
     // Click outside to close autocomplete
-    document.addEventListener('click', (e) => {
+    this.addEventListener(document, 'click', (e) => {
       if (!this.element.contains(e.target)) {
         this.hideAutocomplete();
       }
@@ -77,6 +79,7 @@ export class SearchComponent extends Component {
   handleInput(e) {
     const query = e.target.value.trim();
     this.currentQuery = query;
+    this.cancelPendingSearch();
 
     if (query.length === 0) {
       this.hideAutocomplete();
@@ -94,31 +97,42 @@ export class SearchComponent extends Component {
   async performSearch(query) {
     if (query.length < 2) return;
 
+    this.cancelPendingSearch();
+    const controller = new AbortController();
+    this.searchController = controller;
     this.setLoading(true);
 
     try {
-      const suggestions = await this.fetchCitySuggestions(query);
+      const suggestions = await this.fetchCitySuggestions(query, controller.signal);
       this.searchEngine.updateCities(suggestions);
       this.displaySuggestions(suggestions, query);
     } catch (error) {
+      // A newer query took over; its own search reports the outcome
+      if (error.name === 'AbortError') return;
       console.error('Search failed:', error);
       this.showError('Failed to fetch city suggestions');
     } finally {
-      this.setLoading(false);
+      if (this.searchController === controller) {
+        this.searchController = null;
+        this.setLoading(false);
+      }
     }
   }
 
-  async fetchCitySuggestions(query) {
-    const response = await fetch(
-      `https://api.openweathermap.org/geo/1.0/direct?q=${encodeURIComponent(query)}&limit=8&appid=${this.props.app?.dataManager?.apiKey || '7f74765aaa2a9fb00ac8e6262e582771'}`
-    );
-
-    if (!response.ok) {
-      throw new Error('Failed to fetch suggestions');
+  cancelPendingSearch() {
+    clearTimeout(this.debounceTimer);
+    if (this.searchController) {
+      this.searchController.abort();
+      this.searchController = null;
+      this.setLoading(false);
     }
+  }
 
-    const data = await response.json();
-    return data.map(city => ({
+  async fetchCitySuggestions(query, signal) {
+    // Through the geocoding providers, as a search goes, so the keyless default still suggests
+    const places = await this.props.app.dataManager.fetchCitySuggestions(query, { signal });
+
+    return places.map(city => ({
       name: city.name,
       country: city.country,
       state: city.state,
@@ -185,6 +199,7 @@ export class SearchComponent extends Component {
     const input = this.querySelector('#cityInput');
     input.value = cityName;
 
+    this.cancelPendingSearch();
     this.hideAutocomplete();
 
     // Trigger search
@@ -257,6 +272,7 @@ export class SearchComponent extends Component {
     const query = input.value.trim();
 
     if (query) {
+      this.cancelPendingSearch();
       if (this.props.app) {
         this.props.app.searchCity(query);
       } else {
@@ -283,8 +299,9 @@ export class SearchComponent extends Component {
       const input = this.querySelector('#cityInput');
       input.value = cityData.displayName;
 
+      // Searched by coordinates, which the place name may only approximate
       if (this.props.app) {
-        this.props.app.searchCity(cityData.displayName);
+        this.props.app.searchCity(cityData);
       }
 
     } catch (error) {
@@ -306,29 +323,8 @@ export class SearchComponent extends Component {
   }
 
   async reverseGeocode(lat, lon) {
-    const response = await fetch(
-      `https://api.openweathermap.org/geo/1.0/reverse?lat=${lat}&lon=${lon}&limit=1&appid=${this.props.app?.dataManager?.apiKey || '7f74765aaa2a9fb00ac8e6262e582771'}`
-    );
-
-    if (!response.ok) {
-      throw new Error('Reverse geocoding failed');
-    }
-
-    const data = await response.json();
-
-    if (data.length === 0) {
-      throw new Error('No location found');
-    }
-
-    const city = data[0];
-    return {
-      name: city.name,
-      country: city.country,
-      state: city.state,
-      lat,
-      lon,
-      displayName: this.formatCityName(city)
-    };
+    const city = await this.props.app.dataManager.reverseGeocode(lat, lon);
+    return { ...city, displayName: this.formatCityName(city) };
   }
 
   formatCityName(city) {
@@ -473,21 +469,22 @@ export class SearchComponent extends Component {
     }, 3000);
   }
 
-  onStateChange(prevState, newState) {
+  // Re-rendering would clear what the user is typing, so app state changes only touch the parts that follow it
+  update(changes) {
+    if (!this.isMounted) return;
+
     // Update loading state
-    if (prevState.loading !== newState.loading) {
-      this.setLoading(newState.loading);
+    if (changes.loading) {
+      this.setLoading(changes.loading.current);
     }
 
-    // Update current city in input if it changed
-    if (prevState.currentCity !== newState.currentCity && newState.currentCity) {
+    // Show the city that was found when the search came from elsewhere (a chip, the comparison list)
+    const currentCity = changes.currentCity?.current;
+    if (currentCity) {
       const input = this.querySelector('#cityInput');
       if (input && !input.value) {
-        input.value = newState.currentCity.name;
+        input.value = currentCity.name;
       }
     }
   }
 }
-
-
-
@@ -1,6 +1,32 @@
 // src/components/VisualizationComponent.js - Advanced Canvas Visualizations
 import { Component } from '../core/Component.js';
-import { CanvasRenderer } from '../modules/CanvasRenderer.js';
+import { CanvasRenderer, POLLUTANT_COLORS } from '../modules/CanvasRenderer.js';
+import { POLLUTANTS } from '../modules/AQIStandards.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Days in the daily trend; DataManager keeps this much history
+const TREND_DAYS = 7;
+
+// App state the charts and insight cards are drawn from; the standard sets the category colours and
+// the schedule the comparison's cigarette figures
+const VISUALIZATION_STATE = ['currentAQI', 'cigarettesEquivalent', 'currentPM25', 'currentPollutants', 'exposure', 'history', 'forecast', 'forecastModel', 'comparison', 'aqiStandard', 'exposureSchedule'];
+
+// Mean concentration of each pollutant over the readings that measured it (μg/m³)
+function meanConcentrations(readings) {
+  const means = {};
+
+  Object.keys(POLLUTANTS).forEach(pollutant => {
+    const values = readings
+      .map(reading => reading?.[pollutant])
+      .filter(value => Number.isFinite(value));
+    if (values.length > 0) {
+      means[pollutant] = values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+  });
+
+  return means;
+}
 
 export class VisualizationComponent extends Component {
   constructor(element, props = {}) {
@@ -9,24 +35,42 @@ export class VisualizationComponent extends Component {
     this.renderer = null;
     this.animationId = null;
     this.isAnimating = false;
-    this.currentVisualization = 'cigarettes'; // cigarettes, chart, particles
+    this.currentVisualization = 'cigarettes'; // cigarettes, chart, week, breakdown, forecast, compare, particles
+    this.forecastHorizon = 24; // hours ahead searched for the cleanest window
   }
 
   render() {
     if (!this.element) return;
 
+    const active = (vizType) => (vizType === this.currentVisualization ? 'active' : '');
+    const horizonOptions = [24, 48, 72, 96]
+      .map(hours => `<option value="${hours}" ${hours === this.forecastHorizon ? 'selected' : ''}>next ${hours} hours</option>`)
+      .join('');
+
     this.element.innerHTML = `
       <div class="visualization-container">
         <div class="visualization-header">
           <h3>Air Quality Visualization</h3>
           <div class="visualization-controls">
-            <button class="viz-btn active" data-viz="cigarettes">
+            <button class="viz-btn ${active('cigarettes')}" data-viz="cigarettes">
               <i class="fas fa-smoking"></i> Cigarettes
             </button>
-            <button class="viz-btn" data-viz="chart">
+            <button class="viz-btn ${active('chart')}" data-viz="chart">
               <i class="fas fa-chart-line"></i> Trend
             </button>
-            <button class="viz-btn" data-viz="particles">
+            <button class="viz-btn ${active('week')}" data-viz="week">
+              <i class="fas fa-calendar-week"></i> 7 Days
+            </button>
+            <button class="viz-btn ${active('breakdown')}" data-viz="breakdown">
+              <i class="fas fa-chart-bar"></i> Pollutants
+            </button>
+            <button class="viz-btn ${active('forecast')}" data-viz="forecast">
+              <i class="fas fa-cloud-sun"></i> Forecast
+            </button>
+            <button class="viz-btn ${active('compare')}" data-viz="compare">
+              <i class="fas fa-balance-scale"></i> Compare
+            </button>
+            <button class="viz-btn ${active('particles')}" data-viz="particles">
               <i class="fas fa-atom"></i> Particles
             </button>
           </div>
@@ -43,6 +87,17 @@ export class VisualizationComponent extends Component {
           </div>
         </div>
 
+        <div class="forecast-summary" style="display: none;">
+          <div class="forecast-summary-header">
+            <h4>Best time to go outside</h4>
+            <select class="forecast-horizon" aria-label="Forecast range">
+              ${horizonOptions}
+            </select>
+          </div>
+          <p class="forecast-source" style="display: none;"></p>
+          <ul class="forecast-windows"></ul>
+        </div>
+
         <div class="visualization-info">
           <div class="info-item">
             <span class="info-label">Equivalent to smoking</span>
@@ -54,6 +109,21 @@ export class VisualizationComponent extends Component {
             <span class="info-value" id="health-impact">--</span>
           </div>
         </div>
+
+        <div class="chart-insights" style="display: none;">
+          <div class="insight-card">
+            <h4>Air Quality Trend</h4>
+            <p class="insight-trend"></p>
+          </div>
+          <div class="insight-card">
+            <h4>Health Recommendation</h4>
+            <p class="insight-health"></p>
+          </div>
+          <div class="insight-card">
+            <h4>Cigarette Comparison</h4>
+            <p class="insight-cigarettes"></p>
+          </div>
+        </div>
       </div>
     `;
 
@@ -71,6 +141,14 @@ export class VisualizationComponent extends Component {
       });
     });
 
+    const horizonSelect = this.querySelector('.forecast-horizon');
+    if (horizonSelect) {
+      horizonSelect.addEventListener('change', (e) => {
+        this.forecastHorizon = Number(e.target.value);
+        this.renderVisualization();
+      });
+    }
+
     // Canvas interactions
     const canvas = this.querySelector('#aqi-canvas');
     if (canvas) {
@@ -78,9 +156,13 @@ export class VisualizationComponent extends Component {
       canvas.addEventListener('mouseleave', this.handleMouseLeave.bind(this));
       canvas.addEventListener('click', this.handleCanvasClick.bind(this));
     }
+  }
+
+  onMount() {
+    super.onMount();
 
-    // Handle window resize
-    window.addEventListener('resize', this.handleResize.bind(this));
+    // Handle window resize; the window outlives each render, so this is bound once
+    this.addEventListener(window, 'resize', () => this.handleResize());
   }
 
   initializeCanvas() {
@@ -113,28 +195,57 @@ export class VisualizationComponent extends Component {
 
     const state = this.props.app?.state?.getState() || {};
     const { currentAQI, cigarettesEquivalent, currentPM25 } = state;
+    // Pinned cities can be compared before anything has been searched
+    const comparing = this.currentVisualization === 'compare' && state.comparison?.length > 0;
 
-    if (!currentAQI && !cigarettesEquivalent) {
+    // A new view, or the same one redrawn, starts its own animation
+    this.stopAnimation();
+
+    if (!currentAQI && !cigarettesEquivalent && !comparing) {
       this.renderEmptyState();
       return;
     }
 
+    // The canvas has no size until its container is shown
+    if (this.element.style.display === 'none') {
+      this.reveal('visualization-placeholder');
+      this.resizeCanvas();
+    }
+
     this.showLoading();
 
+    const forecastSummary = this.querySelector('.forecast-summary');
+    if (forecastSummary) {
+      forecastSummary.style.display = this.currentVisualization === 'forecast' ? 'block' : 'none';
+    }
+
     switch (this.currentVisualization) {
       case 'cigarettes':
-        this.renderCigaretteVisualization(cigarettesEquivalent || 0);
+        this.renderCigaretteVisualization(cigarettesEquivalent);
         break;
       case 'chart':
-        this.renderChartVisualization();
+        this.renderChartVisualization(state.history || []);
+        break;
+      case 'week':
+        this.renderWeekVisualization(state.history || [], cigarettesEquivalent);
+        break;
+      case 'breakdown':
+        this.renderBreakdownVisualization(state.history || [], state.currentPollutants, cigarettesEquivalent);
+        break;
+      case 'forecast':
+        this.renderForecastVisualization(state.forecast || [], state.forecastModel);
+        break;
+      case 'compare':
+        this.renderComparisonVisualization(state.comparison || [], state.exposureSchedule);
         break;
       case 'particles':
         this.renderParticleVisualization(currentPM25 || 0);
         break;
       default:
-        this.renderCigaretteVisualization(cigarettesEquivalent || 0);
+        this.renderCigaretteVisualization(cigarettesEquivalent);
     }
 
+    this.updateInsights(state);
     this.hideLoading();
   }
 
@@ -143,6 +254,13 @@ export class VisualizationComponent extends Component {
 
     this.renderer.clear();
 
+    // The source had no PM2.5, which is all the cigarette figure is based on
+    if (cigaretteCount === null || cigaretteCount === undefined) {
+      this.renderer.drawEmptyState('No PM2.5 reading for this location');
+      this.updateVisualizationInfo('--', 'cigarettes');
+      return;
+    }
+
     // Create 3D cigarette visualization
     const centerX = this.canvas.width / 2;
     const centerY = this.canvas.height / 2;
@@ -164,6 +282,10 @@ export class VisualizationComponent extends Component {
       this.renderer.draw3DCigarette(x, y, i, maxCigarettes);
     }
 
+    if (cigaretteCount > maxCigarettes) {
+      this.renderer.drawCaption(`+${Math.ceil(cigaretteCount - maxCigarettes)} more cigarettes`);
+    }
+
     // Add breathing animation
     if (!this.isAnimating) {
       this.startBreathingAnimation(maxCigarettes);
@@ -173,21 +295,172 @@ export class VisualizationComponent extends Component {
     this.updateVisualizationInfo(cigaretteCount, 'cigarettes');
   }
 
-  renderChartVisualization() {
+  renderChartVisualization(history) {
     if (!this.renderer) return;
 
     this.renderer.clear();
 
-    // Create mock historical data for demo
-    const mockData = this.generateMockHistoricalData();
-    this.renderer.drawAnimatedLineChart(mockData);
+    const hourly = this.buildHourlySeries(history);
+    this.renderer.drawAnimatedLineChart(hourly);
 
     // Add trend line
-    this.renderer.drawTrendLine(mockData);
+    this.renderer.drawTrendLine(hourly);
 
     this.updateVisualizationInfo('Historical Trend', 'chart');
   }
 
+  // Daily mean AQI over the last week; hollow points are days with fewer than 24 measured hours
+  renderWeekVisualization(history, cigarettesEquivalent) {
+    if (!this.renderer) return;
+
+    this.renderer.clear();
+
+    const daily = this.buildDailySeries(history);
+    const timeLabels = daily.map(day => {
+      const date = new Date(day.timestamp).toLocaleDateString([], { month: 'short', day: 'numeric' });
+      return day.partial ? `${date} · ${day.hours}h` : date;
+    });
+    this.renderer.drawAnimatedLineChart(daily, { timeLabels });
+
+    this.updateVisualizationInfo(cigarettesEquivalent || '--', 'week');
+  }
+
+  // Mean of each pollutant over the measured hours, or the current reading when there is no history
+  renderBreakdownVisualization(history, currentPollutants, cigarettesEquivalent) {
+    if (!this.renderer) return;
+
+    this.renderer.clear();
+
+    const samples = history.length > 0 ? history : [currentPollutants];
+    const means = meanConcentrations(samples);
+    const bars = Object.keys(POLLUTANT_COLORS)
+      .filter(pollutant => pollutant in means)
+      .map(pollutant => ({
+        label: POLLUTANTS[pollutant].label,
+        value: means[pollutant],
+        color: POLLUTANT_COLORS[pollutant]
+      }));
+
+    const unit = history.length > 0 ? `μg/m³, mean of ${history.length} measured hours` : 'μg/m³, latest reading';
+    this.renderer.drawBarChart(bars, { unit });
+
+    this.updateVisualizationInfo(cigarettesEquivalent || '--', 'breakdown');
+  }
+
+  renderForecastVisualization(forecast, forecastModel) {
+    if (!this.renderer) return;
+
+    this.renderer.clear();
+    this.updateForecastSource(forecastModel);
+
+    const calculator = this.props.app?.calculator;
+    if (!calculator || forecast.length === 0) {
+      this.renderer.drawEmptyState('No forecast available for this location');
+      this.updateForecastSummary([]);
+      this.updateVisualizationInfo('--', 'forecast');
+      return;
+    }
+
+    const horizon = this.forecastHorizon;
+    const firstHour = Math.floor(Date.now() / HOUR) * HOUR;
+    const series = forecast
+      .filter(reading => reading.timestamp >= firstHour && reading.timestamp < firstHour + horizon * HOUR)
+      .map(reading => ({
+        timestamp: reading.timestamp,
+        aqi: calculator.calculateAQIFromMultiplePollutants(reading).aqi,
+        pm25: reading.pm25
+      }));
+
+    const windows = calculator.findCleanestWindows(forecast, { horizon });
+    const highlights = windows.map((window, rank) => ({
+      from: series.findIndex(point => point.timestamp === window.start),
+      to: series.findIndex(point => point.timestamp === window.end - HOUR),
+      label: `#${rank + 1}`
+    }));
+
+    const timeLabels = [0, 0.25, 0.5, 0.75, 1].map(share => (share === 0 ? 'Now' : `+${Math.round(horizon * share)}h`));
+    this.renderer.drawAnimatedLineChart(series, { timeLabels, highlights });
+
+    this.updateForecastSummary(windows);
+    this.updateVisualizationInfo(windows.length ? windows[0].cigarettes.toFixed(2) : '--', 'forecast');
+  }
+
+  // The pinned cities' daily mean AQI over the last TREND_DAYS on one scale; the info line gives their range of cigarettes
+  renderComparisonVisualization(comparison, exposureSchedule) {
+    if (!this.renderer) return;
+
+    this.renderer.clear();
+
+    const calculator = this.props.app?.calculator;
+    const pinned = comparison.filter(entry => entry.pollutants);
+    if (!calculator || pinned.length === 0) {
+      this.renderer.drawEmptyState('Pin cities from the results to compare them');
+      this.updateVisualizationInfo('--', 'compare');
+      return;
+    }
+
+    const series = pinned.map(entry => ({
+      label: entry.name,
+      points: this.buildDailySeries(entry.history || [])
+    }));
+    const timeLabels = series[0].points.map(day => new Date(day.timestamp).toLocaleDateString([], { month: 'short', day: 'numeric' }));
+    this.renderer.drawComparisonChart(series, { timeLabels });
+
+    const cigarettes = pinned
+      .filter(entry => Number.isFinite(entry.pollutants.pm25))
+      .map(entry => calculator.calculateCigarettesFromPM25(entry.pollutants.pm25, exposureSchedule).total);
+    const range = cigarettes.length
+      ? `${Math.min(...cigarettes).toFixed(2)}–${Math.max(...cigarettes).toFixed(2)}`
+      : '--';
+    this.updateVisualizationInfo(range, 'compare');
+  }
+
+  // A forecast modelled from history says so, with how it did on the last measured day
+  updateForecastSource(forecastModel) {
+    const source = this.querySelector('.forecast-source');
+    if (!source) return;
+
+    source.style.display = forecastModel ? '' : 'none';
+    if (!forecastModel) return;
+
+    const { 'holt-winters': model, linear } = forecastModel.backtest?.models || {};
+    const accuracy = Number.isFinite(model?.mae)
+      ? ` On the last measured day it was off by ${model.mae} μg/m³ on average${Number.isFinite(linear?.mae) ? ` (a straight-line trend: ${linear.mae})` : ''}.`
+      : '';
+    source.textContent = `No forecast from this source; PM2.5 is modelled from the last ${TREND_DAYS} days' daily cycle.${accuracy}`;
+  }
+
+  updateForecastSummary(windows) {
+    const list = this.querySelector('.forecast-windows');
+    if (!list) return;
+
+    if (windows.length === 0) {
+      list.innerHTML = '<li class="forecast-window empty">No forecast hours to compare yet.</li>';
+      return;
+    }
+
+    const calculator = this.props.app.calculator;
+    const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const formatDay = (timestamp) => {
+      const day = new Date(timestamp);
+      return day.toDateString() === new Date().toDateString()
+        ? 'Today'
+        : day.toLocaleDateString([], { weekday: 'short' });
+    };
+
+    list.innerHTML = windows.map((window, rank) => {
+      const category = calculator.getAQICategory(window.aqi);
+      return `
+        <li class="forecast-window ${rank === 0 ? 'best' : ''}">
+          <span class="forecast-window-rank">#${rank + 1}</span>
+          <span class="forecast-window-time">${formatDay(window.start)} ${formatTime(window.start)}–${formatTime(window.end)}</span>
+          <span class="forecast-window-aqi ${category.key}" style="color: ${category.color}">AQI ${window.aqi} · ${category.description}</span>
+          <span class="forecast-window-dose">${window.cigarettes.toFixed(2)} 🚬 for ${Math.round((window.end - window.start) / HOUR)} h outside</span>
+        </li>
+      `;
+    }).join('');
+  }
+
   renderParticleVisualization(pm25) {
     if (!this.renderer) return;
 
@@ -260,6 +533,10 @@ export class VisualizationComponent extends Component {
           countElement.textContent = `${value} μg/m³`;
           break;
         case 'chart':
+        case 'week':
+        case 'breakdown':
+        case 'forecast':
+        case 'compare':
           countElement.textContent = value;
           break;
         default:
@@ -279,6 +556,72 @@ export class VisualizationComponent extends Component {
     }
   }
 
+  // Three short readings of the current city: this week's trend, what to do, and what the air compares to
+  updateInsights(state) {
+    const insights = this.querySelector('.chart-insights');
+    if (!insights) return;
+
+    const calculator = this.props.app?.calculator;
+    const { currentAQI, currentPM25, exposure } = state;
+    if (!calculator || currentAQI === null || currentAQI === undefined) {
+      insights.style.display = 'none';
+      return;
+    }
+
+    insights.style.display = '';
+    this.querySelector('.insight-trend').textContent = this.getTrendSummary(currentAQI, this.buildDailySeries(state.history || []));
+
+    // Advice follows the index's category in the active standard, as on the results card
+    this.querySelector('.insight-health').textContent = calculator.generateRecommendations(currentAQI, currentPM25)[0];
+
+    const cigarettes = exposure?.total;
+    this.querySelector('.insight-cigarettes').textContent = Number.isFinite(cigarettes)
+      ? `A day of this air equals smoking ${cigarettes.toFixed(2)} cigarette${cigarettes === 1 ? '' : 's'}. ${this.getCigaretteComparison(cigarettes)}`
+      : 'No PM2.5 reading for this location, so there is no cigarette equivalent.';
+  }
+
+  getTrendSummary(currentAQI, daily) {
+    const measured = daily.filter(day => day.aqi !== null);
+    if (measured.length === 0) {
+      return `Current AQI is ${currentAQI}. No measured history is available for the past ${TREND_DAYS} days.`;
+    }
+
+    const average = Math.round(measured.reduce((sum, day) => sum + day.aqi, 0) / measured.length);
+    const missing = daily.length - measured.length;
+    const coverage = missing > 0 ? ` (${missing} day${missing !== 1 ? 's' : ''} without data)` : '';
+    const direction = this.getTrendDirection(daily);
+    if (!direction) {
+      return `Current AQI is ${currentAQI}. The average of the measured days is ${average}${coverage}; too few days were measured to show a trend.`;
+    }
+    return `Current AQI of ${currentAQI}; the last three days are ${direction} than the first three, with a ${TREND_DAYS}-day average of ${average}${coverage}.`;
+  }
+
+  // Last three days against the first three, or null when either end has no measurements
+  getTrendDirection(daily) {
+    const mean = (days) => {
+      const measured = days.filter(day => day.aqi !== null);
+      return measured.length ? measured.reduce((sum, day) => sum + day.aqi, 0) / measured.length : null;
+    };
+    const recent = mean(daily.slice(-3));
+    const older = mean(daily.slice(0, 3));
+
+    if (recent === null || older === null) return null;
+    if (recent > older + 10) return 'significantly higher';
+    if (recent > older + 5) return 'higher';
+    if (recent < older - 10) return 'significantly lower';
+    if (recent < older - 5) return 'lower';
+    return 'about the same';
+  }
+
+  getCigaretteComparison(cigarettes) {
+    if (cigarettes === 0) return 'Equivalent to breathing clean air.';
+    if (cigarettes <= 2) return 'Similar to light exposure to secondhand smoke.';
+    if (cigarettes <= 5) return 'Comparable to being in a moderately smoky environment.';
+    if (cigarettes <= 10) return 'Like being in a heavily polluted urban area.';
+    if (cigarettes <= 20) return 'Equivalent to heavy smoking exposure.';
+    return 'Extremely hazardous - like chain smoking.';
+  }
+
   handleMouseMove(e) {
     if (!this.canvas) return;
 
@@ -398,35 +741,74 @@ export class VisualizationComponent extends Component {
     }
   }
 
-  generateMockHistoricalData() {
-    const data = [];
-    const now = Date.now();
-    const hours = 24;
+  // One point per hour of the last day, AQI in the selected standard.
+  // Hours without a measurement get `aqi: null` so the chart shows them as gaps.
+  buildHourlySeries(history, hours = 24) {
+    const calculator = this.props.app?.calculator;
+    const byHour = new Map(history.map(reading => [Math.floor(reading.timestamp / HOUR), reading]));
+    const lastHour = Math.floor(Date.now() / HOUR);
+    const series = [];
+
+    for (let hour = lastHour - hours + 1; hour <= lastHour; hour++) {
+      const reading = byHour.get(hour);
+      const aqi = reading && calculator
+        ? calculator.calculateAQIFromMultiplePollutants(reading).aqi
+        : null;
+
+      series.push({ timestamp: hour * HOUR, aqi, pm25: reading?.pm25 ?? null });
+    }
 
-    for (let i = 0; i < hours; i++) {
-      const timestamp = now - (hours - i) * 60 * 60 * 1000;
-      const baseAQI = 50 + Math.sin(i / 4) * 30 + Math.random() * 20;
-      const aqi = Math.max(0, Math.round(baseAQI));
+    return series;
+  }
 
-      data.push({
-        timestamp,
+  // One point per local day of the last TREND_DAYS, from the mean of each pollutant over the hours measured that day.
+  // Days without a measurement get `aqi: null`; days with fewer than 24 hours are marked `partial`.
+  buildDailySeries(history, days = TREND_DAYS) {
+    const calculator = this.props.app?.calculator;
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const series = [];
+
+    for (let i = days - 1; i >= 0; i--) {
+      const dayStart = new Date(today);
+      dayStart.setDate(dayStart.getDate() - i);
+      const dayEnd = new Date(dayStart);
+      dayEnd.setDate(dayEnd.getDate() + 1);
+
+      const readings = history.filter(reading => reading.timestamp >= dayStart.getTime() && reading.timestamp < dayEnd.getTime());
+      const means = meanConcentrations(readings);
+      const aqi = readings.length > 0 && calculator
+        ? calculator.calculateAQIFromMultiplePollutants(means).aqi
+        : null;
+
+      series.push({
+        timestamp: dayStart.getTime(),
         aqi,
-        pm25: Math.round(aqi * 0.5)
+        pm25: means.pm25 ?? null,
+        hours: readings.length,
+        partial: aqi !== null && readings.length < 24
       });
     }
 
-    return data;
+    return series;
+  }
+
+  shouldUpdate(changes) {
+    return VISUALIZATION_STATE.some(key => changes[key]);
   }
 
+  // Rendering draws the current view again (see initializeCanvas)
   update(changes) {
-    super.update(changes);
+    if (!this.shouldUpdate(changes)) return;
 
-    // Check if relevant state changed
-    const relevantChanges = ['currentAQI', 'cigarettesEquivalent', 'currentPM25'];
-    const hasRelevantChange = relevantChanges.some(key => changes[key]);
+    super.update(changes);
+  }
 
-    if (hasRelevantChange) {
-      this.renderVisualization();
+  stopAnimation() {
+    this.isAnimating = false;
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
     }
   }
 
@@ -434,10 +816,7 @@ export class VisualizationComponent extends Component {
     super.onUnmount();
 
     // Stop animations
-    this.isAnimating = false;
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-    }
+    this.stopAnimation();
 
     // Clean up renderer
     if (this.renderer) {
@@ -20,8 +20,8 @@ export class Component {
 
     this.isMounted = true;
     this.onMount();
+    // render() replaces the markup, so it binds the events for it too
     this.render();
-    this.bindEvents();
 
     console.log(`${this.constructor.name} mounted`);
   }
@@ -146,6 +146,15 @@ export class Component {
     }
   }
 
+  // Containers start hidden in index.html, behind a placeholder that goes once there is something to show
+  reveal(placeholderId) {
+    if (!this.element) return;
+
+    this.element.style.display = '';
+    const placeholder = document.getElementById(placeholderId);
+    if (placeholder) placeholder.style.display = 'none';
+  }
+
   // Animation helpers
   animate(property, from, to, duration = 300, easing = 'ease-out') {
     return new Promise((resolve) => {
@@ -223,7 +232,7 @@ export class Component {
 
   // Override these methods in subclasses
   render() {
-    // Override in subclass
+    // Override in subclass; call bindEvents() once the markup is in place
   }
 
   bindEvents() {
@@ -254,3 +263,10 @@ export class Component {
 
 
 
+
+// For text from outside the app (city names, URLs, error messages) that goes into innerHTML
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export function escapeHTML(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
@@ -31,6 +31,7 @@ class AppBootstrap {
 
       // Critical path only - initialize app immediately
       app = new AQIApp();
+      window.AQIApp = app;
 
       // Setup essential features only
       this.setupEssentialFeatures();
@@ -320,6 +321,5 @@ if (document.readyState === 'loading') {
   bootstrap.initialize();
 }
 
-// Export for debugging
-window.AQIApp = app;
+// Export for debugging (window.AQIApp is set once the app exists)
 window.AppConfig = config;
@@ -1,67 +1,229 @@
 // src/modules/AQICalculator.js - Advanced AQI Calculations
+// Shared by the app, the calculator worker and Node scripts: keep it (and its imports) free of browser APIs
+import { AQI_STANDARDS, DEFAULT_STANDARD, POLLUTANTS, getStandard, listStandards, resolveStandardId } from './AQIStandards.js';
+import { UnitConverter } from './UnitConverter.js';
+import { ExposureModel } from './ExposureModel.js';
+
+// EPA NowCast: 12 hourly averages, with a weight floor for particulates
+const HOUR = 60 * 60 * 1000;
+const NOWCAST_HOURS = 12;
+const NOWCAST_MIN_WEIGHT = { pm25: 0.5, pm10: 0.5 };
+
+// Headline advice for each tier of the advice scale; categories map onto it through their `risk`
+const RISK_ADVICE = {
+  good: 'Air quality is good. Enjoy outdoor activities!',
+  moderate: 'Air quality is moderate. Sensitive individuals should consider limiting prolonged outdoor exertion.',
+  unhealthy: 'Air quality is unhealthy for sensitive groups. Children, elderly, and those with respiratory conditions should avoid outdoor activities.',
+  'very-unhealthy': 'Air quality is very unhealthy. Everyone should avoid outdoor activities. Stay indoors with air filtration.',
+  hazardous: 'Air quality is hazardous. Stay indoors, use air purifiers, and wear N95 masks if going outside is necessary.',
+  severe: 'Air quality is severe. Emergency conditions! Seek clean air immediately, use advanced respiratory protection.'
+};
+
+// Stands in for a category when there is no reading to place
+const UNKNOWN_CATEGORY = { key: 'unknown', min: null, max: null, color: '#9e9e9e', description: 'No data', risk: null };
+
 export class AQICalculator {
-  constructor() {
-    this.aqiBreakpoints = {
-      pm25: [
-        { min: 0.0, max: 12.0, aqiMin: 0, aqiMax: 50 },
-        { min: 12.1, max: 35.4, aqiMin: 51, aqiMax: 100 },
-        { min: 35.5, max: 55.4, aqiMin: 101, aqiMax: 150 },
-        { min: 55.5, max: 150.4, aqiMin: 151, aqiMax: 200 },
-        { min: 150.5, max: 250.4, aqiMin: 201, aqiMax: 300 },
-        { min: 250.5, max: 350.4, aqiMin: 301, aqiMax: 400 },
-        { min: 350.5, max: 500.4, aqiMin: 401, aqiMax: 500 }
-      ],
-      pm10: [
-        { min: 0, max: 54, aqiMin: 0, aqiMax: 50 },
-        { min: 55, max: 154, aqiMin: 51, aqiMax: 100 },
-        { min: 155, max: 254, aqiMin: 101, aqiMax: 150 },
-        { min: 255, max: 354, aqiMin: 151, aqiMax: 200 },
-        { min: 355, max: 424, aqiMin: 201, aqiMax: 300 },
-        { min: 425, max: 504, aqiMin: 301, aqiMax: 400 },
-        { min: 505, max: 604, aqiMin: 401, aqiMax: 500 }
-      ]
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.standard] - Id of the AQI standard to report in, e.g. 'epa-2024' or 'epa-2012' (see AQIStandards.js)
+   * @param {{temperature?: number, pressure?: number}} [options.conditions] - Air conditions for ppb/ppm conversion
+   * @param {Object} [options.exposure] - Breathing rate / infiltration overrides passed to ExposureModel
+   *
+   * Every method that takes a concentration accepts either a number in μg/m³ or a { value, unit } pair,
+   * where unit is one of 'μg/m³', 'mg/m³', 'ppb' or 'ppm'.
+   */
+  constructor(options = {}) {
+    this.units = new UnitConverter(options.conditions);
+    this.exposure = new ExposureModel(options.exposure);
+    this.setStandard(options.standard || DEFAULT_STANDARD);
+  }
+
+  // Temperature (°C) and pressure (hPa) used to convert gases, e.g. from DataManager.fetchWeatherData
+  setConditions(conditions) {
+    return this.units.setConditions(conditions);
+  }
+
+  // Concentration in μg/m³ from a plain number or a { value, unit } pair
+  toMicrograms(pollutant, concentration) {
+    return this.units.resolve(pollutant, concentration);
+  }
+
+  // Standard selection
+  setStandard(standardId) {
+    this.standard = getStandard(standardId);
+    this.standardId = this.standard.id;
+    this.aqiBreakpoints = this.standard.pollutants;
+    return this.standard;
+  }
+
+  getStandard() {
+    return this.standard;
+  }
+
+  listStandards() {
+    return listStandards();
+  }
+
+  hasStandard(standardId) {
+    return Boolean(AQI_STANDARDS[resolveStandardId(standardId)]);
+  }
+
+  // Identifies the table a result was computed with, so stored values can be recomputed later
+  getStandardVersion() {
+    return { standard: this.standardId, version: this.standard.version };
+  }
+
+  // Full PM2.5 result tagged with the standard and table version used
+  calculateAQIResult(pm25) {
+    const aqi = this.calculateAQIFromPM25(pm25);
+    return {
+      aqi,
+      pm25: this.toMicrograms('pm25', pm25),
+      category: this.getAQICategory(aqi).key,
+      ...this.getStandardVersion()
     };
   }
 
-  // Calculate AQI from PM2.5 concentration
-  calculateAQIFromPM25(pm25) {
-    if (pm25 < 0) return 0;
-    if (pm25 > 500.4) return 500;
+  /**
+   * Everything the calculator worker reports for one reading, worked out here so that the worker,
+   * the main-thread fallback and Node scripts agree to the last digit.
+   * @param {{pm25: number, temperature?: number, humidity?: number, schedule?: string|Array}} reading
+   * @returns {{aqi: number, cigarettes: number, healthRisk: {aqi: number, level: string, risk: string}, recommendations: Array<string>, standard: string, version: string}}
+   *   `healthRisk.level` is the category key in the active standard, `risk` its tier on the shared advice scale
+   */
+  calculateMetrics({ pm25, temperature = 20, humidity = 50, schedule }) {
+    const aqi = this.calculateAdvancedAQI(pm25, temperature, humidity);
+
+    return {
+      aqi,
+      // From PM2.5 itself, as the app shows it, not from the rounded index
+      cigarettes: Number(this.calculateCigarettesFromPM25(pm25, schedule).total.toFixed(2)),
+      healthRisk: { aqi, level: this.getAQICategory(aqi).key, risk: this.getRiskLevel(aqi) },
+      recommendations: this.generateRecommendations(aqi, pm25),
+      ...this.getStandardVersion()
+    };
+  }
 
-    for (const breakpoint of this.aqiBreakpoints.pm25) {
-      if (pm25 >= breakpoint.min && pm25 <= breakpoint.max) {
-        return this.linearScale(pm25, breakpoint.min, breakpoint.max, breakpoint.aqiMin, breakpoint.aqiMax);
+  // Truncate (not round) to the reporting precision of the standard
+  truncateConcentration(value, digits) {
+    if (digits === undefined || digits === null) return value;
+    const factor = Math.pow(10, digits);
+    // The epsilon keeps values such as 35.4 (35.39999...) from truncating down a step
+    return Math.floor(value * factor + 1e-9) / factor;
+  }
+
+  // Calculate the index for a single pollutant in the active (or given) standard.
+  // The concentration is converted to the unit of the standard's table.
+  calculateSubIndex(pollutant, concentration, standardId = this.standardId) {
+    const standard = standardId === this.standardId ? this.standard : getStandard(standardId);
+    const breakpoints = standard.pollutants[pollutant];
+    if (!breakpoints) {
+      throw new Error(`${standard.shortName} has no breakpoints for ${pollutant}`);
+    }
+
+    const value = this.convertConcentration(pollutant, this.toMicrograms(pollutant, concentration), standard.units?.[pollutant]);
+    const supplementaryKey = standard.supplementary?.[pollutant];
+
+    if (!supplementaryKey) {
+      return this.lookupIndex(standard, pollutant, value);
+    }
+
+    // e.g. EPA ozone: the 8-hour table ends at 0.200 ppm and the 1-hour table starts at 0.125 ppm
+    const supplementary = standard.pollutants[supplementaryKey];
+    const candidates = [];
+    if (value <= breakpoints[breakpoints.length - 1].max) {
+      candidates.push(this.lookupIndex(standard, pollutant, value));
+    }
+    if (value >= supplementary[0].min) {
+      candidates.push(this.lookupIndex(standard, supplementaryKey, value));
+    }
+
+    return Math.max(...candidates);
+  }
+
+  lookupIndex(standard, tableKey, concentration) {
+    const breakpoints = standard.pollutants[tableKey];
+    const value = this.truncateConcentration(concentration, standard.truncation?.[tableKey]);
+
+    if (value < 0) return breakpoints[0].aqiMin;
+    if (value > breakpoints[breakpoints.length - 1].max) return standard.maxIndex;
+
+    // Tables are ascending, so the first band whose ceiling holds the value is the one.
+    // A value left between two published ranges is scored at the bottom of the upper range.
+    for (const breakpoint of breakpoints) {
+      if (value <= breakpoint.max) {
+        return this.linearScale(Math.max(value, breakpoint.min), breakpoint.min, breakpoint.max, breakpoint.aqiMin, breakpoint.aqiMax);
       }
     }
 
-    return 0;
+    return standard.maxIndex;
   }
 
-  // Calculate PM2.5 from AQI
-  calculatePM25FromAQI(aqi) {
-    if (aqi < 0) return 0;
-    if (aqi > 500) return 500.4;
+  // Convert a μg/m³ concentration into the unit a breakpoint table uses
+  convertConcentration(pollutant, microgramsPerCubicMetre, unit = 'μg/m³') {
+    return this.units.fromMicrograms(pollutant, microgramsPerCubicMetre, unit);
+  }
+
+  // Inverse of calculateSubIndex - the concentration (in the table's unit) at the given index value
+  calculateConcentrationFromIndex(pollutant, index, standardId = this.standardId) {
+    const standard = standardId === this.standardId ? this.standard : getStandard(standardId);
+    const breakpoints = standard.pollutants[pollutant];
+    if (!breakpoints) {
+      throw new Error(`${standard.shortName} has no breakpoints for ${pollutant}`);
+    }
 
-    for (const breakpoint of this.aqiBreakpoints.pm25) {
-      if (aqi >= breakpoint.aqiMin && aqi <= breakpoint.aqiMax) {
-        return this.linearScale(aqi, breakpoint.aqiMin, breakpoint.aqiMax, breakpoint.min, breakpoint.max);
+    const last = breakpoints[breakpoints.length - 1];
+    if (index < 0) return 0;
+    if (index >= standard.maxIndex) return Number.isFinite(last.max) ? last.max : last.min;
+
+    // As in lookupIndex, an index left between two bands (50.5 from NowCast, say) is read at the
+    // bottom of the upper band
+    for (const breakpoint of breakpoints) {
+      if (index <= breakpoint.aqiMax) {
+        // Banded indices map a whole range to one value; report its midpoint
+        if (breakpoint.aqiMin === breakpoint.aqiMax) {
+          return Number.isFinite(breakpoint.max) ? (breakpoint.min + breakpoint.max) / 2 : breakpoint.min;
+        }
+        // Not linearScale: it rounds to whole numbers, which would wipe out ppm values
+        const fraction = (Math.max(index, breakpoint.aqiMin) - breakpoint.aqiMin) / (breakpoint.aqiMax - breakpoint.aqiMin);
+        return breakpoint.min + fraction * (breakpoint.max - breakpoint.min);
       }
     }
 
-    return 0;
+    return Number.isFinite(last.max) ? last.max : last.min;
+  }
+
+  // Calculate AQI from PM2.5 concentration
+  calculateAQIFromPM25(pm25) {
+    return this.calculateSubIndex('pm25', pm25);
   }
 
-  // Calculate cigarette equivalents
+  // Calculate PM2.5 from AQI
+  calculatePM25FromAQI(aqi) {
+    return this.calculateConcentrationFromIndex('pm25', aqi);
+  }
+
+  // Calculate cigarette equivalents from an AQI (24 h outdoors at rest).
+  // Going back from the index loses precision; prefer calculateCigarettesFromPM25 when PM2.5 is known.
   calculateCigarettes(aqi) {
     // Based on Berkeley Earth research: 22 μg/m³ PM2.5 = 1 cigarette per day
     const pm25 = this.calculatePM25FromAQI(aqi);
     return (pm25 / 22).toFixed(2);
   }
 
+  // Cigarette equivalents per block and in total for a daily schedule (preset id or blocks, see ExposureModel.js)
+  calculateCigarettesFromPM25(pm25, schedule) {
+    return this.exposure.calculate(this.toMicrograms('pm25', pm25), schedule);
+  }
+
   // Advanced AQI calculation with environmental factors
   calculateAdvancedAQI(pm25, temperature = 20, humidity = 50) {
+    pm25 = this.toMicrograms('pm25', pm25);
     let baseAQI = this.calculateAQIFromPM25(pm25);
 
+    // Scaling a band number (UK DAQI 9 → 10) would move it into a band its concentration isn't in
+    if (this.isBanded()) return baseAQI;
+
     // Temperature adjustment (PM2.5 is more harmful in warmer temperatures)
     if (temperature > 25) {
       baseAQI *= (1 + (temperature - 25) * 0.01);
@@ -72,23 +234,23 @@ export class AQICalculator {
       baseAQI *= (1 + (humidity - 70) * 0.005);
     }
 
-    return Math.round(Math.min(baseAQI, 500));
+    return Math.round(Math.min(baseAQI, this.standard.maxIndex));
+  }
+
+  // Whether the active standard reports PM2.5 in bands (aqiMin === aqiMax) rather than on a continuous scale
+  isBanded() {
+    return this.standard.pollutants.pm25.every(breakpoint => breakpoint.aqiMin === breakpoint.aqiMax);
   }
 
   // Health risk assessment
   assessHealthRisk(aqi, pm25, userProfile = {}) {
     const { age, hasRespiratoryCondition, isSmoker } = userProfile;
+    pm25 = this.toMicrograms('pm25', pm25);
 
-    let riskLevel = 'low';
     let riskMultiplier = 1;
 
-    // Base risk from AQI
-    if (aqi <= 50) riskLevel = 'good';
-    else if (aqi <= 100) riskLevel = 'moderate';
-    else if (aqi <= 150) riskLevel = 'unhealthy';
-    else if (aqi <= 200) riskLevel = 'very-unhealthy';
-    else if (aqi <= 300) riskLevel = 'hazardous';
-    else riskLevel = 'severe';
+    // Base risk from the AQI's category in the active standard
+    const riskLevel = this.getRiskLevel(aqi);
 
     // Personal risk factors
     if (age && age > 65) riskMultiplier *= 1.5;
@@ -106,23 +268,11 @@ export class AQICalculator {
     };
   }
 
-  // Generate health recommendations
+  // Generate health recommendations; `aqi` is in the active standard
   generateRecommendations(aqi, pm25, userProfile = {}) {
-    const recommendations = [];
-
-    if (aqi <= 50) {
-      recommendations.push('Air quality is good. Enjoy outdoor activities!');
-    } else if (aqi <= 100) {
-      recommendations.push('Air quality is moderate. Sensitive individuals should consider limiting prolonged outdoor exertion.');
-    } else if (aqi <= 150) {
-      recommendations.push('Air quality is unhealthy for sensitive groups. Children, elderly, and those with respiratory conditions should avoid outdoor activities.');
-    } else if (aqi <= 200) {
-      recommendations.push('Air quality is very unhealthy. Everyone should avoid outdoor activities. Stay indoors with air filtration.');
-    } else if (aqi <= 300) {
-      recommendations.push('Air quality is hazardous. Stay indoors, use air purifiers, and wear N95 masks if going outside is necessary.');
-    } else {
-      recommendations.push('Air quality is severe. Emergency conditions! Seek clean air immediately, use advanced respiratory protection.');
-    }
+    const advice = RISK_ADVICE[this.getRiskLevel(aqi)];
+    const recommendations = advice ? [advice] : [];
+    pm25 = this.toMicrograms('pm25', pm25);
 
     // PM2.5 specific recommendations
     if (pm25 > 55.4) {
@@ -141,24 +291,24 @@ export class AQICalculator {
     return recommendations;
   }
 
-  // AQI category and color
+  // Tier of the AQI's category on the shared advice scale (see AQIStandards.js); null without an AQI
+  getRiskLevel(aqi) {
+    return this.getAQICategory(aqi).risk;
+  }
+
+  // AQI category and color in the active standard; UNKNOWN_CATEGORY when there is no AQI
   getAQICategory(aqi) {
-    const categories = {
-      good: { min: 0, max: 50, color: '#00e400', description: 'Good' },
-      moderate: { min: 51, max: 100, color: '#ffff00', description: 'Moderate' },
-      unhealthy: { min: 101, max: 150, color: '#ff7e00', description: 'Unhealthy for Sensitive Groups' },
-      veryUnhealthy: { min: 151, max: 200, color: '#ff0000', description: 'Very Unhealthy' },
-      hazardous: { min: 201, max: 300, color: '#8f3f97', description: 'Hazardous' },
-      severe: { min: 301, max: 500, color: '#7e0023', description: 'Very Hazardous' }
-    };
+    if (!Number.isFinite(aqi)) return { ...UNKNOWN_CATEGORY };
+
+    const { categories } = this.standard;
 
-    for (const [key, category] of Object.entries(categories)) {
-      if (aqi >= category.min && aqi <= category.max) {
-        return { ...category, key };
+    for (const category of categories) {
+      if (aqi <= category.max) {
+        return { ...category };
       }
     }
 
-    return categories.severe; // Default for extreme values
+    return { ...categories[categories.length - 1] }; // Default for extreme values
   }
 
   // Trend analysis
@@ -210,6 +360,69 @@ export class AQICalculator {
     return seasonalAverages;
   }
 
+  /**
+   * Lowest-exposure stretches of an hourly forecast, for "best time to go outside".
+   * Candidates are `duration` consecutive forecast hours starting within `horizon` hours of `from`,
+   * ranked by mean AQI in the active standard; the best `count` that don't overlap are returned.
+   * @param {Array<Object>} forecast - Hourly readings as returned by DataManager.fetchAQIForecast
+   * @param {{duration?: number, horizon?: number, count?: number, from?: number}} [options]
+   * @returns {Array<{start: number, end: number, aqi: number, pm25: number, category: string, cigarettes: number}>}
+   */
+  findCleanestWindows(forecast, options = {}) {
+    const { duration = 2, horizon = 24, count = 3, from = Date.now() } = options;
+    const firstHour = Math.floor(from / HOUR) * HOUR;
+
+    const hours = forecast
+      .filter(reading => reading.timestamp >= firstHour && reading.timestamp < firstHour + horizon * HOUR)
+      .map(reading => ({
+        timestamp: reading.timestamp,
+        aqi: this.calculateAQIFromMultiplePollutants(reading).aqi,
+        pm25: reading.pm25
+      }))
+      .filter(hour => hour.aqi !== null && hour.pm25 !== null);
+
+    const candidates = [];
+    for (let i = 0; i + duration <= hours.length; i++) {
+      const window = hours.slice(i, i + duration);
+
+      // A missing forecast hour breaks the window
+      if (window[duration - 1].timestamp - window[0].timestamp !== (duration - 1) * HOUR) continue;
+
+      const meanAQI = window.reduce((sum, hour) => sum + hour.aqi, 0) / duration;
+      const pm25 = window.reduce((sum, hour) => sum + hour.pm25, 0) / duration;
+      candidates.push({
+        start: window[0].timestamp,
+        end: window[duration - 1].timestamp + HOUR,
+        meanAQI,
+        pm25
+      });
+    }
+
+    candidates.sort((a, b) => a.meanAQI - b.meanAQI || a.start - b.start);
+
+    const picked = [];
+    for (const candidate of candidates) {
+      if (picked.length >= count) break;
+      if (picked.every(other => candidate.end <= other.start || candidate.start >= other.end)) {
+        picked.push(candidate);
+      }
+    }
+
+    // Exposure assumes the time is spent outdoors walking
+    return picked.map(({ start, end, meanAQI, pm25 }) => {
+      const aqi = Math.round(meanAQI);
+      const outing = this.exposure.calculate(pm25, [{ label: 'Outside', hours: duration, location: 'outdoor', activity: 'light' }]);
+      return {
+        start,
+        end,
+        aqi,
+        pm25: Math.round(pm25 * 10) / 10,
+        category: this.getAQICategory(aqi).key,
+        cigarettes: outing.blocks[0].cigarettes
+      };
+    });
+  }
+
   // Utility functions
   linearScale(value, fromMin, fromMax, toMin, toMax) {
     if (fromMax === fromMin) return toMin;
@@ -226,39 +439,127 @@ export class AQICalculator {
     return levels[adjustedIndex];
   }
 
-  // Calculate AQI from multiple pollutants (if available)
+  // Calculate AQI from every pollutant reading available (μg/m³, keyed as in POLLUTANTS).
+  // The overall index is the highest sub-index; that pollutant is the dominant one.
+  // Pollutants the active standard does not score get a sub-index of null.
   calculateAQIFromMultiplePollutants(pollutants) {
-    const aqiValues = [];
-
-    // Calculate AQI for each pollutant
-    if (pollutants.pm25 !== undefined) {
-      aqiValues.push(this.calculateAQIFromPM25(pollutants.pm25));
-    }
-
-    if (pollutants.pm10 !== undefined) {
-      aqiValues.push(this.calculateAQIFromPM10(pollutants.pm10));
+    const subIndices = {};
+    let aqi = null;
+    let dominantPollutant = null;
+
+    for (const pollutant of Object.keys(POLLUTANTS)) {
+      const concentration = pollutants[pollutant];
+      if (concentration === undefined || concentration === null) continue;
+
+      const index = this.standard.pollutants[pollutant]
+        ? this.calculateSubIndex(pollutant, concentration)
+        : null;
+      subIndices[pollutant] = index;
+
+      if (index !== null && (aqi === null || index > aqi)) {
+        aqi = index;
+        dominantPollutant = pollutant;
+      }
     }
 
-    // Add more pollutants as needed
-
-    // Return the highest AQI value
-    return Math.max(...aqiValues);
+    return {
+      aqi,
+      dominantPollutant,
+      subIndices,
+      ...this.getStandardVersion()
+    };
   }
 
   // Calculate AQI from PM10
   calculateAQIFromPM10(pm10) {
-    if (pm10 < 0) return 0;
-    if (pm10 > 604) return 500;
+    return this.calculateSubIndex('pm10', pm10);
+  }
 
-    for (const breakpoint of this.aqiBreakpoints.pm10) {
-      if (pm10 >= breakpoint.min && pm10 <= breakpoint.max) {
-        return this.linearScale(pm10, breakpoint.min, breakpoint.max, breakpoint.aqiMin, breakpoint.aqiMax);
-      }
+  // Hourly averages for the NowCast window, most recent hour first.
+  // `series` is [{ timestamp, pm25, pm10, ... }] as returned by DataManager.fetchHistoricalAQIData,
+  // each stamped at the start of its hour; `latestHour` is the newest hour's number since the epoch.
+  // Hours without a reading are null.
+  bucketHourly(series, pollutant, latestHour) {
+    const sums = new Array(NOWCAST_HOURS).fill(0);
+    const counts = new Array(NOWCAST_HOURS).fill(0);
+
+    for (const reading of series) {
+      const raw = reading[pollutant];
+      const value = raw === undefined || raw === null ? raw : this.toMicrograms(pollutant, raw);
+      if (value === undefined || value === null || !Number.isFinite(value) || value < 0) continue;
+
+      // Counted in whole hours so a reading at the start of the newest hour lands in bucket 0
+      const hoursAgo = latestHour - Math.floor(reading.timestamp / HOUR);
+      if (hoursAgo < 0 || hoursAgo >= NOWCAST_HOURS) continue;
+
+      sums[hoursAgo] += value;
+      counts[hoursAgo]++;
     }
 
-    return 0;
+    return sums.map((sum, hour) => (counts[hour] ? sum / counts[hour] : null));
   }
-}
 
+  /**
+   * NowCast concentration (μg/m³) for PM2.5 or PM10 from an hourly series.
+   * Follows the EPA rules: at least two of the three most recent hours must be present,
+   * missing hours are dropped from both sums, and the weight factor never goes below 0.5.
+   * @param {Array<{timestamp: number}>} series - Readings with a millisecond timestamp and a value per pollutant
+   * @param {string} [pollutant='pm25'] - 'pm25' or 'pm10'
+   * @param {Object} [options]
+   * @param {number} [options.endTime] - End of the most recent hour; defaults to the latest reading's hour
+   * @returns {{concentration: number, weightFactor: number, hoursUsed: number}|null} null when there is too little data
+   */
+  calculateNowCast(series, pollutant = 'pm25', options = {}) {
+    if (!(pollutant in NOWCAST_MIN_WEIGHT)) {
+      throw new Error(`NowCast is not defined for ${pollutant}`);
+    }
+    if (!Array.isArray(series) || series.length === 0) return null;
+
+    const latestHour = options.endTime === undefined
+      ? Math.floor(Math.max(...series.map(reading => reading.timestamp)) / HOUR)
+      : Math.ceil(options.endTime / HOUR) - 1;
+    const hourly = this.bucketHourly(series, pollutant, latestHour);
+
+    if (hourly.slice(0, 3).filter(value => value !== null).length < 2) return null;
+
+    const present = hourly.filter(value => value !== null);
+    const max = Math.max(...present);
+    const min = Math.min(...present);
+    const weightFactor = max > 0 ? Math.max(min / max, NOWCAST_MIN_WEIGHT[pollutant]) : 1;
+
+    let weightedSum = 0;
+    let weightTotal = 0;
+    hourly.forEach((value, hoursAgo) => {
+      if (value === null) return;
+      const weight = Math.pow(weightFactor, hoursAgo);
+      weightedSum += weight * value;
+      weightTotal += weight;
+    });
 
+    return {
+      concentration: weightedSum / weightTotal,
+      weightFactor,
+      hoursUsed: present.length
+    };
+  }
+
+  // NowCast PM2.5/PM10 expressed in the active standard, shaped like calculateAQIFromMultiplePollutants
+  calculateNowCastAQI(series, options = {}) {
+    const concentrations = {};
+
+    for (const pollutant of Object.keys(NOWCAST_MIN_WEIGHT)) {
+      const nowCast = this.calculateNowCast(series, pollutant, options);
+      if (nowCast) {
+        // NowCast concentrations are reported to 0.1 μg/m³; each standard truncates further itself
+        concentrations[pollutant] = this.truncateConcentration(nowCast.concentration, 1);
+      }
+    }
 
+    if (Object.keys(concentrations).length === 0) return null;
+
+    return {
+      ...this.calculateAQIFromMultiplePollutants(concentrations),
+      concentrations
+    };
+  }
+}
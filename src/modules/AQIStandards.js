@@ -0,0 +1,504 @@
+// src/modules/AQIStandards.js - Registry of National Air Quality Index Standards
+
+// Pollutants reported by OpenWeatherMap; molecular weights (g/mol) are used to
+// convert gas concentrations between μg/m³ and ppb/ppm
+export const POLLUTANTS = {
+  pm25: { label: 'PM2.5', molecularWeight: null },
+  pm10: { label: 'PM10', molecularWeight: null },
+  o3: { label: 'O₃', molecularWeight: 48.00 },
+  no2: { label: 'NO₂', molecularWeight: 46.01 },
+  so2: { label: 'SO₂', molecularWeight: 64.07 },
+  co: { label: 'CO', molecularWeight: 28.01 },
+  nh3: { label: 'NH₃', molecularWeight: 17.03 },
+  no: { label: 'NO', molecularWeight: 30.01 }
+};
+
+// US EPA categories are shared by both revisions of the index
+const EPA_CATEGORIES = [
+  { key: 'good', min: 0, max: 50, color: '#00e400', description: 'Good', risk: 'good' },
+  { key: 'moderate', min: 51, max: 100, color: '#ffff00', description: 'Moderate', risk: 'moderate' },
+  { key: 'unhealthy', min: 101, max: 150, color: '#ff7e00', description: 'Unhealthy for Sensitive Groups', risk: 'unhealthy' },
+  { key: 'very-unhealthy', min: 151, max: 200, color: '#ff0000', description: 'Unhealthy', risk: 'very-unhealthy' },
+  { key: 'hazardous', min: 201, max: 300, color: '#8f3f97', description: 'Very Unhealthy', risk: 'hazardous' },
+  { key: 'severe', min: 301, max: 500, color: '#7e0023', description: 'Hazardous', risk: 'severe' }
+];
+
+// EPA reporting rules: truncate PM2.5 to 0.1 μg/m³, PM10 to 1 μg/m³, O3 to 0.001 ppm,
+// CO to 0.1 ppm and SO2/NO2 to 1 ppb before lookup
+const EPA_TRUNCATION = { pm25: 1, pm10: 0, o3: 3, o3_1h: 3, co: 1, so2: 0, no2: 0 };
+
+// EPA gas breakpoints are volumetric mixing ratios
+const EPA_UNITS = { o3: 'ppm', o3_1h: 'ppm', co: 'ppm', so2: 'ppb', no2: 'ppb' };
+
+// 8-hour ozone table; it stops at 0.200 ppm and the 1-hour table takes over from there
+const EPA_O3_8H = [
+  { min: 0.000, max: 0.054, aqiMin: 0, aqiMax: 50 },
+  { min: 0.055, max: 0.070, aqiMin: 51, aqiMax: 100 },
+  { min: 0.071, max: 0.085, aqiMin: 101, aqiMax: 150 },
+  { min: 0.086, max: 0.105, aqiMin: 151, aqiMax: 200 },
+  { min: 0.106, max: 0.200, aqiMin: 201, aqiMax: 300 }
+];
+
+// Each standard defines its own breakpoint tables (concentrations in μg/m³),
+// the highest index value it reports and the categories used to describe it.
+// Each category's `risk` places it on the app's health-advice scale (the US EPA
+// category keys, good to severe), so advice follows the standard's own bands.
+// Banded indices such as the UK DAQI use aqiMin === aqiMax for every band.
+// `truncation` gives the decimal places a concentration is truncated to before
+// lookup, which closes the gaps between published ranges (12.0 -> 12.1).
+// `units` lists pollutants whose breakpoints are not in μg/m³ (ppb, ppm or mg/m³).
+// `supplementary` pairs a table with a second averaging period that is scored
+// alongside it; the higher of the two sub-indices is reported.
+export const AQI_STANDARDS = {
+  // 2012 PM NAAQS table, superseded in May 2024
+  'epa-2012': {
+    id: 'epa-2012',
+    version: '2012',
+    name: 'US EPA Air Quality Index (2012)',
+    shortName: 'US AQI 2012',
+    region: 'United States',
+    maxIndex: 500,
+    truncation: EPA_TRUNCATION,
+    units: EPA_UNITS,
+    supplementary: { o3: 'o3_1h' },
+    pollutants: {
+      pm25: [
+        { min: 0.0, max: 12.0, aqiMin: 0, aqiMax: 50 },
+        { min: 12.1, max: 35.4, aqiMin: 51, aqiMax: 100 },
+        { min: 35.5, max: 55.4, aqiMin: 101, aqiMax: 150 },
+        { min: 55.5, max: 150.4, aqiMin: 151, aqiMax: 200 },
+        { min: 150.5, max: 250.4, aqiMin: 201, aqiMax: 300 },
+        { min: 250.5, max: 350.4, aqiMin: 301, aqiMax: 400 },
+        { min: 350.5, max: 500.4, aqiMin: 401, aqiMax: 500 }
+      ],
+      pm10: [
+        { min: 0, max: 54, aqiMin: 0, aqiMax: 50 },
+        { min: 55, max: 154, aqiMin: 51, aqiMax: 100 },
+        { min: 155, max: 254, aqiMin: 101, aqiMax: 150 },
+        { min: 255, max: 354, aqiMin: 151, aqiMax: 200 },
+        { min: 355, max: 424, aqiMin: 201, aqiMax: 300 },
+        { min: 425, max: 504, aqiMin: 301, aqiMax: 400 },
+        { min: 505, max: 604, aqiMin: 401, aqiMax: 500 }
+      ],
+      o3: EPA_O3_8H,
+      o3_1h: [
+        { min: 0.125, max: 0.164, aqiMin: 101, aqiMax: 150 },
+        { min: 0.165, max: 0.204, aqiMin: 151, aqiMax: 200 },
+        { min: 0.205, max: 0.404, aqiMin: 201, aqiMax: 300 },
+        { min: 0.405, max: 0.504, aqiMin: 301, aqiMax: 400 },
+        { min: 0.505, max: 0.604, aqiMin: 401, aqiMax: 500 }
+      ],
+      no2: [
+        { min: 0, max: 53, aqiMin: 0, aqiMax: 50 },
+        { min: 54, max: 100, aqiMin: 51, aqiMax: 100 },
+        { min: 101, max: 360, aqiMin: 101, aqiMax: 150 },
+        { min: 361, max: 649, aqiMin: 151, aqiMax: 200 },
+        { min: 650, max: 1249, aqiMin: 201, aqiMax: 300 },
+        { min: 1250, max: 1649, aqiMin: 301, aqiMax: 400 },
+        { min: 1650, max: 2049, aqiMin: 401, aqiMax: 500 }
+      ],
+      so2: [
+        { min: 0, max: 35, aqiMin: 0, aqiMax: 50 },
+        { min: 36, max: 75, aqiMin: 51, aqiMax: 100 },
+        { min: 76, max: 185, aqiMin: 101, aqiMax: 150 },
+        { min: 186, max: 304, aqiMin: 151, aqiMax: 200 },
+        { min: 305, max: 604, aqiMin: 201, aqiMax: 300 },
+        { min: 605, max: 804, aqiMin: 301, aqiMax: 400 },
+        { min: 805, max: 1004, aqiMin: 401, aqiMax: 500 }
+      ],
+      co: [
+        { min: 0.0, max: 4.4, aqiMin: 0, aqiMax: 50 },
+        { min: 4.5, max: 9.4, aqiMin: 51, aqiMax: 100 },
+        { min: 9.5, max: 12.4, aqiMin: 101, aqiMax: 150 },
+        { min: 12.5, max: 15.4, aqiMin: 151, aqiMax: 200 },
+        { min: 15.5, max: 30.4, aqiMin: 201, aqiMax: 300 },
+        { min: 30.5, max: 40.4, aqiMin: 301, aqiMax: 400 },
+        { min: 40.5, max: 50.4, aqiMin: 401, aqiMax: 500 }
+      ]
+    },
+    categories: EPA_CATEGORIES
+  },
+
+  // 2024 PM NAAQS revision: "Good" ends at 9.0 μg/m³ and 301-500 is a single band
+  'epa-2024': {
+    id: 'epa-2024',
+    version: '2024',
+    name: 'US EPA Air Quality Index',
+    shortName: 'US AQI',
+    region: 'United States',
+    maxIndex: 500,
+    truncation: EPA_TRUNCATION,
+    units: EPA_UNITS,
+    supplementary: { o3: 'o3_1h' },
+    pollutants: {
+      pm25: [
+        { min: 0.0, max: 9.0, aqiMin: 0, aqiMax: 50 },
+        { min: 9.1, max: 35.4, aqiMin: 51, aqiMax: 100 },
+        { min: 35.5, max: 55.4, aqiMin: 101, aqiMax: 150 },
+        { min: 55.5, max: 125.4, aqiMin: 151, aqiMax: 200 },
+        { min: 125.5, max: 225.4, aqiMin: 201, aqiMax: 300 },
+        { min: 225.5, max: 325.4, aqiMin: 301, aqiMax: 500 }
+      ],
+      pm10: [
+        { min: 0, max: 54, aqiMin: 0, aqiMax: 50 },
+        { min: 55, max: 154, aqiMin: 51, aqiMax: 100 },
+        { min: 155, max: 254, aqiMin: 101, aqiMax: 150 },
+        { min: 255, max: 354, aqiMin: 151, aqiMax: 200 },
+        { min: 355, max: 424, aqiMin: 201, aqiMax: 300 },
+        { min: 425, max: 604, aqiMin: 301, aqiMax: 500 }
+      ],
+      o3: EPA_O3_8H,
+      o3_1h: [
+        { min: 0.125, max: 0.164, aqiMin: 101, aqiMax: 150 },
+        { min: 0.165, max: 0.204, aqiMin: 151, aqiMax: 200 },
+        { min: 0.205, max: 0.404, aqiMin: 201, aqiMax: 300 },
+        { min: 0.405, max: 0.604, aqiMin: 301, aqiMax: 500 }
+      ],
+      no2: [
+        { min: 0, max: 53, aqiMin: 0, aqiMax: 50 },
+        { min: 54, max: 100, aqiMin: 51, aqiMax: 100 },
+        { min: 101, max: 360, aqiMin: 101, aqiMax: 150 },
+        { min: 361, max: 649, aqiMin: 151, aqiMax: 200 },
+        { min: 650, max: 1249, aqiMin: 201, aqiMax: 300 },
+        { min: 1250, max: 2049, aqiMin: 301, aqiMax: 500 }
+      ],
+      so2: [
+        { min: 0, max: 35, aqiMin: 0, aqiMax: 50 },
+        { min: 36, max: 75, aqiMin: 51, aqiMax: 100 },
+        { min: 76, max: 185, aqiMin: 101, aqiMax: 150 },
+        { min: 186, max: 304, aqiMin: 151, aqiMax: 200 },
+        { min: 305, max: 604, aqiMin: 201, aqiMax: 300 },
+        { min: 605, max: 1004, aqiMin: 301, aqiMax: 500 }
+      ],
+      co: [
+        { min: 0.0, max: 4.4, aqiMin: 0, aqiMax: 50 },
+        { min: 4.5, max: 9.4, aqiMin: 51, aqiMax: 100 },
+        { min: 9.5, max: 12.4, aqiMin: 101, aqiMax: 150 },
+        { min: 12.5, max: 15.4, aqiMin: 151, aqiMax: 200 },
+        { min: 15.5, max: 30.4, aqiMin: 201, aqiMax: 300 },
+        { min: 30.5, max: 50.4, aqiMin: 301, aqiMax: 500 }
+      ]
+    },
+    categories: EPA_CATEGORIES
+  },
+
+  // CPCB National Air Quality Index (2014), 24-hour averages
+  'in-naqi': {
+    id: 'in-naqi',
+    version: '2014',
+    name: 'India National Air Quality Index',
+    shortName: 'NAQI',
+    region: 'India',
+    maxIndex: 500,
+    truncation: { pm25: 0, pm10: 0, o3: 0, no2: 0, so2: 0, co: 1, nh3: 0 },
+    units: { co: 'mg/m³' },
+    pollutants: {
+      pm25: [
+        { min: 0, max: 30, aqiMin: 0, aqiMax: 50 },
+        { min: 31, max: 60, aqiMin: 51, aqiMax: 100 },
+        { min: 61, max: 90, aqiMin: 101, aqiMax: 200 },
+        { min: 91, max: 120, aqiMin: 201, aqiMax: 300 },
+        { min: 121, max: 250, aqiMin: 301, aqiMax: 400 },
+        // CPCB leaves the Severe band open-ended; 380 is the customary upper bound
+        { min: 251, max: 380, aqiMin: 401, aqiMax: 500 }
+      ],
+      pm10: [
+        { min: 0, max: 50, aqiMin: 0, aqiMax: 50 },
+        { min: 51, max: 100, aqiMin: 51, aqiMax: 100 },
+        { min: 101, max: 250, aqiMin: 101, aqiMax: 200 },
+        { min: 251, max: 350, aqiMin: 201, aqiMax: 300 },
+        { min: 351, max: 430, aqiMin: 301, aqiMax: 400 },
+        { min: 431, max: 510, aqiMin: 401, aqiMax: 500 }
+      ],
+      o3: [
+        { min: 0, max: 50, aqiMin: 0, aqiMax: 50 },
+        { min: 51, max: 100, aqiMin: 51, aqiMax: 100 },
+        { min: 101, max: 168, aqiMin: 101, aqiMax: 200 },
+        { min: 169, max: 208, aqiMin: 201, aqiMax: 300 },
+        { min: 209, max: 748, aqiMin: 301, aqiMax: 400 },
+        { min: 749, max: 1000, aqiMin: 401, aqiMax: 500 }
+      ],
+      no2: [
+        { min: 0, max: 40, aqiMin: 0, aqiMax: 50 },
+        { min: 41, max: 80, aqiMin: 51, aqiMax: 100 },
+        { min: 81, max: 180, aqiMin: 101, aqiMax: 200 },
+        { min: 181, max: 280, aqiMin: 201, aqiMax: 300 },
+        { min: 281, max: 400, aqiMin: 301, aqiMax: 400 },
+        { min: 401, max: 520, aqiMin: 401, aqiMax: 500 }
+      ],
+      so2: [
+        { min: 0, max: 40, aqiMin: 0, aqiMax: 50 },
+        { min: 41, max: 80, aqiMin: 51, aqiMax: 100 },
+        { min: 81, max: 380, aqiMin: 101, aqiMax: 200 },
+        { min: 381, max: 800, aqiMin: 201, aqiMax: 300 },
+        { min: 801, max: 1600, aqiMin: 301, aqiMax: 400 },
+        { min: 1601, max: 2400, aqiMin: 401, aqiMax: 500 }
+      ],
+      co: [
+        { min: 0.0, max: 1.0, aqiMin: 0, aqiMax: 50 },
+        { min: 1.1, max: 2.0, aqiMin: 51, aqiMax: 100 },
+        { min: 2.1, max: 10.0, aqiMin: 101, aqiMax: 200 },
+        { min: 10.1, max: 17.0, aqiMin: 201, aqiMax: 300 },
+        { min: 17.1, max: 34.0, aqiMin: 301, aqiMax: 400 },
+        { min: 34.1, max: 51.0, aqiMin: 401, aqiMax: 500 }
+      ],
+      nh3: [
+        { min: 0, max: 200, aqiMin: 0, aqiMax: 50 },
+        { min: 201, max: 400, aqiMin: 51, aqiMax: 100 },
+        { min: 401, max: 800, aqiMin: 101, aqiMax: 200 },
+        { min: 801, max: 1200, aqiMin: 201, aqiMax: 300 },
+        { min: 1201, max: 1800, aqiMin: 301, aqiMax: 400 },
+        { min: 1801, max: 3600, aqiMin: 401, aqiMax: 500 }
+      ]
+    },
+    categories: [
+      { key: 'good', min: 0, max: 50, color: '#00b050', description: 'Good', risk: 'good' },
+      { key: 'satisfactory', min: 51, max: 100, color: '#92d050', description: 'Satisfactory', risk: 'moderate' },
+      { key: 'moderately-polluted', min: 101, max: 200, color: '#ffff00', description: 'Moderately Polluted', risk: 'unhealthy' },
+      { key: 'poor', min: 201, max: 300, color: '#ff9900', description: 'Poor', risk: 'very-unhealthy' },
+      { key: 'very-poor', min: 301, max: 400, color: '#ff0000', description: 'Very Poor', risk: 'hazardous' },
+      { key: 'severe', min: 401, max: 500, color: '#c00000', description: 'Severe', risk: 'severe' }
+    ]
+  },
+
+  // Common Air Quality Index (CiteairII), hourly grid
+  'eu-caqi': {
+    id: 'eu-caqi',
+    version: '2012',
+    name: 'European Common Air Quality Index',
+    shortName: 'CAQI',
+    region: 'European Union',
+    maxIndex: 101,
+    pollutants: {
+      pm25: [
+        { min: 0, max: 15, aqiMin: 0, aqiMax: 25 },
+        { min: 15, max: 30, aqiMin: 25, aqiMax: 50 },
+        { min: 30, max: 55, aqiMin: 50, aqiMax: 75 },
+        { min: 55, max: 110, aqiMin: 75, aqiMax: 100 },
+        // CAQI only reports "> 100" above the grid
+        { min: 110, max: Infinity, aqiMin: 101, aqiMax: 101 }
+      ],
+      pm10: [
+        { min: 0, max: 25, aqiMin: 0, aqiMax: 25 },
+        { min: 25, max: 50, aqiMin: 25, aqiMax: 50 },
+        { min: 50, max: 90, aqiMin: 50, aqiMax: 75 },
+        { min: 90, max: 180, aqiMin: 75, aqiMax: 100 },
+        { min: 180, max: Infinity, aqiMin: 101, aqiMax: 101 }
+      ],
+      o3: [
+        { min: 0, max: 60, aqiMin: 0, aqiMax: 25 },
+        { min: 60, max: 120, aqiMin: 25, aqiMax: 50 },
+        { min: 120, max: 180, aqiMin: 50, aqiMax: 75 },
+        { min: 180, max: 240, aqiMin: 75, aqiMax: 100 },
+        { min: 240, max: Infinity, aqiMin: 101, aqiMax: 101 }
+      ],
+      no2: [
+        { min: 0, max: 50, aqiMin: 0, aqiMax: 25 },
+        { min: 50, max: 100, aqiMin: 25, aqiMax: 50 },
+        { min: 100, max: 200, aqiMin: 50, aqiMax: 75 },
+        { min: 200, max: 400, aqiMin: 75, aqiMax: 100 },
+        { min: 400, max: Infinity, aqiMin: 101, aqiMax: 101 }
+      ],
+      so2: [
+        { min: 0, max: 50, aqiMin: 0, aqiMax: 25 },
+        { min: 50, max: 100, aqiMin: 25, aqiMax: 50 },
+        { min: 100, max: 350, aqiMin: 50, aqiMax: 75 },
+        { min: 350, max: 500, aqiMin: 75, aqiMax: 100 },
+        { min: 500, max: Infinity, aqiMin: 101, aqiMax: 101 }
+      ],
+      co: [
+        { min: 0, max: 5000, aqiMin: 0, aqiMax: 25 },
+        { min: 5000, max: 7500, aqiMin: 25, aqiMax: 50 },
+        { min: 7500, max: 10000, aqiMin: 50, aqiMax: 75 },
+        { min: 10000, max: 20000, aqiMin: 75, aqiMax: 100 },
+        { min: 20000, max: Infinity, aqiMin: 101, aqiMax: 101 }
+      ]
+    },
+    categories: [
+      { key: 'very-low', min: 0, max: 25, color: '#79bc6a', description: 'Very Low', risk: 'good' },
+      { key: 'low', min: 26, max: 50, color: '#bbcf4c', description: 'Low', risk: 'good' },
+      { key: 'medium', min: 51, max: 75, color: '#eec20b', description: 'Medium', risk: 'moderate' },
+      { key: 'high', min: 76, max: 100, color: '#f29305', description: 'High', risk: 'unhealthy' },
+      { key: 'very-high', min: 101, max: 101, color: '#e8416f', description: 'Very High', risk: 'very-unhealthy' }
+    ]
+  },
+
+  // HJ 633-2012 Individual Air Quality Index
+  'cn-hj633': {
+    id: 'cn-hj633',
+    version: '2012',
+    name: 'China Air Quality Index (HJ 633-2012)',
+    shortName: 'China AQI',
+    region: 'China',
+    maxIndex: 500,
+    units: { co: 'mg/m³' },
+    pollutants: {
+      pm25: [
+        { min: 0, max: 35, aqiMin: 0, aqiMax: 50 },
+        { min: 35, max: 75, aqiMin: 50, aqiMax: 100 },
+        { min: 75, max: 115, aqiMin: 100, aqiMax: 150 },
+        { min: 115, max: 150, aqiMin: 150, aqiMax: 200 },
+        { min: 150, max: 250, aqiMin: 200, aqiMax: 300 },
+        { min: 250, max: 350, aqiMin: 300, aqiMax: 400 },
+        { min: 350, max: 500, aqiMin: 400, aqiMax: 500 }
+      ],
+      pm10: [
+        { min: 0, max: 50, aqiMin: 0, aqiMax: 50 },
+        { min: 50, max: 150, aqiMin: 50, aqiMax: 100 },
+        { min: 150, max: 250, aqiMin: 100, aqiMax: 150 },
+        { min: 250, max: 350, aqiMin: 150, aqiMax: 200 },
+        { min: 350, max: 420, aqiMin: 200, aqiMax: 300 },
+        { min: 420, max: 500, aqiMin: 300, aqiMax: 400 },
+        { min: 500, max: 600, aqiMin: 400, aqiMax: 500 }
+      ],
+      // Hourly readings are scored on the 1-hour O3, NO2 and CO tables; the 1-hour
+      // SO2 table stops at IAQI 200, so SO2 uses the 24-hour table throughout
+      o3: [
+        { min: 0, max: 160, aqiMin: 0, aqiMax: 50 },
+        { min: 160, max: 200, aqiMin: 50, aqiMax: 100 },
+        { min: 200, max: 300, aqiMin: 100, aqiMax: 150 },
+        { min: 300, max: 400, aqiMin: 150, aqiMax: 200 },
+        { min: 400, max: 800, aqiMin: 200, aqiMax: 300 },
+        { min: 800, max: 1000, aqiMin: 300, aqiMax: 400 },
+        { min: 1000, max: 1200, aqiMin: 400, aqiMax: 500 }
+      ],
+      no2: [
+        { min: 0, max: 100, aqiMin: 0, aqiMax: 50 },
+        { min: 100, max: 200, aqiMin: 50, aqiMax: 100 },
+        { min: 200, max: 700, aqiMin: 100, aqiMax: 150 },
+        { min: 700, max: 1200, aqiMin: 150, aqiMax: 200 },
+        { min: 1200, max: 2340, aqiMin: 200, aqiMax: 300 },
+        { min: 2340, max: 3090, aqiMin: 300, aqiMax: 400 },
+        { min: 3090, max: 3840, aqiMin: 400, aqiMax: 500 }
+      ],
+      so2: [
+        { min: 0, max: 50, aqiMin: 0, aqiMax: 50 },
+        { min: 50, max: 150, aqiMin: 50, aqiMax: 100 },
+        { min: 150, max: 475, aqiMin: 100, aqiMax: 150 },
+        { min: 475, max: 800, aqiMin: 150, aqiMax: 200 },
+        { min: 800, max: 1600, aqiMin: 200, aqiMax: 300 },
+        { min: 1600, max: 2100, aqiMin: 300, aqiMax: 400 },
+        { min: 2100, max: 2620, aqiMin: 400, aqiMax: 500 }
+      ],
+      co: [
+        { min: 0, max: 5, aqiMin: 0, aqiMax: 50 },
+        { min: 5, max: 10, aqiMin: 50, aqiMax: 100 },
+        { min: 10, max: 35, aqiMin: 100, aqiMax: 150 },
+        { min: 35, max: 60, aqiMin: 150, aqiMax: 200 },
+        { min: 60, max: 90, aqiMin: 200, aqiMax: 300 },
+        { min: 90, max: 120, aqiMin: 300, aqiMax: 400 },
+        { min: 120, max: 150, aqiMin: 400, aqiMax: 500 }
+      ]
+    },
+    categories: [
+      { key: 'excellent', min: 0, max: 50, color: '#00e400', description: 'Excellent', risk: 'good' },
+      { key: 'good', min: 51, max: 100, color: '#ffff00', description: 'Good', risk: 'moderate' },
+      { key: 'lightly-polluted', min: 101, max: 150, color: '#ff7e00', description: 'Lightly Polluted', risk: 'unhealthy' },
+      { key: 'moderately-polluted', min: 151, max: 200, color: '#ff0000', description: 'Moderately Polluted', risk: 'very-unhealthy' },
+      { key: 'heavily-polluted', min: 201, max: 300, color: '#99004c', description: 'Heavily Polluted', risk: 'hazardous' },
+      { key: 'severely-polluted', min: 301, max: 500, color: '#7e0023', description: 'Severely Polluted', risk: 'severe' }
+    ]
+  },
+
+  // Defra Daily Air Quality Index, bands 1-10
+  'uk-daqi': {
+    id: 'uk-daqi',
+    version: '2012',
+    name: 'UK Daily Air Quality Index',
+    shortName: 'DAQI',
+    region: 'United Kingdom',
+    maxIndex: 10,
+    truncation: { pm25: 0, pm10: 0, o3: 0, no2: 0, so2: 0 },
+    pollutants: {
+      pm25: [
+        { min: 0, max: 11, aqiMin: 1, aqiMax: 1 },
+        { min: 12, max: 23, aqiMin: 2, aqiMax: 2 },
+        { min: 24, max: 35, aqiMin: 3, aqiMax: 3 },
+        { min: 36, max: 41, aqiMin: 4, aqiMax: 4 },
+        { min: 42, max: 47, aqiMin: 5, aqiMax: 5 },
+        { min: 48, max: 53, aqiMin: 6, aqiMax: 6 },
+        { min: 54, max: 58, aqiMin: 7, aqiMax: 7 },
+        { min: 59, max: 64, aqiMin: 8, aqiMax: 8 },
+        { min: 65, max: 70, aqiMin: 9, aqiMax: 9 },
+        { min: 71, max: Infinity, aqiMin: 10, aqiMax: 10 }
+      ],
+      pm10: [
+        { min: 0, max: 16, aqiMin: 1, aqiMax: 1 },
+        { min: 17, max: 33, aqiMin: 2, aqiMax: 2 },
+        { min: 34, max: 50, aqiMin: 3, aqiMax: 3 },
+        { min: 51, max: 58, aqiMin: 4, aqiMax: 4 },
+        { min: 59, max: 66, aqiMin: 5, aqiMax: 5 },
+        { min: 67, max: 75, aqiMin: 6, aqiMax: 6 },
+        { min: 76, max: 83, aqiMin: 7, aqiMax: 7 },
+        { min: 84, max: 91, aqiMin: 8, aqiMax: 8 },
+        { min: 92, max: 100, aqiMin: 9, aqiMax: 9 },
+        { min: 101, max: Infinity, aqiMin: 10, aqiMax: 10 }
+      ],
+      o3: [
+        { min: 0, max: 33, aqiMin: 1, aqiMax: 1 },
+        { min: 34, max: 66, aqiMin: 2, aqiMax: 2 },
+        { min: 67, max: 100, aqiMin: 3, aqiMax: 3 },
+        { min: 101, max: 120, aqiMin: 4, aqiMax: 4 },
+        { min: 121, max: 140, aqiMin: 5, aqiMax: 5 },
+        { min: 141, max: 160, aqiMin: 6, aqiMax: 6 },
+        { min: 161, max: 187, aqiMin: 7, aqiMax: 7 },
+        { min: 188, max: 213, aqiMin: 8, aqiMax: 8 },
+        { min: 214, max: 240, aqiMin: 9, aqiMax: 9 },
+        { min: 241, max: Infinity, aqiMin: 10, aqiMax: 10 }
+      ],
+      no2: [
+        { min: 0, max: 67, aqiMin: 1, aqiMax: 1 },
+        { min: 68, max: 134, aqiMin: 2, aqiMax: 2 },
+        { min: 135, max: 200, aqiMin: 3, aqiMax: 3 },
+        { min: 201, max: 267, aqiMin: 4, aqiMax: 4 },
+        { min: 268, max: 334, aqiMin: 5, aqiMax: 5 },
+        { min: 335, max: 400, aqiMin: 6, aqiMax: 6 },
+        { min: 401, max: 467, aqiMin: 7, aqiMax: 7 },
+        { min: 468, max: 534, aqiMin: 8, aqiMax: 8 },
+        { min: 535, max: 600, aqiMin: 9, aqiMax: 9 },
+        { min: 601, max: Infinity, aqiMin: 10, aqiMax: 10 }
+      ],
+      so2: [
+        { min: 0, max: 88, aqiMin: 1, aqiMax: 1 },
+        { min: 89, max: 177, aqiMin: 2, aqiMax: 2 },
+        { min: 178, max: 266, aqiMin: 3, aqiMax: 3 },
+        { min: 267, max: 354, aqiMin: 4, aqiMax: 4 },
+        { min: 355, max: 443, aqiMin: 5, aqiMax: 5 },
+        { min: 444, max: 532, aqiMin: 6, aqiMax: 6 },
+        { min: 533, max: 710, aqiMin: 7, aqiMax: 7 },
+        { min: 711, max: 887, aqiMin: 8, aqiMax: 8 },
+        { min: 888, max: 1064, aqiMin: 9, aqiMax: 9 },
+        { min: 1065, max: Infinity, aqiMin: 10, aqiMax: 10 }
+      ]
+    },
+    categories: [
+      { key: 'low', min: 1, max: 3, color: '#31cf00', description: 'Low', risk: 'good' },
+      { key: 'moderate', min: 4, max: 6, color: '#ff9a00', description: 'Moderate', risk: 'moderate' },
+      { key: 'high', min: 7, max: 9, color: '#ff0000', description: 'High', risk: 'very-unhealthy' },
+      { key: 'very-high', min: 10, max: 10, color: '#ce30ff', description: 'Very High', risk: 'hazardous' }
+    ]
+  }
+};
+
+export const DEFAULT_STANDARD = 'epa-2024';
+
+// Older ids kept working after the EPA table was split by revision
+const STANDARD_ALIASES = {
+  'us-epa': 'epa-2024'
+};
+
+export function resolveStandardId(id) {
+  return STANDARD_ALIASES[id] || id;
+}
+
+export function getStandard(id) {
+  const standard = AQI_STANDARDS[resolveStandardId(id)];
+  if (!standard) {
+    throw new Error(`Unknown AQI standard: ${id}`);
+  }
+  return standard;
+}
+
+export function listStandards() {
+  return Object.values(AQI_STANDARDS).map(({ id, version, name, shortName, region }) => ({ id, version, name, shortName, region }));
+}
@@ -0,0 +1,301 @@
+// src/modules/CacheStore.js - IndexedDB Response Cache with a Size Budget
+const DB_NAME = 'aqi-cache';
+const DB_VERSION = 1;
+const STORE = 'entries';
+
+// Entries older than this are dropped when the store opens
+const MAX_AGE = 24 * 60 * 60 * 1000;
+
+// Roughly bytes: the length of each entry's JSON
+export const DEFAULT_CACHE_BUDGET = 20 * 1024 * 1024;
+
+// Promise for a single IDBRequest
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Host and path of a URL, e.g. "api.openweathermap.org/data/2.5/air_pollution"
+export function endpointOf(url) {
+  try {
+    const { host, pathname } = new URL(url);
+    return `${host}${pathname}`;
+  } catch {
+    return String(url);
+  }
+}
+
+// The old cache was keyed by URLs with `appid=<key>` in them: keyless requests never look those up,
+// and the key shouldn't be copied into another store
+function isKeyedEntry(key, entry) {
+  return /[?&]appid=/.test(key) || /[?&]appid=/.test(entry.url);
+}
+
+export class CacheStore {
+  /**
+   * One record per cached response, indexed by endpoint and by last access.
+   * @param {Object} [options]
+   * @param {number} [options.budget] - Size budget; least recently used entries are evicted past it
+   * @param {IDBFactory} [options.indexedDB] - Defaults to the global indexedDB
+   */
+  constructor(options = {}) {
+    this.budget = options.budget || DEFAULT_CACHE_BUDGET;
+    this.factory = options.indexedDB || globalThis.indexedDB;
+    this.db = null;
+    this.totalSize = 0;
+    this.ready = null;
+  }
+
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (!this.ready) {
+      this.ready = this.openDatabase().then(async (db) => {
+        this.db = db;
+        await this.deleteOlderThan(Date.now() - MAX_AGE);
+        this.totalSize = await this.measure();
+        return db;
+      });
+    }
+    return this.ready;
+  }
+
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = this.factory.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+        store.createIndex('endpoint', 'endpoint');
+        store.createIndex('lastAccess', 'lastAccess');
+        store.createIndex('timestamp', 'timestamp');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Cache database is blocked by another tab'));
+    });
+  }
+
+  // Run `work(store)` in one transaction; resolves with its result once the transaction has committed
+  async transaction(mode, work) {
+    const db = this.db || await this.open();
+    const tx = db.transaction(STORE, mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Cache transaction aborted'));
+    });
+
+    const [result] = await Promise.all([work(tx.objectStore(STORE)), done]);
+    return result;
+  }
+
+  // Entry for a cache key, or null; reading it makes it the most recently used
+  async get(key) {
+    const entry = await this.transaction('readwrite', async (store) => {
+      const record = await promisify(store.get(key));
+      if (record) {
+        record.lastAccess = Date.now();
+        store.put(record);
+      }
+      return record;
+    });
+
+    return entry ? { data: entry.data, timestamp: entry.timestamp, url: entry.url, options: entry.options } : null;
+  }
+
+  async set(key, { data, timestamp = Date.now(), url, options }) {
+    const record = {
+      key,
+      url,
+      endpoint: endpointOf(url),
+      options,
+      data,
+      timestamp,
+      lastAccess: Date.now()
+    };
+    record.size = JSON.stringify(record).length;
+
+    const previousSize = await this.transaction('readwrite', async (store) => {
+      const previous = await promisify(store.get(key));
+      store.put(record);
+      return previous ? previous.size : 0;
+    });
+
+    this.totalSize += record.size - previousSize;
+    if (this.totalSize > this.budget) {
+      await this.evict();
+    }
+  }
+
+  async delete(key) {
+    await this.transaction('readwrite', async (store) => {
+      const previous = await promisify(store.get(key));
+      if (previous) {
+        this.totalSize -= previous.size;
+        store.delete(key);
+      }
+    });
+  }
+
+  // Drop least recently used entries until the store is back under budget
+  async evict() {
+    let evicted = 0;
+
+    await this.transaction('readwrite', (store) => new Promise((resolve, reject) => {
+      const request = store.index('lastAccess').openCursor();
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || this.totalSize <= this.budget) return resolve();
+
+        this.totalSize -= cursor.value.size;
+        evicted++;
+        cursor.delete();
+        cursor.continue();
+      };
+    }));
+
+    if (evicted > 0) {
+      console.log(`🧹 Evicted ${evicted} cache entries to stay under budget`);
+    }
+    return evicted;
+  }
+
+  /**
+   * Remove everything, or the entries whose endpoint (host and path) contains `pattern`.
+   * Only the distinct endpoints are scanned, then each match is deleted through the index.
+   */
+  async clear(pattern = null) {
+    if (!pattern) {
+      await this.transaction('readwrite', store => store.clear());
+      this.totalSize = 0;
+      return;
+    }
+
+    await this.transaction('readwrite', (store) => new Promise((resolve, reject) => {
+      const index = store.index('endpoint');
+      const request = index.openKeyCursor(null, 'nextunique');
+      const matches = [];
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          if (String(cursor.key).includes(pattern)) matches.push(cursor.key);
+          cursor.continue();
+          return;
+        }
+
+        let pending = matches.length;
+        if (pending === 0) return resolve();
+
+        matches.forEach(endpoint => {
+          const deletion = index.openCursor(IDBKeyRange.only(endpoint));
+          deletion.onerror = () => reject(deletion.error);
+          deletion.onsuccess = () => {
+            const entry = deletion.result;
+            if (!entry) {
+              if (--pending === 0) resolve();
+              return;
+            }
+            this.totalSize -= entry.value.size;
+            entry.delete();
+            entry.continue();
+          };
+        });
+      };
+    }));
+  }
+
+  async deleteOlderThan(cutoff) {
+    await this.transaction('readwrite', (store) => new Promise((resolve, reject) => {
+      const request = store.index('timestamp').openCursor(IDBKeyRange.upperBound(cutoff, true));
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return resolve();
+        cursor.delete();
+        cursor.continue();
+      };
+    }));
+  }
+
+  // Total size of all records, walked once when the store opens
+  async measure() {
+    let total = 0;
+
+    await this.transaction('readonly', (store) => new Promise((resolve, reject) => {
+      const request = store.openCursor();
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return resolve();
+        total += cursor.value.size || 0;
+        cursor.continue();
+      };
+    }));
+
+    return total;
+  }
+
+  async getStats() {
+    const stats = {
+      totalEntries: 0,
+      totalSize: this.totalSize,
+      budget: this.budget,
+      oldestEntry: null,
+      newestEntry: null
+    };
+
+    await this.transaction('readonly', async (store) => {
+      const index = store.index('timestamp');
+      stats.totalEntries = await promisify(store.count());
+
+      const [oldest, newest] = await Promise.all([
+        promisify(index.openCursor(null, 'next')),
+        promisify(index.openCursor(null, 'prev'))
+      ]);
+      stats.oldestEntry = oldest ? new Date(oldest.value.timestamp) : null;
+      stats.newestEntry = newest ? new Date(newest.value.timestamp) : null;
+    });
+
+    return stats;
+  }
+
+  /**
+   * Import entries from the old single-key localStorage cache, then remove that key.
+   * Entries requested with the browser-side API key are dropped (see isKeyedEntry).
+   * @returns {Promise<number>} entries imported
+   */
+  async migrateFromLocalStorage(storageKey, storage = globalThis.localStorage) {
+    const stored = storage?.getItem(storageKey);
+    if (!stored) return 0;
+
+    let imported = 0;
+    try {
+      const parsed = JSON.parse(stored);
+      const cutoff = Date.now() - MAX_AGE;
+
+      for (const [key, entry] of Object.entries(parsed)) {
+        if (entry && entry.timestamp > cutoff && entry.url && !isKeyedEntry(key, entry)) {
+          await this.set(key, entry);
+          imported++;
+        }
+      }
+    } catch (error) {
+      // A corrupt old cache isn't worth keeping either
+      console.warn('Failed to migrate cache from localStorage:', error);
+    }
+
+    storage.removeItem(storageKey);
+    if (imported > 0) {
+      console.log(`📦 Moved ${imported} cache entries from localStorage to IndexedDB`);
+    }
+    return imported;
+  }
+}
@@ -0,0 +1,211 @@
+// src/modules/CalculatorClient.js - Promise-Based Calls to the Calculator Worker
+import { CALCULATOR_TASKS } from './CalculatorTasks.js';
+
+// Longest a call waits for the worker's reply (ms)
+const DEFAULT_TIMEOUT = 10000;
+
+// The worker (or the main-thread fallback) could not do the calculation.
+// `retryable` calls failed with the worker rather than on their data, and can simply be made again.
+export class CalculationError extends Error {
+  constructor(message, { task, retryable = false, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'CalculationError';
+    this.task = task;
+    this.retryable = retryable;
+  }
+}
+
+// No reply within the call's timeout
+export class CalculationTimeoutError extends CalculationError {
+  constructor(task, timeout) {
+    super(`${task} took longer than ${timeout} ms`, { task });
+    this.name = 'CalculationTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+export class CalculatorClient {
+  /**
+   * One request per message, matched to its reply by id. Where there is no Worker, or the worker
+   * script fails to load, the same tasks run on the main thread instead (see CalculatorTasks.js).
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Default timeout per call (ms); 0 waits forever
+   * @param {Function} [options.createWorker] - Returns the worker to talk to, or null for none
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout ?? DEFAULT_TIMEOUT;
+    this.createWorker = options.createWorker || createCalculatorWorker;
+    // undefined until the first call; null once the worker is known to be unavailable
+    this.worker = undefined;
+    // id → { task, data, transferred, resolve, reject } for calls waiting on the worker
+    this.pending = new Map();
+    this.nextId = 0;
+    this.localCalculator = null;
+
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handleError = this.handleError.bind(this);
+  }
+
+  // { pm25, temperature?, humidity?, schedule? } → AQICalculator.calculateMetrics result
+  calculate(reading, options) {
+    return this.call('calculate', reading, options);
+  }
+
+  batchCalculate(readings, options) {
+    return this.call('batchCalculate', readings, options);
+  }
+
+  // Hourly [{ pm25 }] → linear trend and the next 24 hours
+  predict(history, options) {
+    return this.call('predict', history, options);
+  }
+
+  analyze(history, options) {
+    return this.call('analyze', history, options);
+  }
+
+  // { history: [{ timestamp, pm25 }], horizon?, interval? } → Holt-Winters forecast with prediction intervals
+  forecast(data, options) {
+    return this.call('forecast', data, options);
+  }
+
+  // { history, holdout?, interval? } → held-out error of the Holt-Winters forecast and the linear trend
+  backtest(data, options) {
+    return this.call('backtest', data, options);
+  }
+
+  /**
+   * @param {string} task - One of CALCULATOR_TASKS
+   * @param {*} data - Must survive structured cloning
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Rejects the call; the worker's late reply is ignored
+   * @param {number} [options.timeout] - Overrides the client's timeout (ms)
+   * @param {Array<ArrayBuffer>} [options.transfer] - Buffers handed to the worker rather than copied; unusable here afterwards
+   */
+  call(task, data, { signal, timeout = this.timeout, transfer = [] } = {}) {
+    if (!CALCULATOR_TASKS.includes(task)) {
+      return Promise.reject(new CalculationError(`Unknown calculation type: ${task}`, { task }));
+    }
+
+    return new Promise((resolve, reject) => {
+      signal?.throwIfAborted();
+
+      const id = ++this.nextId;
+      let timer = null;
+      const onAbort = () => settle(reject, signal.reason ?? new DOMException('Aborted', 'AbortError'));
+      const settle = (callback, value) => {
+        if (!this.pending.has(id)) return;
+        this.pending.delete(id);
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+
+      this.pending.set(id, {
+        task,
+        data,
+        transferred: transfer.length > 0,
+        resolve: (result) => settle(resolve, result),
+        reject: (error) => settle(reject, error)
+      });
+      signal?.addEventListener('abort', onAbort, { once: true });
+      if (timeout > 0) {
+        timer = setTimeout(() => settle(reject, new CalculationTimeoutError(task, timeout)), timeout);
+      }
+
+      this.send(id, transfer);
+    });
+  }
+
+  send(id, transfer) {
+    const worker = this.getWorker();
+    const request = this.pending.get(id);
+
+    if (worker) {
+      worker.postMessage({ type: request.task, data: request.data, id }, transfer);
+    } else {
+      this.runLocally(request);
+    }
+  }
+
+  getWorker() {
+    if (this.worker === undefined) {
+      try {
+        this.worker = this.createWorker();
+      } catch (error) {
+        console.warn('Calculator worker unavailable, calculating on the main thread:', error);
+        this.worker = null;
+      }
+
+      this.worker?.addEventListener('message', this.handleMessage);
+      this.worker?.addEventListener('error', this.handleError);
+    }
+    return this.worker;
+  }
+
+  handleMessage(e) {
+    const { type, id, result, error } = e.data || {};
+    const request = this.pending.get(id);
+    // Replies to calls that timed out or were cancelled
+    if (!request) return;
+
+    if (type === 'calculationError') {
+      request.reject(new CalculationError(error, { task: request.task }));
+    } else {
+      request.resolve(result);
+    }
+  }
+
+  // The worker itself failed (usually its script didn't load): calls still waiting run here instead
+  handleError(event) {
+    event.preventDefault?.();
+    console.warn('Calculator worker failed, calculating on the main thread:', event.message || event);
+
+    this.closeWorker();
+    this.worker = null;
+    this.pending.forEach(request => {
+      if (request.transferred) {
+        // The worker took the buffers with it; the caller still has the data to try again
+        request.reject(new CalculationError('Calculator worker failed after its data was transferred', { task: request.task, retryable: true }));
+      } else {
+        this.runLocally(request);
+      }
+    });
+  }
+
+  async runLocally(request) {
+    try {
+      const [{ AQICalculator }, { runCalculatorTask }] = await Promise.all([
+        import('./AQICalculator.js'),
+        import('./CalculatorTasks.js')
+      ]);
+      this.localCalculator = this.localCalculator || new AQICalculator();
+      request.resolve(runCalculatorTask(this.localCalculator, request.task, request.data));
+    } catch (error) {
+      request.reject(new CalculationError(error.message, { task: request.task, cause: error }));
+    }
+  }
+
+  closeWorker() {
+    if (!this.worker) return;
+
+    this.worker.removeEventListener('message', this.handleMessage);
+    this.worker.removeEventListener('error', this.handleError);
+    this.worker.terminate();
+  }
+
+  // Rejects whatever is still waiting; a later call starts a new worker
+  destroy() {
+    this.closeWorker();
+    this.worker = undefined;
+
+    const error = new DOMException('Calculator client closed', 'AbortError');
+    this.pending.forEach(request => request.reject(error));
+  }
+}
+
+// Null where workers aren't available (Node, older browsers)
+function createCalculatorWorker() {
+  if (typeof Worker === 'undefined') return null;
+  return new Worker(new URL('../workers/aqi-calculator-worker.js', import.meta.url), { type: 'module' });
+}
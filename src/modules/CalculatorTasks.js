@@ -0,0 +1,219 @@
+// src/modules/CalculatorTasks.js - What the Calculator Worker Can Be Asked to Do
+// The worker runs these, and CalculatorClient runs the same ones on the main thread when there is no worker.
+import { POLLUTANTS } from './AQIStandards.js';
+import { backtest, forecastHoltWinters } from './SeasonalForecast.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Order of the pollutant codes in scoreColumns' `dominant` column
+export const COLUMN_POLLUTANTS = Object.keys(POLLUTANTS);
+
+// `dominant` code for an hour with nothing measured
+export const NO_POLLUTANT = 255;
+
+const TASKS = {
+  calculate: (calculator, reading) => calculator.calculateMetrics(reading),
+  batchCalculate: (calculator, readings) => readings.map(reading => calculator.calculateMetrics(reading)),
+  predict: (calculator, history) => predictAQITrend(calculator, history),
+  analyze: (calculator, history) => analyzeAQIHistory(calculator, history),
+  forecast: (calculator, data) => forecastPM25(calculator, data),
+  backtest: (calculator, data) => backtestForecasts(calculator, data),
+  scoreColumns: (calculator, data) => scoreColumns(calculator, data)
+};
+
+export const CALCULATOR_TASKS = Object.keys(TASKS);
+
+export function runCalculatorTask(calculator, type, data) {
+  const task = TASKS[type];
+  if (!task) {
+    throw new Error(`Unknown calculation type: ${type}`);
+  }
+  return task(calculator, data);
+}
+
+// The ArrayBuffers behind the typed arrays in a task's data or result, so they can be moved instead of copied
+export function transferablesOf(value) {
+  if (ArrayBuffer.isView(value)) return [value.buffer];
+  if (!value || typeof value !== 'object') return [];
+
+  const buffers = new Set(Object.values(value).flatMap(item => (ArrayBuffer.isView(item) ? [item.buffer] : [])));
+  return [...buffers];
+}
+
+/**
+ * Hour-by-hour AQI for columns of concentrations, as in AQICalculator.calculateAQIFromMultiplePollutants.
+ * @param {Object} data
+ * @param {Object<string, Float32Array>} data.columns - μg/m³ per pollutant (keys as in POLLUTANTS), all the same length; NaN where not measured
+ * @param {string} [data.standard] - Standard to score in; the calculator's own by default
+ * @param {string|Array} [data.schedule] - Exposure schedule for the cigarettes column
+ * @returns {{aqi: Float32Array, dominant: Uint8Array, cigarettes: Float32Array, standard: string, version: string}}
+ *   NaN AQI and NO_POLLUTANT where nothing was measured; NaN cigarettes without PM2.5
+ */
+function scoreColumns(calculator, { columns, standard, schedule }) {
+  const previousStandard = calculator.standardId;
+  if (standard) calculator.setStandard(standard);
+
+  try {
+    const entries = Object.entries(columns).filter(([pollutant]) => POLLUTANTS[pollutant]);
+    const length = entries.length ? entries[0][1].length : 0;
+    if (entries.some(([, column]) => column.length !== length)) {
+      throw new Error('Concentration columns must all have the same length');
+    }
+
+    const aqi = new Float32Array(length);
+    const dominant = new Uint8Array(length);
+    const cigarettes = new Float32Array(length);
+    // Cigarettes grow in proportion to PM2.5, so the schedule is worked out once
+    const cigarettesPerMicrogram = calculator.calculateCigarettesFromPM25(1, schedule).total;
+    const pm25 = columns.pm25;
+
+    for (let hour = 0; hour < length; hour++) {
+      const reading = {};
+      entries.forEach(([pollutant, column]) => {
+        if (!Number.isNaN(column[hour])) reading[pollutant] = column[hour];
+      });
+
+      const result = calculator.calculateAQIFromMultiplePollutants(reading);
+      aqi[hour] = result.aqi ?? NaN;
+      dominant[hour] = result.dominantPollutant ? COLUMN_POLLUTANTS.indexOf(result.dominantPollutant) : NO_POLLUTANT;
+      cigarettes[hour] = pm25 && !Number.isNaN(pm25[hour]) ? pm25[hour] * cigarettesPerMicrogram : NaN;
+    }
+
+    return { aqi, dominant, cigarettes, ...calculator.getStandardVersion() };
+  } finally {
+    calculator.setStandard(previousStandard);
+  }
+}
+
+/**
+ * Holt-Winters forecast of PM2.5 with its daily cycle (see SeasonalForecast.js).
+ * @param {Object} data
+ * @param {Array<{timestamp: number, pm25: number}>} data.history - Hourly readings, gaps allowed; two days' span at least
+ * @param {number} [data.horizon] - Hours ahead, 24 by default
+ * @param {number} [data.interval] - Prediction interval level, 0.8 by default
+ * @returns {{status: string, predictions: Array<{hour: number, timestamp: number, pm25: number, lower: number, upper: number, aqi: number}>, parameters?: Object, rmse?: number, missingHours?: number}}
+ */
+function forecastPM25(calculator, { history, horizon, interval }) {
+  const forecast = forecastHoltWinters(history, { horizon, interval });
+
+  return {
+    ...forecast,
+    predictions: forecast.predictions.map(({ hour, timestamp, value, lower, upper }) => ({
+      hour,
+      timestamp,
+      pm25: Math.round(value * 100) / 100,
+      lower: Math.round(lower * 100) / 100,
+      upper: Math.round(upper * 100) / 100,
+      aqi: calculator.calculateAQIFromPM25(value)
+    }))
+  };
+}
+
+/**
+ * Forecasts the last `holdout` hours of history from the hours before them, with Holt-Winters and
+ * with predict's linear regression, and reports each one's error (μg/m³) against what was measured.
+ * @param {Object} data
+ * @param {Array<{timestamp: number, pm25: number}>} data.history
+ * @param {number} [data.holdout] - Hours held out, 24 by default
+ * @param {number} [data.interval] - Holt-Winters prediction interval level, scored as `coverage`
+ */
+function backtestForecasts(calculator, { history, holdout = 24, interval }) {
+  return backtest(history, {
+    'holt-winters': (train, hours) => forecastHoltWinters(train, { horizon: hours, interval }).predictions,
+    // The regression counts readings, not hours: its hour i is taken as i hours after the last reading
+    linear: (train, hours) => {
+      const sorted = [...train].sort((a, b) => a.timestamp - b.timestamp);
+      const last = sorted.length ? sorted[sorted.length - 1].timestamp : 0;
+      return predictAQITrend(calculator, sorted, hours).predictions
+        .map(prediction => ({ timestamp: last + prediction.hour * HOUR, value: prediction.pm25 }));
+    }
+  }, { holdout });
+}
+
+function predictAQITrend(calculator, historicalData, horizon = 24) {
+  if (historicalData.length < 3) {
+    return { trend: 'insufficient-data', predictions: [] };
+  }
+
+  // Simple linear regression for trend prediction
+  const n = historicalData.length;
+  const sumX = historicalData.reduce((sum, _, i) => sum + i, 0);
+  const sumY = historicalData.reduce((sum, d) => sum + d.pm25, 0);
+  const sumXY = historicalData.reduce((sum, d, i) => sum + i * d.pm25, 0);
+  const sumXX = historicalData.reduce((sum, _, i) => sum + i * i, 0);
+
+  const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
+  const intercept = (sumY - slope * sumX) / n;
+
+  // Predict the next hours (assuming hourly data)
+  const predictions = [];
+  for (let i = 1; i <= horizon; i++) {
+    const predictedPM25 = slope * (n + i) + intercept;
+    const predictedAQI = calculator.calculateAQIFromPM25(Math.max(0, predictedPM25));
+
+    predictions.push({
+      hour: i,
+      pm25: Math.round(predictedPM25 * 100) / 100,
+      aqi: predictedAQI
+    });
+  }
+
+  let trend = 'stable';
+  if (slope > 0.5) trend = 'increasing';
+  else if (slope < -0.5) trend = 'decreasing';
+
+  return {
+    trend,
+    slope: Math.round(slope * 100) / 100,
+    predictions
+  };
+}
+
+function analyzeAQIHistory(calculator, historicalData) {
+  if (historicalData.length === 0) {
+    return { analysis: 'no-data' };
+  }
+
+  const pm25Values = historicalData.map(d => d.pm25);
+
+  // Calculate statistics
+  const stats = {
+    average: pm25Values.reduce((sum, val) => sum + val, 0) / pm25Values.length,
+    max: Math.max(...pm25Values),
+    min: Math.min(...pm25Values),
+    median: calculateMedian(pm25Values),
+    stdDev: calculateStdDev(pm25Values)
+  };
+
+  // Detect anomalies (values > 2 standard deviations from mean)
+  const anomalies = historicalData.filter(d => {
+    const deviation = Math.abs(d.pm25 - stats.average) / stats.stdDev;
+    return deviation > 2;
+  });
+
+  // Calculate trend
+  const trend = predictAQITrend(calculator, historicalData);
+
+  return {
+    statistics: stats,
+    anomalies: anomalies.length,
+    anomalyData: anomalies,
+    trend: trend.trend,
+    slope: trend.slope
+  };
+}
+
+function calculateMedian(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[mid - 1] + sorted[mid]) / 2
+    : sorted[mid];
+}
+
+function calculateStdDev(values) {
+  const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
+  const squaredDiffs = values.map(val => Math.pow(val - mean, 2));
+  const variance = squaredDiffs.reduce((sum, val) => sum + val, 0) / values.length;
+  return Math.sqrt(variance);
+}
@@ -1,4 +1,18 @@
 // src/modules/CanvasRenderer.js - Advanced Canvas Rendering Engine
+
+// Line colors for overlaid series, in order; kept clear of the AQI category colors
+export const SERIES_COLORS = ['#4dabf7', '#ff6b9d', '#ffd43b', '#63e6be'];
+
+// Bar colors in the pollutant breakdown, keyed as in POLLUTANTS
+export const POLLUTANT_COLORS = {
+  pm25: '#FF6B6B',
+  pm10: '#4ECDC4',
+  no2: '#45B7D1',
+  so2: '#96CEB4',
+  co: '#FFEAA7',
+  o3: '#DDA0DD'
+};
+
 export class CanvasRenderer {
   constructor(canvas) {
     this.canvas = canvas;
@@ -7,6 +21,8 @@ export class CanvasRenderer {
     this.height = canvas.height;
     this.particles = [];
     this.cigarettes = [];
+    // Line of text under the cigarettes, kept across breathing frames
+    this.caption = null;
     this.animationFrame = null;
     this.isDestroyed = false;
 
@@ -52,6 +68,8 @@ export class CanvasRenderer {
   clear() {
     this.ctx.clearRect(0, 0, this.width, this.height);
     this.ctx.shadowBlur = 0;
+    this.cigarettes = [];
+    this.caption = null;
   }
 
   // 3D Cigarette Rendering
@@ -94,19 +112,28 @@ export class CanvasRenderer {
   }
 
   // Animated Line Chart
-  drawAnimatedLineChart(data) {
+  // Points with `aqi: null` are hours without a measurement; they are drawn as gaps, never interpolated.
+  // options.timeLabels replaces the default "24h ago … Now" axis; options.highlights marks
+  // index ranges ({ from, to, label }) such as the cleanest hours of a forecast.
+  drawAnimatedLineChart(data, options = {}) {
     if (!data || data.length === 0) return;
 
+    const measured = data.filter(d => d.aqi !== null);
+    if (measured.length === 0) {
+      this.drawEmptyState('No measured data for this period');
+      return;
+    }
+
     const padding = 60;
     const chartWidth = this.width - padding * 2;
     const chartHeight = this.height - padding * 2;
 
     // Calculate scales
-    const maxAQI = Math.max(...data.map(d => d.aqi));
-    const minAQI = Math.min(...data.map(d => d.aqi));
+    const maxAQI = Math.max(...measured.map(d => d.aqi));
+    const minAQI = Math.min(...measured.map(d => d.aqi));
 
-    const xScale = (index) => padding + (index / (data.length - 1)) * chartWidth;
-    const yScale = (aqi) => padding + chartHeight - ((aqi - minAQI) / (maxAQI - minAQI)) * chartHeight;
+    const xScale = (index) => padding + (index / Math.max(data.length - 1, 1)) * chartWidth;
+    const yScale = (aqi) => padding + chartHeight - ((aqi - minAQI) / (maxAQI - minAQI || 1)) * chartHeight;
 
     // Draw grid
     this.drawGrid(padding, chartWidth, chartHeight, maxAQI);
@@ -114,6 +141,13 @@ export class CanvasRenderer {
     // Draw gradient background
     this.drawChartBackground(padding, chartWidth, chartHeight, maxAQI);
 
+    // Mark hours with no data
+    this.drawGaps(data, xScale, padding, chartHeight);
+
+    if (options.highlights) {
+      this.drawHighlights(options.highlights, xScale, padding, chartHeight);
+    }
+
     // Draw line with animation
     this.animateLineDrawing(data, xScale, yScale);
 
@@ -121,7 +155,143 @@ export class CanvasRenderer {
     this.drawDataPoints(data, xScale, yScale);
 
     // Draw axes and labels
-    this.drawAxes(padding, chartWidth, chartHeight, data, maxAQI);
+    this.drawAxes(padding, chartWidth, chartHeight, data, maxAQI, options.timeLabels);
+  }
+
+  // Several series on one AQI scale starting at 0, e.g. pinned cities. Each is { label, points } with
+  // points as in drawAnimatedLineChart, all covering the same hours; gaps are left open.
+  drawComparisonChart(series, options = {}) {
+    const measured = series.flatMap(({ points }) => points).filter(d => d.aqi !== null);
+    if (measured.length === 0) {
+      this.drawEmptyState('No measured data for these cities');
+      return;
+    }
+
+    const padding = 60;
+    const chartWidth = this.width - padding * 2;
+    const chartHeight = this.height - padding * 2;
+    const maxAQI = Math.max(50, ...measured.map(d => d.aqi));
+    const length = Math.max(...series.map(({ points }) => points.length));
+
+    const xScale = (index) => padding + (index / Math.max(length - 1, 1)) * chartWidth;
+    const yScale = (aqi) => padding + chartHeight - (aqi / maxAQI) * chartHeight;
+
+    this.drawGrid(padding, chartWidth, chartHeight, maxAQI);
+
+    series.forEach(({ points }, index) => {
+      this.drawSeriesLine(points, xScale, yScale, SERIES_COLORS[index % SERIES_COLORS.length]);
+    });
+
+    this.drawLegend(series.map(({ label }) => label), padding);
+    this.drawAxes(padding, chartWidth, chartHeight, measured, maxAQI, options.timeLabels);
+  }
+
+  drawSeriesLine(points, xScale, yScale, color) {
+    this.ctx.strokeStyle = color;
+    this.ctx.fillStyle = color;
+    this.ctx.lineWidth = 2.5;
+    this.ctx.lineCap = 'round';
+    this.ctx.lineJoin = 'round';
+
+    this.ctx.beginPath();
+    points.forEach((point, i) => {
+      if (point.aqi === null) return;
+
+      // Start a new segment after a gap instead of bridging it
+      if (i === 0 || points[i - 1].aqi === null) {
+        this.ctx.moveTo(xScale(i), yScale(point.aqi));
+      } else {
+        this.ctx.lineTo(xScale(i), yScale(point.aqi));
+      }
+    });
+    this.ctx.stroke();
+
+    // Dots keep an hour between two gaps visible
+    points.forEach((point, i) => {
+      if (point.aqi === null) return;
+      this.ctx.beginPath();
+      this.ctx.arc(xScale(i), yScale(point.aqi), 2.5, 0, Math.PI * 2);
+      this.ctx.fill();
+    });
+  }
+
+  drawLegend(labels, padding) {
+    let x = padding;
+    const y = padding / 2;
+
+    this.ctx.font = '12px Arial';
+    this.ctx.textAlign = 'left';
+
+    labels.forEach((label, index) => {
+      this.ctx.fillStyle = SERIES_COLORS[index % SERIES_COLORS.length];
+      this.ctx.fillRect(x, y - 5, 14, 4);
+
+      this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+      this.ctx.fillText(label, x + 20, y);
+      x += 20 + this.ctx.measureText(label).width + 24;
+    });
+  }
+
+  // Bars of { label, value, color } from 0 up; options.unit labels the values
+  drawBarChart(bars, options = {}) {
+    if (!bars || bars.length === 0) {
+      this.drawEmptyState('No pollutant readings for this location');
+      return;
+    }
+
+    const padding = 60;
+    const chartWidth = this.width - padding * 2;
+    const chartHeight = this.height - padding * 2;
+    const maxValue = Math.max(...bars.map(bar => bar.value)) || 1;
+    const slot = chartWidth / bars.length;
+    const barWidth = slot * 0.6;
+
+    bars.forEach((bar, index) => {
+      const barHeight = (bar.value / maxValue) * chartHeight;
+      const x = padding + index * slot + (slot - barWidth) / 2;
+      const y = padding + chartHeight - barHeight;
+
+      this.ctx.fillStyle = bar.color || '#999';
+      this.roundedRect(x, y, barWidth, barHeight, Math.min(4, barHeight / 2));
+      this.ctx.fill();
+
+      this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+      this.ctx.font = '12px Arial';
+      this.ctx.textAlign = 'center';
+      this.ctx.fillText(bar.value.toFixed(1), x + barWidth / 2, y - 6);
+      this.ctx.fillText(bar.label, x + barWidth / 2, padding + chartHeight + 20);
+    });
+
+    // Baseline
+    this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    this.ctx.lineWidth = 2;
+    this.ctx.beginPath();
+    this.ctx.moveTo(padding, padding + chartHeight);
+    this.ctx.lineTo(padding + chartWidth, padding + chartHeight);
+    this.ctx.stroke();
+
+    if (options.unit) {
+      this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+      this.ctx.textAlign = 'left';
+      this.ctx.fillText(options.unit, padding, padding / 2);
+    }
+  }
+
+  drawHighlights(highlights, xScale, padding, chartHeight) {
+    highlights.forEach(({ from, to, label }) => {
+      const x = xScale(from);
+      const width = Math.max(xScale(to) - x, 2);
+
+      this.ctx.fillStyle = 'rgba(0, 228, 0, 0.15)';
+      this.ctx.fillRect(x, padding, width, chartHeight);
+
+      if (label) {
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        this.ctx.font = '11px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(label, x + width / 2, padding + chartHeight - 8);
+      }
+    });
   }
 
   drawGrid(padding, chartWidth, chartHeight, maxAQI) {
@@ -161,6 +331,32 @@ export class CanvasRenderer {
     this.ctx.fillRect(padding, padding, chartWidth, chartHeight);
   }
 
+  drawGaps(data, xScale, padding, chartHeight) {
+    const step = xScale(1) - xScale(0);
+    let gapStart = null;
+
+    data.forEach((point, index) => {
+      if (point.aqi === null && gapStart === null) gapStart = index;
+
+      const gapEnds = gapStart !== null && (point.aqi !== null || index === data.length - 1);
+      if (!gapEnds) return;
+
+      const lastMissing = point.aqi === null ? index : index - 1;
+      const x = Math.max(xScale(gapStart) - step / 2, padding);
+      const width = Math.min(xScale(lastMissing) + step / 2, xScale(data.length - 1)) - x;
+
+      this.ctx.fillStyle = 'rgba(128, 128, 128, 0.25)';
+      this.ctx.fillRect(x, padding, width, chartHeight);
+
+      this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+      this.ctx.font = '11px Arial';
+      this.ctx.textAlign = 'center';
+      this.ctx.fillText('No data', x + width / 2, padding + 14);
+
+      gapStart = null;
+    });
+  }
+
   animateLineDrawing(data, xScale, yScale) {
     this.ctx.strokeStyle = '#ff4757';
     this.ctx.lineWidth = 3;
@@ -174,10 +370,13 @@ export class CanvasRenderer {
     this.ctx.beginPath();
 
     for (let i = 0; i < data.length; i++) {
+      if (data[i].aqi === null) continue;
+
       const x = xScale(i);
       const y = yScale(data[i].aqi);
 
-      if (i === 0) {
+      // Start a new segment after a gap instead of bridging it
+      if (i === 0 || data[i - 1].aqi === null) {
         this.ctx.moveTo(x, y);
       } else {
         // Smooth curve using quadratic curves
@@ -194,11 +393,24 @@ export class CanvasRenderer {
     this.ctx.shadowBlur = 0;
   }
 
+  // Points marked `partial` (e.g. a day with only some hours measured) are drawn hollow
   drawDataPoints(data, xScale, yScale) {
     data.forEach((point, index) => {
+      if (point.aqi === null) return;
+
       const x = xScale(index);
       const y = yScale(point.aqi);
 
+      if (point.partial) {
+        this.ctx.shadowBlur = 0;
+        this.ctx.strokeStyle = this.getAQIColor(point.aqi);
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, 5, 0, Math.PI * 2);
+        this.ctx.stroke();
+        return;
+      }
+
       // Outer glow
       this.ctx.shadowColor = this.getAQIColor(point.aqi);
       this.ctx.shadowBlur = 15;
@@ -219,27 +431,31 @@ export class CanvasRenderer {
   }
 
   drawTrendLine(data) {
-    if (data.length < 2) return;
+    // Fit only the measured hours, at their real positions
+    const points = data
+      .map((d, i) => ({ x: i, y: d.aqi }))
+      .filter(point => point.y !== null);
+    if (points.length < 2) return;
 
     // Calculate linear trend
-    const n = data.length;
-    const sumX = data.reduce((sum, _, i) => sum + i, 0);
-    const sumY = data.reduce((sum, d) => sum + d.aqi, 0);
-    const sumXY = data.reduce((sum, d, i) => sum + i * d.aqi, 0);
-    const sumXX = data.reduce((sum, _, i) => sum + i * i, 0);
+    const n = points.length;
+    const sumX = points.reduce((sum, p) => sum + p.x, 0);
+    const sumY = points.reduce((sum, p) => sum + p.y, 0);
+    const sumXY = points.reduce((sum, p) => sum + p.x * p.y, 0);
+    const sumXX = points.reduce((sum, p) => sum + p.x * p.x, 0);
 
     const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
     const intercept = (sumY - slope * sumX) / n;
 
     const startY = intercept;
-    const endY = slope * (n - 1) + intercept;
+    const endY = slope * (data.length - 1) + intercept;
 
     const padding = 60;
     const chartHeight = this.height - padding * 2;
-    const maxAQI = Math.max(...data.map(d => d.aqi));
-    const minAQI = Math.min(...data.map(d => d.aqi));
+    const maxAQI = Math.max(...points.map(p => p.y));
+    const minAQI = Math.min(...points.map(p => p.y));
 
-    const yScale = (aqi) => padding + chartHeight - ((aqi - minAQI) / (maxAQI - minAQI)) * chartHeight;
+    const yScale = (aqi) => padding + chartHeight - ((aqi - minAQI) / (maxAQI - minAQI || 1)) * chartHeight;
 
     this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
     this.ctx.lineWidth = 2;
@@ -253,7 +469,7 @@ export class CanvasRenderer {
     this.ctx.setLineDash([]);
   }
 
-  drawAxes(padding, chartWidth, chartHeight, data, maxAQI) {
+  drawAxes(padding, chartWidth, chartHeight, data, maxAQI, timeLabels = ['24h ago', '18h', '12h', '6h', 'Now']) {
     // X-axis
     this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
     this.ctx.lineWidth = 2;
@@ -274,7 +490,6 @@ export class CanvasRenderer {
     this.ctx.textAlign = 'center';
 
     // Time labels
-    const timeLabels = ['24h ago', '18h', '12h', '6h', 'Now'];
     timeLabels.forEach((label, i) => {
       const x = padding + (i / (timeLabels.length - 1)) * chartWidth;
       this.ctx.fillText(label, x, padding + chartHeight + 20);
@@ -359,8 +574,23 @@ export class CanvasRenderer {
     }
   }
 
+  // e.g. how many cigarettes did not fit on the canvas
+  drawCaption(text) {
+    this.caption = text;
+
+    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    this.ctx.font = '14px Arial';
+    this.ctx.textAlign = 'center';
+    this.ctx.fillText(text, this.width / 2, this.height - 24);
+  }
+
   // Breathing effect for cigarettes
   applyBreathingEffect(scale) {
+    // Each frame starts over; drawing records the cigarettes again
+    const cigarettes = this.cigarettes;
+    this.cigarettes = [];
+    this.ctx.clearRect(0, 0, this.width, this.height);
+
     this.ctx.save();
     this.ctx.scale(scale, scale);
     this.ctx.translate(
@@ -369,22 +599,26 @@ export class CanvasRenderer {
     );
 
     // Redraw cigarettes with breathing effect
-    this.cigarettes.forEach(cigarette => {
-      this.draw3DCigarette(cigarette.x, cigarette.y, cigarette.index, this.cigarettes.length);
+    cigarettes.forEach(cigarette => {
+      this.draw3DCigarette(cigarette.x, cigarette.y, cigarette.index, cigarettes.length);
     });
 
     this.ctx.restore();
+
+    if (this.caption) {
+      this.drawCaption(this.caption);
+    }
   }
 
   // Empty state
-  drawEmptyState() {
+  drawEmptyState(message = 'Search for a city to see air quality visualization') {
     this.ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
     this.ctx.fillRect(0, 0, this.width, this.height);
 
     this.ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
     this.ctx.font = '24px Arial';
     this.ctx.textAlign = 'center';
-    this.ctx.fillText('Search for a city to see air quality visualization', this.width / 2, this.height / 2);
+    this.ctx.fillText(message, this.width / 2, this.height / 2);
   }
 
   // Utility methods
@@ -0,0 +1,137 @@
+// src/modules/DataError.js - Typed Errors for Data Fetching Failures
+
+// What went wrong, as far as a caller can do something about it
+export const ERROR_TYPES = ['auth', 'not-found', 'rate-limited', 'network', 'parse', 'provider-down', 'unknown'];
+
+export class DataError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {string} [options.url] - Request that failed
+   * @param {number} [options.status] - HTTP status, when there was a response
+   * @param {string} [options.source] - Provider id
+   * @param {Error|Array<Error>} [options.cause]
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = 'DataError';
+    this.type = 'unknown';
+    this.retryable = false;
+    this.url = options.url;
+    this.status = options.status;
+    this.source = options.source;
+  }
+}
+
+// 401/403: missing or rejected key
+export class AuthError extends DataError {
+  constructor(message = 'The data source rejected the API key', options) {
+    super(message, options);
+    this.name = 'AuthError';
+    this.type = 'auth';
+  }
+}
+
+// 404, or a source that has nothing for the query or location
+export class NotFoundError extends DataError {
+  constructor(message = 'No data found', options) {
+    super(message, options);
+    this.name = 'NotFoundError';
+    this.type = 'not-found';
+  }
+}
+
+// 429; `retryAfter` (ms) comes from the Retry-After header when the source sends one
+export class RateLimitError extends DataError {
+  constructor(message = 'Too many requests', options = {}) {
+    super(message, options);
+    this.name = 'RateLimitError';
+    this.type = 'rate-limited';
+    this.retryable = true;
+    this.retryAfter = options.retryAfter ?? null;
+  }
+}
+
+// No response at all: offline, DNS, CORS, connection reset
+export class NetworkError extends DataError {
+  constructor(message = 'Network request failed', options) {
+    super(message, options);
+    this.name = 'NetworkError';
+    this.type = 'network';
+    this.retryable = true;
+  }
+}
+
+// A response that isn't the JSON we expected
+export class ParseError extends DataError {
+  constructor(message = 'Unreadable response', options) {
+    super(message, options);
+    this.name = 'ParseError';
+    this.type = 'parse';
+  }
+}
+
+// 5xx, or every provider failing
+export class ProviderDownError extends DataError {
+  constructor(message = 'The data source is unavailable', options) {
+    super(message, options);
+    this.name = 'ProviderDownError';
+    this.type = 'provider-down';
+    this.retryable = true;
+  }
+}
+
+/**
+ * Retry-After as milliseconds from now; the header is either seconds or an HTTP date.
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Typed error for a response that isn't ok
+export function errorFromResponse(response, url) {
+  const { status } = response;
+  const message = `HTTP ${status}: ${response.statusText}`;
+  const options = { url, status };
+
+  if (status === 401 || status === 403) return new AuthError(message, options);
+  if (status === 404) return new NotFoundError(message, options);
+  if (status === 429) {
+    return new RateLimitError(message, { ...options, retryAfter: parseRetryAfter(response.headers?.get('Retry-After')) });
+  }
+  if (status >= 500) return new ProviderDownError(message, options);
+  return new DataError(message, options);
+}
+
+/**
+ * One error standing for every provider that failed. A type they all share is kept, so a bad key
+ * everywhere still reads as 'auth'; mixed failures count as the sources being down.
+ */
+export function combineErrors(errors, message = 'All data sources failed') {
+  const types = new Set(errors.map(error => error.type));
+  const options = { cause: errors };
+
+  if (types.size === 1) {
+    const [first] = errors;
+    switch (first.type) {
+      case 'auth': return new AuthError(message, options);
+      case 'not-found': return new NotFoundError(message, options);
+      case 'rate-limited': {
+        const retryAfter = Math.min(...errors.map(error => error.retryAfter ?? Infinity));
+        return new RateLimitError(message, { ...options, retryAfter: Number.isFinite(retryAfter) ? retryAfter : null });
+      }
+      case 'network': return new NetworkError(message, options);
+      case 'parse': return new ParseError(message, options);
+    }
+  }
+  return new ProviderDownError(message, options);
+}
@@ -1,27 +1,253 @@
 // src/modules/DataManager.js - Advanced Data Management with Caching
 import { EventBus } from '../core/EventBus.js';
+import { CacheStore, endpointOf } from './CacheStore.js';
+import { RetryPolicy } from './RetryPolicy.js';
+import { RateLimiter } from './RateLimiter.js';
+import { findNearbyPlaces } from './Gazetteer.js';
+import { CalculatorClient } from './CalculatorClient.js';
+import { AuthError, NetworkError, NotFoundError, ParseError, errorFromResponse, combineErrors } from './DataError.js';
+import { PROVIDERS, DEFAULT_PROVIDER_PRIORITY, createProviders, createFixtureFetch } from '../providers/ProviderRegistry.js';
+
+// The old cache: every entry serialized into this one localStorage key
+const LEGACY_CACHE_KEY = 'aqi_cache';
+
+// Entries kept in memory in front of IndexedDB
+const MEMORY_ENTRIES = 100;
+
+// Oldest cache entry stale-while-revalidate still answers with; anything older waits for the network
+const MAX_STALE_AGE = 24 * 60 * 60 * 1000;
+
+// Hourly history behind NowCast, the 24-hour chart and the 7-day trend
+const HISTORY_WINDOW = 7 * 24 * 60 * 60 * 1000;
+
+// Hours forecastFromHistory models ahead; its intervals widen quickly beyond two days
+const MODELLED_FORECAST_HOURS = 48;
+
+// Farthest (km) a bundled place can be and still name a location nothing could reverse-geocode
+const NEAREST_PLACE_RADIUS = 30;
+
+// Longest a prefetch waits for the browser to go idle
+const IDLE_TIMEOUT = 5000;
+
+// Cities fetchMultipleCities works on at once
+const BATCH_CONCURRENCY = 4;
+
+// What the forecast tasks need from history readings, so the rest isn't cloned into the worker
+function pm25Series(history) {
+  return history
+    .filter(reading => Number.isFinite(reading.pm25))
+    .map(({ timestamp, pm25 }) => ({ timestamp, pm25 }));
+}
+
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+// requestIdleCallback where there is one (Safari has none), otherwise a short timeout
+function whenIdle(callback) {
+  if (typeof requestIdleCallback === 'function') {
+    requestIdleCallback(callback, { timeout: IDLE_TIMEOUT });
+  } else {
+    setTimeout(callback, 200);
+  }
+}
+
+// Settle with `promise`, or reject as soon as `signal` aborts; the work behind the promise carries on
+function abortable(promise, signal) {
+  if (!signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+    if (signal.aborted) return onAbort();
+
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// `task` over every item with at most `limit` running at once; results keep the order of `items`
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+  return results;
+}
 
 export class DataManager {
   /**
    * @param {Object} [options]
-   * @param {string} [options.apiKey] - API key, should be provided via environment variable or secure config
+   * @param {string} [options.apiKey] - OpenWeatherMap API key, should be provided via environment variable or secure config
+   * @param {Array<string>} [options.providers] - Air quality provider ids, highest priority first (see ProviderRegistry.js)
+   * @param {Object} [options.providerKeys] - Keys for the other providers by id, e.g. { openaq: '...', waqi: '...' }
+   * @param {string} [options.apiBaseUrl] - Where OpenWeatherMap requests go, e.g. a local stand-in (defaults to `?api=` in the page URL)
+   * @param {Object} [options.requestBudget] - { perMinute, perDay, prefetchReserve } for OpenWeatherMap calls (see RateLimiter.js)
+   * @param {RetryPolicy} [options.retryPolicy] - Which failures are retried and how long to wait
+   * @param {number} [options.cacheBudget] - Size budget for the IndexedDB cache (see CacheStore.js)
+   * @param {boolean} [options.staleWhileRevalidate] - Answer from expired cache entries at once and refresh them in the background
+   * @param {boolean} [options.useFixtures] - Serve canned responses instead of calling the APIs (defaults to `?fixtures` in the page URL)
+   * @param {string} [options.fixturesBase] - Where the fixture files are served from
    */
   constructor(options = {}) {
+    // Recently used entries; everything else is read from IndexedDB on demand
     this.cache = new Map();
-    this.workers = new Map();
+    // Cache key → { promise, controller, waiting } for requests still on their way
+    this.inFlight = new Map();
+    // Stops the running prefetchNearbyCities
+    this.prefetchController = null;
+    this.store = CacheStore.isSupported() ? new CacheStore({ budget: options.cacheBudget }) : null;
+    // Calculator worker, started on first use
+    this.calculatorClient = new CalculatorClient();
     this.offline = 'serviceWorker' in navigator;
-    // API key should be provided via options, environment variable, or secure config
-    this.apiKey = options.apiKey || (typeof process !== 'undefined' && process.env && process.env.API_KEY) || (typeof window !== 'undefined' && window.API_KEY) || undefined;
+    // In the browser the key stays on server/proxy.mjs; only Node callers hold one themselves
+    this.apiKey = options.apiKey || (typeof process !== 'undefined' && process.env && process.env.API_KEY) || undefined;
     this.eventBus = new EventBus();
-    this.retryAttempts = 3;
-    this.retryDelay = 1000;
+    this.retryPolicy = options.retryPolicy || new RetryPolicy();
+    this.rateLimiter = new RateLimiter(options.requestBudget);
+    this.staleWhileRevalidate = options.staleWhileRevalidate ?? false;
+    this.useFixtures = options.useFixtures ?? DataManager.fixturesRequested();
+    this.fixturesBase = options.fixturesBase || 'fixtures';
+    this.apiBaseUrl = options.apiBaseUrl || DataManager.apiBaseRequested() ||
+      (typeof window !== 'undefined' && window.API_BASE_URL) || 'https://api.openweathermap.org';
+
+    this.providerKeys = { ...options.providerKeys, openweathermap: this.apiKey };
+    this.setProviderPriority(options.providers || DEFAULT_PROVIDER_PRIORITY);
+    // Weather only comes from OpenWeatherMap, whatever the provider priority; kept to know whether it can answer
+    [this.weatherProvider] = createProviders(['openweathermap'], {
+      fetchJson: (url, options) => this.cachedFetch(url, options),
+      keys: this.providerKeys,
+      baseUrls: { openweathermap: this.apiBaseUrl }
+    });
+
+    // Every provider's routes, so fixtures also answer sources left out of the priority list
+    this.fixtureFetch = createFixtureFetch(
+      createProviders(Object.keys(PROVIDERS), { fetchJson: url => this.fetchFixture(url) }),
+      file => this.loadFixture(file)
+    );
+  }
+
+  // Provider order for failover; each id is one of PROVIDERS
+  setProviderPriority(ids) {
+    this.providers = createProviders(ids, {
+      fetchJson: (url, options) => this.cachedFetch(url, options),
+      keys: this.providerKeys,
+      baseUrls: { openweathermap: this.apiBaseUrl }
+    });
+    return this.getProviderPriority();
+  }
+
+  getProviderPriority() {
+    return this.providers.map(provider => provider.id);
+  }
+
+  // Display name for a provider id, as found in freshness metadata
+  getProviderName(id) {
+    const provider = this.providers.find(candidate => candidate.id === id);
+    return provider ? provider.name : id;
+  }
+
+  // Providers that can answer `capability` right now; in fixture mode none needs a key
+  getProviders(capability) {
+    return this.providers.filter(provider =>
+      provider.supports(capability) && (this.useFixtures || provider.isConfigured())
+    );
+  }
+
+  /**
+   * Ask each provider in priority order until one answers.
+   * @param {string} capability - 'geocode', 'reverseGeocode', 'current', 'history' or 'forecast'
+   * @param {Array} args - Passed to the provider method
+   * @param {Function} [isEmpty] - Treat an answer as a miss and try the next provider
+   * @param {string} [emptyMessage] - Error when every provider answered, but only with misses
+   * @param {AbortSignal} [signal] - Stops the search; an abort is thrown as is, without trying the next provider
+   * @param {boolean} [prefetch] - Background request, sent only when the request budget allows
+   * @returns The provider's answer with freshness metadata (see withFreshness)
+   */
+  async fetchFromProviders(capability, args, { isEmpty = () => false, emptyMessage, signal, prefetch } = {}) {
+    const providers = this.getProviders(capability);
+    const errors = [];
+    let answered = false;
+
+    for (const provider of providers) {
+      const responses = [];
+      try {
+        const result = await provider[capability](...args, {
+          signal,
+          prefetch,
+          onResponse: response => responses.push(response)
+        });
+        if (!isEmpty(result)) {
+          return this.withFreshness(result, provider.id, responses);
+        }
+        answered = true;
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        // A prefetch out of budget stops there rather than spend another source's
+        if (prefetch && error.type === 'rate-limited') throw error;
+        console.warn(`${provider.name} failed to provide ${capability}:`, error);
+        errors.push(error);
+      }
+    }
+
+    if (answered && emptyMessage) {
+      throw new NotFoundError(emptyMessage);
+    }
+    // Without a provider, the keys are what's missing
+    if (providers.length === 0) {
+      throw new AuthError(`No data source configured for ${capability}`);
+    }
+    throw combineErrors(errors);
+  }
+
+  /**
+   * Tag a result with where it came from and how old it is. Arrays have each item tagged.
+   * - source: provider id
+   * - fetchedAt: when the oldest response behind it was fetched (ms)
+   * - observedAt: when the values were measured or forecast for, where known (ms)
+   * - isStale: some of it was served past its cache lifetime while a refresh is under way
+   */
+  withFreshness(result, source, responses) {
+    const fetchedAt = responses.length ? Math.min(...responses.map(response => response.fetchedAt)) : Date.now();
+    const isStale = responses.some(response => response.isStale);
+    const tag = item => ({ ...item, source, fetchedAt, observedAt: item.observedAt ?? item.timestamp ?? null, isStale });
+
+    return Array.isArray(result) ? result.map(tag) : tag(result);
+  }
+
+  // OpenWeatherMap-style URL on the configured base; `appid` is only added when this side holds a key
+  buildApiUrl(path, params = {}) {
+    const query = new URLSearchParams(params);
+    if (this.apiKey) {
+      query.set('appid', this.apiKey);
+    }
+    return `${this.apiBaseUrl}${path}?${query}`;
+  }
+
+  // Offline development: open the app with ?fixtures to run without network or API key
+  static fixturesRequested() {
+    return typeof location !== 'undefined' && new URLSearchParams(location.search).has('fixtures');
+  }
+
+  // Point OpenWeatherMap requests at a stand-in such as server/mock-server.mjs with ?api=http://localhost:8787,
+  // or with a bare ?api when the page is served by the stand-in itself
+  static apiBaseRequested() {
+    if (typeof location === 'undefined') return null;
+    const params = new URLSearchParams(location.search);
+    return params.has('api') ? (params.get('api') || location.origin).replace(/\/$/, '') : null;
   }
 
   async initialize() {
     console.log('🔧 Initializing DataManager...');
 
-    // Load cached data from localStorage
-    this.loadFromStorage();
+    // Open the IndexedDB cache, bringing over entries from the old localStorage cache
+    await this.openStore();
 
     // Setup offline detection
     this.setupOfflineDetection();
@@ -35,264 +261,542 @@ export class DataManager {
   }
 
   async fetchWithFallback(urls, options = {}) {
+    const errors = [];
+
     for (let i = 0; i < urls.length; i++) {
       try {
         const response = await this.cachedFetch(urls[i], options);
         return response;
       } catch (error) {
+        if (isAbortError(error)) throw error;
         console.warn(`Failed to fetch from ${urls[i]}:`, error);
-        if (i === urls.length - 1) {
-          throw new Error('All data sources failed');
-        }
+        errors.push(error);
       }
     }
+
+    throw combineErrors(errors);
   }
 
+  /**
+   * JSON for a URL, from the cache while it is fresh. Callers asking for the same URL and options
+   * while a request is under way share it; it is only aborted once every one of them has given up.
+   * @param {Object} [options] - fetch options plus:
+   * @param {number} [options.ttl] - How long a cached response counts as fresh
+   * @param {boolean} [options.allowStale] - Fall back to an expired entry when the request fails
+   * @param {boolean} [options.staleWhileRevalidate] - Overrides the DataManager setting for this call
+   * @param {AbortSignal} [options.signal]
+   * @param {boolean} [options.prefetch] - Lower priority against the request budget (see RateLimiter.js)
+   * @param {Function} [options.onResponse] - Called with { url, fetchedAt, isStale } for the data returned
+   */
   async cachedFetch(url, options = {}) {
-    const cacheKey = `${url}_${JSON.stringify(options)}`;
-    const cached = this.cache.get(cacheKey);
+    const { signal, onResponse, prefetch, staleWhileRevalidate = this.staleWhileRevalidate, ...fetchOptions } = options;
+    const answer = (data, fetchedAt, isStale = false) => {
+      onResponse?.({ url, fetchedAt, isStale });
+      return data;
+    };
+    signal?.throwIfAborted();
+
+    // Fixture responses never enter the cache, so they can't be served once fixtures are off
+    if (this.useFixtures) {
+      return answer(await abortable(this.fetchFixture(url), signal), Date.now());
+    }
+
+    const cacheKey = `${url}_${JSON.stringify(fetchOptions)}`;
+    const cached = this.cache.get(cacheKey) || await this.readStore(cacheKey);
 
     // Check if cached data is still valid
-    if (cached && this.isCacheValid(cached, options.ttl || 300000)) { // 5 minutes default
+    if (cached && this.isCacheValid(cached, fetchOptions.ttl || 300000)) { // 5 minutes default
       console.log(`📋 Using cached data for ${url}`);
-      return Promise.resolve(cached.data);
+      return answer(cached.data, cached.timestamp);
     }
 
-    // Fetch fresh data
-    try {
-      const response = await this.fetchWithRetry(url, options);
-      const data = await response.json();
-
-      // Cache the response
-      this.cache.set(cacheKey, {
-        data,
-        timestamp: Date.now(),
-        url,
-        options
-      });
-
-      // Save to localStorage for persistence
-      this.saveToStorage();
+    // Answer with the expired entry now; whoever shows it hears about the new one through 'dataRefreshed'
+    if (cached && staleWhileRevalidate && this.isCacheValid(cached, MAX_STALE_AGE)) {
+      console.log(`🔄 Using stale data for ${url} while it refreshes`);
+      this.revalidate(cacheKey, url, { ...fetchOptions, prefetch: true });
+      return answer(cached.data, cached.timestamp, true);
+    }
 
-      console.log(`📥 Fresh data fetched for ${url}`);
-      return data;
+    // Fetch fresh data, or join the request already on its way
+    const request = this.inFlight.get(cacheKey) || this.startRequest(cacheKey, url, { ...fetchOptions, prefetch });
+    request.waiting++;
 
+    try {
+      const data = await abortable(request.promise, signal);
+      return answer(data, this.cache.get(cacheKey)?.timestamp ?? Date.now());
     } catch (error) {
       // Try to return stale cache if available
-      if (cached && options.allowStale) {
+      if (cached && fetchOptions.allowStale && !isAbortError(error)) {
         console.warn(`⚠️ Using stale cache for ${url}`);
-        return cached.data;
+        return answer(cached.data, cached.timestamp, true);
       }
       throw error;
+    } finally {
+      request.waiting--;
+      if (request.waiting === 0 && signal?.aborted) {
+        // Later callers start afresh rather than join a cancelled request
+        this.forgetRequest(cacheKey, request);
+        request.controller.abort(signal.reason);
+      }
+    }
+  }
+
+  // One network request shared by every caller waiting on the same cache key
+  startRequest(cacheKey, url, { prefetch, ...options }) {
+    const controller = new AbortController();
+    const request = { controller, waiting: 0 };
+
+    request.promise = this.fetchWithRetry(url, { ...options, prefetch, signal: controller.signal })
+      .then(response => response.json().catch(error => {
+        throw isAbortError(error) ? error : new ParseError(`Invalid JSON from ${endpointOf(url)}`, { url, cause: error });
+      }))
+      .then(data => {
+        // Cache the response; the IndexedDB write isn't waited for
+        this.remember(cacheKey, {
+          data,
+          timestamp: Date.now(),
+          url,
+          options
+        });
+        this.writeStore(cacheKey, this.cache.get(cacheKey));
+
+        console.log(`📥 Fresh data fetched for ${url}`);
+        return data;
+      })
+      .finally(() => this.forgetRequest(cacheKey, request));
+
+    // Nobody may be waiting any more when it fails
+    request.promise.catch(() => {});
+    this.inFlight.set(cacheKey, request);
+    return request;
+  }
+
+  // Refresh an expired entry without anyone waiting on it; a request already under way is reused
+  revalidate(cacheKey, url, options) {
+    const request = this.inFlight.get(cacheKey) || this.startRequest(cacheKey, url, options);
+    if (request.revalidating) return;
+    request.revalidating = true;
+    // Counts as a waiter, so callers giving up don't cancel the refresh
+    request.waiting++;
+
+    request.promise
+      .then(
+        () => this.eventBus.emit('dataRefreshed', { url, fetchedAt: this.cache.get(cacheKey)?.timestamp ?? Date.now() }),
+        error => {
+          if (!isAbortError(error)) console.warn(`Background refresh failed for ${url}:`, error);
+        }
+      )
+      .finally(() => request.waiting--);
+  }
+
+  forgetRequest(cacheKey, request) {
+    if (this.inFlight.get(cacheKey) === request) {
+      this.inFlight.delete(cacheKey);
     }
   }
 
+  // Failures come out as DataError subclasses (see DataError.js); the retry policy decides which are tried again
   async fetchWithRetry(url, options = {}, attempt = 1) {
+    const { prefetch, ...init } = options;
+
+    // Every attempt spends from the request budget; running out is not retried here
+    if (this.countsAgainstBudget(url)) {
+      await this.rateLimiter.acquire({ prefetch, signal: options.signal });
+    }
+
     try {
       const response = await fetch(url, {
-        ...options,
+        ...init,
         headers: {
           'Accept': 'application/json',
           'Content-Type': 'application/json',
-          ...options.headers
+          ...init.headers
         }
+      }).catch(error => {
+        // fetch only rejects when there is no response at all
+        throw isAbortError(error) ? error : new NetworkError(error.message, { url, cause: error });
       });
 
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        throw errorFromResponse(response, url);
       }
 
       return response;
 
     } catch (error) {
-      if (attempt < this.retryAttempts) {
-        console.warn(`Retry ${attempt}/${this.retryAttempts} for ${url}`);
-        await this.delay(this.retryDelay * attempt);
+      if (this.retryPolicy.shouldRetry(error, attempt)) {
+        const wait = this.retryPolicy.delayFor(error, attempt);
+        console.warn(`Retry ${attempt}/${this.retryPolicy.attempts - 1} for ${url} in ${wait}ms (${error.type})`);
+        await this.delay(wait, options.signal);
         return this.fetchWithRetry(url, options, attempt + 1);
       }
       throw error;
     }
   }
 
-  isCacheValid(cached, ttl) {
-    return Date.now() - cached.timestamp < ttl;
+  // OpenWeatherMap's free tier is what the request budget guards; the other sources have their own terms
+  countsAgainstBudget(url) {
+    return url.startsWith(this.apiBaseUrl);
   }
 
-  // City data methods
-  async fetchCityData(query) {
-    const urls = [
-      `https://api.openweathermap.org/geo/1.0/direct?q=${encodeURIComponent(query)}&limit=5&appid=${this.apiKey}`,
-      // Add fallback APIs here if needed
-    ];
-
-    const data = await this.fetchWithFallback(urls, { ttl: 3600000 }); // 1 hour cache
+  // Answer a provider URL from the fixture files
+  fetchFixture(url) {
+    return this.fixtureFetch(url);
+  }
 
-    if (!data || data.length === 0) {
-      throw new Error('City not found');
+  async loadFixture(file) {
+    const url = `${this.fixturesBase}/${file}`;
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw errorFromResponse(response, url);
     }
+    return response.json();
+  }
 
-    return {
-      name: data[0].name,
-      country: data[0].country,
-      state: data[0].state,
-      lat: data[0].lat,
-      lon: data[0].lon
-    };
+  isCacheValid(cached, ttl) {
+    return Date.now() - cached.timestamp < ttl;
   }
 
-  async fetchAQIData(lat, lon) {
-    const urls = [
-      `https://api.openweathermap.org/data/2.5/air_pollution?lat=${lat}&lon=${lon}&appid=${this.apiKey}`,
-      // Add fallback APIs here if needed
-    ];
+  // City data methods. Each takes a trailing { signal, prefetch }: the signal abandons its requests,
+  // prefetch marks them as background work for the request budget.
+  async fetchCityData(query, { signal, prefetch } = {}) {
+    const places = await this.fetchFromProviders('geocode', [query], {
+      isEmpty: results => !results || results.length === 0,
+      emptyMessage: 'City not found',
+      signal,
+      prefetch
+    });
+
+    const { name, country, state, lat, lon, source, fetchedAt, isStale } = places[0];
+    return { name, country, state, lat, lon, source, fetchedAt, observedAt: null, isStale };
+  }
 
-    const data = await this.fetchWithFallback(urls, { ttl: 600000 }); // 10 minutes cache
+  // Places matching a partial query, for autocomplete; an empty list when nothing matches
+  async fetchCitySuggestions(query, { signal } = {}) {
+    return this.fetchFromProviders('geocode', [query], { signal });
+  }
+
+  // The place at a point. Only OpenWeatherMap reverse-geocodes, so without it the nearest bundled place
+  // (Gazetteer.js) names it; the coordinates are always the ones asked about
+  async reverseGeocode(lat, lon, { signal } = {}) {
+    try {
+      const places = await this.fetchFromProviders('reverseGeocode', [lat, lon], {
+        isEmpty: results => !results || results.length === 0,
+        emptyMessage: 'No location found',
+        signal
+      });
+      const { name, country, state } = places[0];
+      return { name, country, state, lat, lon };
+    } catch (error) {
+      if (isAbortError(error)) throw error;
 
-    if (!data || !data.list || data.list.length === 0) {
-      throw new Error('No AQI data available');
+      const [nearest] = findNearbyPlaces(lat, lon, NEAREST_PLACE_RADIUS, { limit: 1, exclude: 0 });
+      if (!nearest) throw error;
+      return { name: nearest.name, country: nearest.country, state: nearest.state, lat, lon };
     }
+  }
 
-    const components = data.list[0].components;
-    return {
-      pm25: components.pm2_5 || 0,
-      pm10: components.pm10 || 0,
-      no2: components.no2 || 0,
-      so2: components.so2 || 0,
-      o3: components.o3 || 0,
-      co: components.co || 0,
-      timestamp: data.list[0].dt * 1000, // Convert to milliseconds
-      aqi: data.list[0].main.aqi
-    };
+  // Latest reading as { pm25, pm10, no2, so2, o3, co, nh3, no, timestamp, aqi } in μg/m³, plus freshness metadata
+  async fetchAQIData(lat, lon, { signal, prefetch } = {}) {
+    return this.fetchFromProviders('current', [lat, lon], { signal, prefetch });
   }
 
-  async fetchWeatherData(lat, lon) {
+  // null when OpenWeatherMap has no key or proxy to go through; gas conversion then assumes 25 °C and 1 atm
+  async fetchWeatherData(lat, lon, { signal, prefetch } = {}) {
+    if (!this.useFixtures && !this.weatherProvider.isConfigured()) return null;
+
     const urls = [
-      `https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lon}&appid=${this.apiKey}&units=metric`,
+      this.buildApiUrl('/data/2.5/weather', { lat, lon, units: 'metric' }),
     ];
 
-    const data = await this.fetchWithFallback(urls, { ttl: 1800000 }); // 30 minutes cache
+    const responses = [];
+    const data = await this.fetchWithFallback(urls, {
+      ttl: 1800000, // 30 minutes cache
+      signal,
+      prefetch,
+      onResponse: response => responses.push(response)
+    });
 
-    return {
+    return this.withFreshness({
       temperature: data.main.temp,
       humidity: data.main.humidity,
       pressure: data.main.pressure,
       windSpeed: data.wind.speed,
       description: data.weather[0].description,
-      icon: data.weather[0].icon
-    };
+      icon: data.weather[0].icon,
+      observedAt: data.dt ? data.dt * 1000 : null
+    }, 'openweathermap', responses);
   }
 
-  async fetchHistoricalAQIData(lat, lon, start, end) {
-    // This would typically use a different API or endpoint
-    // For now, return mock data or integrate with a historical API
-    const mockData = [];
-    const hours = Math.floor((end - start) / (1000 * 60 * 60));
+  // Hourly readings between start and end (ms), from the first provider that keeps history.
+  // Hours the source has no data for are absent from the result; callers must not fill them in.
+  async fetchHistoricalAQIData(lat, lon, start, end, { signal, prefetch } = {}) {
+    return this.fetchFromProviders('history', [lat, lon, start, end], { signal, prefetch });
+  }
 
-    for (let i = 0; i < hours; i++) {
-      mockData.push({
-        timestamp: start + (i * 60 * 60 * 1000),
-        aqi: Math.floor(Math.random() * 200) + 50,
-        pm25: Math.random() * 100
-      });
-    }
+  // The last 7 days, as a search shows them
+  async fetchRecentHistory(lat, lon, options = {}) {
+    const end = Date.now();
+    return this.fetchHistoricalAQIData(lat, lon, end - HISTORY_WINDOW, end, options);
+  }
 
-    return mockData;
+  // Hourly forecast (4 days from OpenWeatherMap and Open-Meteo)
+  async fetchAQIForecast(lat, lon, { signal, prefetch } = {}) {
+    return this.fetchFromProviders('forecast', [lat, lon], { signal, prefetch });
   }
 
-  // Bulk operations
-  async fetchMultipleCities(cities) {
-    const promises = cities.map(city => this.fetchCityData(city));
-    return Promise.allSettled(promises);
+  /**
+   * Hourly PM2.5 forecast modelled from measured history (Holt-Winters with a daily cycle, in the
+   * calculator worker), for sources that have no forecast of their own.
+   * @param {Array<Object>} history - Hourly readings as returned by fetchRecentHistory
+   * @param {Object} [options]
+   * @param {number} [options.horizon] - Hours ahead
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Array>} Readings shaped like fetchAQIForecast's, PM2.5 only, with `lower`/`upper`
+   *   (80% interval) and source 'holt-winters'; empty when there are fewer than two days of history
+   */
+  async forecastFromHistory(history, { horizon = MODELLED_FORECAST_HOURS, signal } = {}) {
+    const forecast = await this.calculatorClient.forecast({ history: pm25Series(history), horizon }, { signal });
+    const fetchedAt = Date.now();
+
+    return forecast.predictions.map(({ timestamp, pm25, lower, upper }) => ({
+      timestamp,
+      pm25,
+      lower,
+      upper,
+      source: 'holt-winters',
+      fetchedAt,
+      observedAt: timestamp,
+      isStale: false
+    }));
+  }
+
+  /**
+   * How forecastFromHistory would have done on the last day of `history`, next to a straight-line
+   * fit (see the calculator's 'backtest' task).
+   * @returns {Promise<Object>} { status, holdout, models: { 'holt-winters': { mae, rmse, coverage }, linear: { mae, rmse } } }, errors in μg/m³
+   */
+  async backtestForecast(history, { signal } = {}) {
+    return this.calculatorClient.backtest({ history: pm25Series(history) }, { signal });
   }
 
-  async prefetchNearbyCities(lat, lon, radius = 100) {
-    // Prefetch data for nearby cities to improve UX
+  // Bulk operations
+
+  /**
+   * AQI snapshots for many cities at once, e.g. for a dashboard. Names are geocoded and their pollution
+   * fetched, at most `concurrency` cities at a time; the metrics then come from the calculator worker in
+   * one batch. A city that fails, to fetch or to score, doesn't fail the batch: its result carries the error instead.
+   * @param {Array<string|Object>} cities - Names, or places with lat/lon that skip geocoding
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - Cities fetched at once
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Array>} One result per city, in the order given (see toSnapshot)
+   */
+  async fetchMultipleCities(cities, { concurrency = BATCH_CONCURRENCY, signal } = {}) {
+    const fetched = await mapWithConcurrency(cities, concurrency, async query => {
+      let city = typeof query === 'string' ? null : query;
+      try {
+        city = city || await this.fetchCityData(query, { signal });
+        const reading = await this.fetchAQIData(city.lat, city.lon, { signal });
+        if (!Number.isFinite(reading.pm25)) {
+          throw new NotFoundError('No PM2.5 reading available', { source: reading.source });
+        }
+        return { query, city, reading };
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        return { query, city, error };
+      }
+    });
+
+    const found = fetched.filter(entry => !entry.error);
     try {
-      // This would require a reverse geocoding API
-      // For now, just prefetch current location weather
-      await this.fetchWeatherData(lat, lon);
+      const metrics = await this.calculateBatch(found.map(({ reading }) => ({ pm25: reading.pm25 })), { signal });
+      found.forEach((entry, index) => {
+        entry.metrics = metrics[index];
+      });
     } catch (error) {
-      console.warn('Prefetch failed:', error);
+      if (isAbortError(error)) throw error;
+
+      // One failure takes the whole batch down; scored one by one, only the city at fault loses its metrics
+      console.warn('Batch calculation failed, scoring cities one at a time:', error);
+      await Promise.all(found.map(async entry => {
+        try {
+          entry.metrics = await this.calculatorClient.calculate({ pm25: entry.reading.pm25 }, { signal });
+        } catch (cityError) {
+          if (isAbortError(cityError)) throw cityError;
+          entry.error = cityError;
+        }
+      }));
     }
+
+    return fetched.map(entry => this.toSnapshot(entry));
+  }
+
+  // One row of fetchMultipleCities; the fields are the same whether the city succeeded or not
+  toSnapshot({ query, city, reading, metrics, error }) {
+    return {
+      query: typeof query === 'string' ? query : query.name,
+      status: error ? 'error' : 'ok',
+      city: city ? { name: city.name, country: city.country, state: city.state, lat: city.lat, lon: city.lon } : null,
+      pm25: reading?.pm25 ?? null,
+      aqi: metrics?.aqi ?? null,
+      cigarettes: metrics?.cigarettes ?? null,
+      level: metrics?.healthRisk.level ?? null,
+      standard: metrics?.standard ?? null,
+      version: metrics?.version ?? null,
+      source: reading?.source ?? null,
+      fetchedAt: reading?.fetchedAt ?? null,
+      observedAt: reading?.observedAt ?? null,
+      isStale: reading?.isStale ?? false,
+      error: error ? { type: error.type || 'unknown', message: error.message } : null
+    };
+  }
+
+  // AQICalculator.calculateMetrics for each { pm25, temperature, humidity }, in the calculator worker when there is one
+  async calculateBatch(inputs, { signal } = {}) {
+    if (inputs.length === 0) return [];
+    return this.calculatorClient.batchCalculate(inputs, { signal });
+  }
+
+  /**
+   * Warm the cache for populated places within `radius` km (from Gazetteer.js), nearest first and one
+   * per idle period, so that switching to one of them is answered from the cache. The requests are
+   * prefetches: they stop once the request budget runs low. A new call takes over from the last one.
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Most places warmed
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Array>} The places, as { name, country, state, lat, lon, distance }
+   */
+  async prefetchNearbyCities(lat, lon, radius = 100, { limit = 4, signal } = {}) {
+    this.prefetchController?.abort();
+    const controller = new AbortController();
+    this.prefetchController = controller;
+    signal?.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+
+    const places = findNearbyPlaces(lat, lon, radius, { limit });
+    const queue = [...places];
+
+    const next = () => {
+      if (queue.length === 0 || controller.signal.aborted) return;
+
+      whenIdle(async () => {
+        const place = queue.shift();
+        try {
+          await this.prefetchCity(place, { signal: controller.signal });
+          console.log(`🔮 Prefetched ${place.name} (${Math.round(place.distance)} km away)`);
+        } catch (error) {
+          if (isAbortError(error)) return;
+          if (error.type === 'rate-limited') {
+            console.log('🔮 Prefetching paused to save the request budget');
+            return;
+          }
+          console.warn(`Prefetch failed for ${place.name}:`, error);
+        }
+        next();
+      });
+    };
+
+    next();
+    return places;
+  }
+
+  // What a search for the place loads, bar the geocoding
+  async prefetchCity({ lat, lon }, { signal } = {}) {
+    const options = { signal, prefetch: true };
+    await Promise.all([
+      this.fetchAQIData(lat, lon, options),
+      this.fetchWeatherData(lat, lon, options),
+      this.fetchRecentHistory(lat, lon, options),
+      this.fetchAQIForecast(lat, lon, options)
+    ]);
   }
 
   // Cache management
-  clearCache(pattern = null) {
+  // Keep an entry in the memory tier, dropping the least recently used past MEMORY_ENTRIES
+  remember(key, entry) {
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    while (this.cache.size > MEMORY_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  // Remove everything, or the entries whose endpoint (host and path) contains `pattern`
+  async clearCache(pattern = null) {
     if (pattern) {
-      // Clear cache entries matching pattern
-      for (const [key] of this.cache) {
-        if (key.includes(pattern)) {
+      for (const [key, entry] of this.cache) {
+        if (endpointOf(entry.url).includes(pattern)) {
           this.cache.delete(key);
         }
       }
     } else {
       this.cache.clear();
     }
-    this.saveToStorage();
-  }
 
-  getCacheStats() {
-    const stats = {
-      totalEntries: this.cache.size,
-      totalSize: 0,
-      oldestEntry: null,
-      newestEntry: null
-    };
-
-    let oldest = Date.now();
-    let newest = 0;
-
-    for (const [key, entry] of this.cache) {
-      const size = JSON.stringify(entry).length;
-      stats.totalSize += size;
+    try {
+      await this.store?.clear(pattern);
+    } catch (error) {
+      console.warn('Failed to clear cache storage:', error);
+    }
+  }
 
-      if (entry.timestamp < oldest) {
-        oldest = entry.timestamp;
-        stats.oldestEntry = new Date(entry.timestamp);
-      }
+  // Cache contents, plus what is left of the OpenWeatherMap request budget
+  async getCacheStats() {
+    const requestBudget = this.rateLimiter.getStats();
 
-      if (entry.timestamp > newest) {
-        newest = entry.timestamp;
-        stats.newestEntry = new Date(entry.timestamp);
+    if (this.store) {
+      try {
+        return { ...await this.store.getStats(), memoryEntries: this.cache.size, requestBudget };
+      } catch (error) {
+        console.warn('Failed to read cache stats:', error);
       }
     }
 
-    return stats;
+    const timestamps = [...this.cache.values()].map(entry => entry.timestamp);
+    return {
+      totalEntries: this.cache.size,
+      totalSize: [...this.cache.values()].reduce((sum, entry) => sum + JSON.stringify(entry).length, 0),
+      oldestEntry: timestamps.length ? new Date(Math.min(...timestamps)) : null,
+      newestEntry: timestamps.length ? new Date(Math.max(...timestamps)) : null,
+      memoryEntries: this.cache.size,
+      requestBudget
+    };
   }
 
-  // Storage persistence
-  loadFromStorage() {
+  // Storage persistence: IndexedDB, one record per entry. Failures only cost the cache.
+  async openStore() {
+    if (!this.store) return;
+
     try {
-      const cached = localStorage.getItem('aqi_cache');
-      if (cached) {
-        const parsed = JSON.parse(cached);
-        // Only load entries that aren't too old (24 hours max)
-        const maxAge = 24 * 60 * 60 * 1000;
-        const now = Date.now();
-
-        for (const [key, entry] of Object.entries(parsed)) {
-          if (now - entry.timestamp < maxAge) {
-            this.cache.set(key, entry);
-          }
-        }
-      }
+      await this.store.open();
+      await this.store.migrateFromLocalStorage(LEGACY_CACHE_KEY);
     } catch (error) {
-      console.warn('Failed to load cache from storage:', error);
+      console.warn('Cache storage unavailable, caching in memory only:', error);
+      this.store = null;
     }
   }
 
-  saveToStorage() {
+  async readStore(key) {
+    if (!this.store) return null;
+
     try {
-      const cacheObject = {};
-      for (const [key, value] of this.cache) {
-        cacheObject[key] = value;
+      const entry = await this.store.get(key);
+      if (entry) {
+        this.remember(key, entry);
       }
-      localStorage.setItem('aqi_cache', JSON.stringify(cacheObject));
+      return entry;
     } catch (error) {
-      console.warn('Failed to save cache to storage:', error);
+      console.warn('Failed to read cache from storage:', error);
+      return null;
     }
   }
 
+  writeStore(key, entry) {
+    this.store?.set(key, entry).catch(error => {
+      console.warn('Failed to save cache to storage:', error);
+    });
+  }
+
   // Offline detection
   setupOfflineDetection() {
     window.addEventListener('online', () => {
@@ -331,15 +835,18 @@ export class DataManager {
   }
 
   // Utility methods
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  delay(ms, signal) {
+    return abortable(new Promise(resolve => setTimeout(resolve, ms)), signal);
   }
 
   // Cleanup
   destroy() {
+    this.prefetchController?.abort();
+    this.inFlight.forEach(request => request.controller.abort());
+    this.inFlight.clear();
+    this.rateLimiter.destroy();
     this.cache.clear();
-    this.workers.forEach(worker => worker.terminate());
-    this.workers.clear();
+    this.calculatorClient.destroy();
   }
 }
 
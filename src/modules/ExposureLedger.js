@@ -0,0 +1,178 @@
+// src/modules/ExposureLedger.js - Cumulative Exposure for a Home Location
+const STORAGE_KEY = 'aqi_exposure_ledger';
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// A reading stands for the air until the next one, but never for longer than this;
+// longer gaps are left out of the totals rather than guessed
+const MAX_SAMPLE_SPAN = 6 * HOUR;
+
+// Samples older than a year are folded into a running total kept for pack-years
+const RETENTION = 365 * DAY;
+
+// Readings within this distance (degrees) of home count as home
+const HOME_RADIUS = 0.1;
+
+export const CIGARETTES_PER_PACK = 20;
+
+export const LEDGER_WINDOWS = {
+  week: 7,
+  month: 30,
+  year: 365
+};
+
+export class ExposureLedger {
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage;
+    this.home = null;
+    this.samples = [];
+    this.archived = { cigarettes: 0, since: null };
+
+    this.loadFromStorage();
+  }
+
+  setHome(city) {
+    this.home = city ? { name: city.name, country: city.country, lat: city.lat, lon: city.lon } : null;
+    this.saveToStorage();
+    return this.home;
+  }
+
+  getHome() {
+    return this.home;
+  }
+
+  isHome(city) {
+    if (!this.home || !city) return false;
+    return Math.abs(city.lat - this.home.lat) <= HOME_RADIUS && Math.abs(city.lon - this.home.lon) <= HOME_RADIUS;
+  }
+
+  /**
+   * Record a reading if it was taken at home. One sample is kept per hour; a newer
+   * reading for the same hour replaces the older one.
+   * @param {Object} city - { name, country, lat, lon }
+   * @param {{pm25: number, cigarettes: number, timestamp?: number}} reading - cigarettes is the per-day equivalent
+   * @returns {boolean} true when the reading was stored
+   */
+  record(city, { pm25, cigarettes, timestamp = Date.now() }) {
+    if (!this.isHome(city) || !Number.isFinite(pm25) || !Number.isFinite(cigarettes)) return false;
+
+    const hour = Math.floor(timestamp / HOUR);
+    const sample = { timestamp, pm25, cigarettes };
+    const existing = this.samples.findIndex(s => Math.floor(s.timestamp / HOUR) === hour);
+
+    if (existing !== -1) {
+      this.samples[existing] = sample;
+    } else {
+      this.samples.push(sample);
+      this.samples.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    this.prune(timestamp);
+    this.saveToStorage();
+    return true;
+  }
+
+  // Fold samples that have left the yearly window into the archived total
+  prune(now = Date.now()) {
+    const cutoff = now - RETENTION;
+    let index = 0;
+
+    while (index < this.samples.length - 1 && this.samples[index + 1].timestamp <= cutoff) {
+      this.archived.cigarettes += this.sampleContribution(index, -Infinity, cutoff).cigarettes;
+      this.archived.since = this.archived.since ?? this.samples[index].timestamp;
+      index++;
+    }
+
+    this.samples = this.samples.slice(index);
+  }
+
+  // Cigarettes and days a sample accounts for inside [from, to)
+  sampleContribution(index, from, to) {
+    const sample = this.samples[index];
+    const next = this.samples[index + 1];
+    const end = Math.min(next ? next.timestamp : Infinity, sample.timestamp + MAX_SAMPLE_SPAN);
+
+    const span = Math.min(end, to) - Math.max(sample.timestamp, from);
+    if (span <= 0) return { cigarettes: 0, days: 0 };
+
+    const days = span / DAY;
+    return { cigarettes: sample.cigarettes * days, days };
+  }
+
+  // Cigarettes over the trailing `days`, with how many days of readings back the figure
+  getTotal(days, now = Date.now()) {
+    const from = now - days * DAY;
+    let cigarettes = 0;
+    let covered = 0;
+
+    this.samples.forEach((_, index) => {
+      const contribution = this.sampleContribution(index, from, now);
+      cigarettes += contribution.cigarettes;
+      covered += contribution.days;
+    });
+
+    return {
+      days,
+      cigarettes,
+      packs: cigarettes / CIGARETTES_PER_PACK,
+      coveredDays: covered
+    };
+  }
+
+  // Pack-years: packs per day × years, i.e. all recorded cigarettes / (20 × 365)
+  getPackYears(now = Date.now()) {
+    let cigarettes = this.archived.cigarettes;
+    this.samples.forEach((_, index) => {
+      cigarettes += this.sampleContribution(index, -Infinity, now).cigarettes;
+    });
+    return cigarettes / (CIGARETTES_PER_PACK * 365);
+  }
+
+  getSummary(now = Date.now()) {
+    const windows = {};
+    for (const [name, days] of Object.entries(LEDGER_WINDOWS)) {
+      windows[name] = this.getTotal(days, now);
+    }
+
+    return {
+      home: this.home,
+      windows,
+      packYears: this.getPackYears(now),
+      samples: this.samples.length,
+      since: this.archived.since ?? this.samples[0]?.timestamp ?? null
+    };
+  }
+
+  clear() {
+    this.samples = [];
+    this.archived = { cigarettes: 0, since: null };
+    this.saveToStorage();
+  }
+
+  // Storage persistence
+  loadFromStorage() {
+    try {
+      const stored = this.storage?.getItem(STORAGE_KEY);
+      if (stored) {
+        const parsed = JSON.parse(stored);
+        this.home = parsed.home || null;
+        this.samples = Array.isArray(parsed.samples) ? parsed.samples : [];
+        this.archived = { ...this.archived, ...parsed.archived };
+      }
+    } catch (error) {
+      console.warn('Failed to load exposure ledger:', error);
+    }
+  }
+
+  saveToStorage() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify({
+        home: this.home,
+        samples: this.samples,
+        archived: this.archived
+      }));
+    } catch (error) {
+      console.warn('Failed to save exposure ledger:', error);
+    }
+  }
+}
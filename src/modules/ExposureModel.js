@@ -0,0 +1,161 @@
+// src/modules/ExposureModel.js - Daily PM2.5 Dose and Cigarette Equivalents
+
+// Berkeley Earth: breathing 22 μg/m³ of PM2.5 for a day at rest ≈ smoking one cigarette
+export const PM25_PER_CIGARETTE = 22;
+
+// Adult inhalation rates in m³/hour (US EPA Exposure Factors Handbook, ch. 6)
+export const BREATHING_RATES = {
+  sleep: 0.3,
+  rest: 0.4,
+  light: 0.7,
+  moderate: 1.6,
+  vigorous: 3.0
+};
+
+// Share of outdoor PM2.5 found at each location when a block doesn't give its own factor
+export const DEFAULT_INFILTRATION = {
+  outdoor: 1,
+  indoor: 0.5
+};
+
+// Ready-made days; blocks that don't fill 24 hours are topped up with indoor rest
+export const EXPOSURE_PRESETS = {
+  reference: {
+    name: '24 h outdoors at rest',
+    blocks: [
+      { label: 'Outdoors', hours: 24, location: 'outdoor', activity: 'rest' }
+    ]
+  },
+  'office-commuter': {
+    name: 'Office worker, walks to work',
+    blocks: [
+      { label: 'Sleep', hours: 8, location: 'indoor', activity: 'sleep' },
+      { label: 'Commute', hours: 1.5, location: 'outdoor', activity: 'light' },
+      { label: 'Office', hours: 8.5, location: 'indoor', activity: 'rest' },
+      { label: 'Home', hours: 6, location: 'indoor', activity: 'rest' }
+    ]
+  },
+  'outdoor-worker': {
+    name: 'Outdoor worker',
+    blocks: [
+      { label: 'Sleep', hours: 8, location: 'indoor', activity: 'sleep' },
+      { label: 'Work', hours: 9, location: 'outdoor', activity: 'moderate' },
+      { label: 'Home', hours: 7, location: 'indoor', activity: 'rest' }
+    ]
+  },
+  runner: {
+    name: 'Office worker with an outdoor run',
+    blocks: [
+      { label: 'Sleep', hours: 8, location: 'indoor', activity: 'sleep' },
+      { label: 'Run', hours: 1, location: 'outdoor', activity: 'vigorous' },
+      { label: 'Office', hours: 9, location: 'indoor', activity: 'rest' },
+      { label: 'Home', hours: 6, location: 'indoor', activity: 'rest' }
+    ]
+  }
+};
+
+export const DEFAULT_EXPOSURE_PRESET = 'reference';
+
+export function listExposurePresets() {
+  return Object.entries(EXPOSURE_PRESETS).map(([id, preset]) => ({ id, name: preset.name }));
+}
+
+export class ExposureModel {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.breathingRates] - Overrides for BREATHING_RATES (m³/hour)
+   * @param {Object} [options.infiltration] - Overrides for DEFAULT_INFILTRATION
+   */
+  constructor(options = {}) {
+    this.breathingRates = { ...BREATHING_RATES, ...options.breathingRates };
+    this.infiltration = { ...DEFAULT_INFILTRATION, ...options.infiltration };
+  }
+
+  // A preset id or an array of blocks → validated blocks covering exactly 24 hours
+  normalizeSchedule(schedule = DEFAULT_EXPOSURE_PRESET) {
+    const blocks = typeof schedule === 'string' ? EXPOSURE_PRESETS[schedule]?.blocks : schedule;
+    if (!Array.isArray(blocks)) {
+      throw new Error(`Unknown exposure schedule: ${schedule}`);
+    }
+
+    const normalized = blocks.map((block, index) => {
+      const location = block.location || 'outdoor';
+      const activity = block.activity || 'rest';
+
+      if (!(location in this.infiltration)) {
+        throw new Error(`Unknown location: ${location}`);
+      }
+      if (!(activity in this.breathingRates)) {
+        throw new Error(`Unknown activity level: ${activity}`);
+      }
+      if (!Number.isFinite(block.hours) || block.hours < 0) {
+        throw new Error(`Block ${index + 1} needs a non-negative number of hours`);
+      }
+
+      const infiltration = block.infiltration ?? this.infiltration[location];
+      if (!Number.isFinite(infiltration) || infiltration < 0 || infiltration > 1) {
+        throw new Error(`Infiltration factor must be between 0 and 1, got ${infiltration}`);
+      }
+
+      return {
+        label: block.label || `${location} ${activity}`,
+        hours: block.hours,
+        location,
+        infiltration,
+        activity
+      };
+    });
+
+    const hours = normalized.reduce((sum, block) => sum + block.hours, 0);
+    if (hours > 24 + 1e-9) {
+      throw new Error(`Schedule covers ${hours} hours; a day has 24`);
+    }
+    if (hours < 24 - 1e-9) {
+      normalized.push({
+        label: 'Rest of day',
+        hours: 24 - hours,
+        location: 'indoor',
+        infiltration: this.infiltration.indoor,
+        activity: 'rest'
+      });
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Cigarette equivalents for a day spent in outdoor PM2.5 of `pm25` μg/m³.
+   * A block's dose is scaled against the reference day (24 h outdoors at rest),
+   * so that reference day gives exactly pm25 / 22 cigarettes.
+   * @param {number} pm25 - Outdoor PM2.5 in μg/m³
+   * @param {string|Array<Object>} [schedule] - Preset id or blocks of { label, hours, location, infiltration, activity }
+   * @returns {{total: number, inhaledMicrograms: number, blocks: Array<Object>}}
+   */
+  calculate(pm25, schedule = DEFAULT_EXPOSURE_PRESET) {
+    if (!Number.isFinite(pm25) || pm25 < 0) {
+      throw new Error(`Invalid PM2.5 concentration: ${pm25}`);
+    }
+
+    const referenceDose = PM25_PER_CIGARETTE * this.breathingRates.rest * 24;
+
+    const blocks = this.normalizeSchedule(schedule).map(block => {
+      const concentration = pm25 * block.infiltration;
+      const breathingRate = this.breathingRates[block.activity];
+      const inhaledMicrograms = concentration * breathingRate * block.hours;
+
+      return {
+        ...block,
+        concentration,
+        breathingRate,
+        inhaledMicrograms,
+        cigarettes: inhaledMicrograms / referenceDose
+      };
+    });
+
+    return {
+      total: blocks.reduce((sum, block) => sum + block.cigarettes, 0),
+      inhaledMicrograms: blocks.reduce((sum, block) => sum + block.inhaledMicrograms, 0),
+      blocks
+    };
+  }
+}
@@ -0,0 +1,511 @@
+// src/modules/Gazetteer.js - Bundled List of Populated Places for Nearby-City Lookups
+
+const EARTH_RADIUS_KM = 6371;
+
+// [name, country (ISO 3166-1 alpha-2), state or region, lat, lon, population]
+// Larger cities and their neighbours in the regions people search most; enough to suggest a few
+// places within a couple of hours' drive, not a complete atlas.
+const PLACES = [
+  // United Kingdom and Ireland
+  ['London', 'GB', 'England', 51.507, -0.128, 8982000],
+  ['Reading', 'GB', 'England', 51.454, -0.978, 174000],
+  ['Oxford', 'GB', 'England', 51.752, -1.258, 152000],
+  ['Cambridge', 'GB', 'England', 52.205, 0.122, 145000],
+  ['Brighton', 'GB', 'England', 50.822, -0.137, 277000],
+  ['Luton', 'GB', 'England', 51.879, -0.42, 225000],
+  ['Southampton', 'GB', 'England', 50.909, -1.404, 253000],
+  ['Portsmouth', 'GB', 'England', 50.805, -1.087, 208000],
+  ['Bristol', 'GB', 'England', 51.455, -2.588, 467000],
+  ['Cardiff', 'GB', 'Wales', 51.481, -3.179, 362000],
+  ['Birmingham', 'GB', 'England', 52.486, -1.89, 1144000],
+  ['Coventry', 'GB', 'England', 52.407, -1.512, 371000],
+  ['Leicester', 'GB', 'England', 52.637, -1.14, 355000],
+  ['Nottingham', 'GB', 'England', 52.954, -1.158, 324000],
+  ['Manchester', 'GB', 'England', 53.481, -2.242, 553000],
+  ['Liverpool', 'GB', 'England', 53.408, -2.992, 496000],
+  ['Leeds', 'GB', 'England', 53.801, -1.549, 793000],
+  ['Sheffield', 'GB', 'England', 53.381, -1.47, 584000],
+  ['Bradford', 'GB', 'England', 53.796, -1.759, 349000],
+  ['Newcastle upon Tyne', 'GB', 'England', 54.978, -1.618, 300000],
+  ['Glasgow', 'GB', 'Scotland', 55.864, -4.252, 635000],
+  ['Edinburgh', 'GB', 'Scotland', 55.953, -3.188, 527000],
+  ['Belfast', 'GB', 'Northern Ireland', 54.597, -5.93, 345000],
+  ['Dublin', 'IE', 'Leinster', 53.35, -6.26, 1173000],
+
+  // Western Europe
+  ['Paris', 'FR', 'Île-de-France', 48.857, 2.352, 2161000],
+  ['Versailles', 'FR', 'Île-de-France', 48.805, 2.12, 85000],
+  ['Rouen', 'FR', 'Normandy', 49.443, 1.1, 111000],
+  ['Orléans', 'FR', 'Centre-Val de Loire', 47.903, 1.909, 117000],
+  ['Lille', 'FR', 'Hauts-de-France', 50.629, 3.057, 233000],
+  ['Lyon', 'FR', 'Auvergne-Rhône-Alpes', 45.764, 4.836, 516000],
+  ['Grenoble', 'FR', 'Auvergne-Rhône-Alpes', 45.188, 5.724, 158000],
+  ['Saint-Étienne', 'FR', 'Auvergne-Rhône-Alpes', 45.44, 4.387, 173000],
+  ['Marseille', 'FR', "Provence-Alpes-Côte d'Azur", 43.296, 5.37, 870000],
+  ['Toulon', 'FR', "Provence-Alpes-Côte d'Azur", 43.124, 5.928, 176000],
+  ['Nice', 'FR', "Provence-Alpes-Côte d'Azur", 43.71, 7.262, 342000],
+  ['Toulouse', 'FR', 'Occitanie', 43.605, 1.444, 479000],
+  ['Bordeaux', 'FR', 'Nouvelle-Aquitaine', 44.838, -0.579, 257000],
+  ['Nantes', 'FR', 'Pays de la Loire', 47.218, -1.554, 314000],
+  ['Strasbourg', 'FR', 'Grand Est', 48.573, 7.752, 284000],
+  ['Brussels', 'BE', 'Brussels', 50.85, 4.352, 1209000],
+  ['Antwerp', 'BE', 'Flanders', 51.219, 4.402, 529000],
+  ['Ghent', 'BE', 'Flanders', 51.054, 3.717, 263000],
+  ['Liège', 'BE', 'Wallonia', 50.633, 5.567, 197000],
+  ['Amsterdam', 'NL', 'North Holland', 52.368, 4.904, 873000],
+  ['Rotterdam', 'NL', 'South Holland', 51.924, 4.478, 651000],
+  ['The Hague', 'NL', 'South Holland', 52.07, 4.3, 545000],
+  ['Utrecht', 'NL', 'Utrecht', 52.091, 5.122, 357000],
+  ['Eindhoven', 'NL', 'North Brabant', 51.441, 5.47, 235000],
+  ['Luxembourg', 'LU', 'Luxembourg', 49.612, 6.13, 125000],
+
+  // Germany, Austria, Switzerland
+  ['Berlin', 'DE', 'Berlin', 52.52, 13.405, 3645000],
+  ['Potsdam', 'DE', 'Brandenburg', 52.391, 13.065, 180000],
+  ['Hamburg', 'DE', 'Hamburg', 53.551, 9.994, 1841000],
+  ['Bremen', 'DE', 'Bremen', 53.079, 8.802, 567000],
+  ['Hanover', 'DE', 'Lower Saxony', 52.376, 9.732, 536000],
+  ['Cologne', 'DE', 'North Rhine-Westphalia', 50.938, 6.96, 1086000],
+  ['Düsseldorf', 'DE', 'North Rhine-Westphalia', 51.227, 6.773, 619000],
+  ['Dortmund', 'DE', 'North Rhine-Westphalia', 51.514, 7.468, 588000],
+  ['Essen', 'DE', 'North Rhine-Westphalia', 51.456, 7.012, 583000],
+  ['Duisburg', 'DE', 'North Rhine-Westphalia', 51.434, 6.762, 498000],
+  ['Bonn', 'DE', 'North Rhine-Westphalia', 50.737, 7.098, 327000],
+  ['Frankfurt am Main', 'DE', 'Hesse', 50.11, 8.682, 753000],
+  ['Mainz', 'DE', 'Rhineland-Palatinate', 49.993, 8.247, 217000],
+  ['Wiesbaden', 'DE', 'Hesse', 50.078, 8.24, 278000],
+  ['Mannheim', 'DE', 'Baden-Württemberg', 49.487, 8.466, 310000],
+  ['Stuttgart', 'DE', 'Baden-Württemberg', 48.776, 9.183, 635000],
+  ['Munich', 'DE', 'Bavaria', 48.135, 11.582, 1472000],
+  ['Augsburg', 'DE', 'Bavaria', 48.371, 10.898, 296000],
+  ['Nuremberg', 'DE', 'Bavaria', 49.452, 11.077, 518000],
+  ['Leipzig', 'DE', 'Saxony', 51.34, 12.375, 597000],
+  ['Dresden', 'DE', 'Saxony', 51.05, 13.738, 556000],
+  ['Vienna', 'AT', 'Vienna', 48.208, 16.373, 1911000],
+  ['Linz', 'AT', 'Upper Austria', 48.306, 14.286, 206000],
+  ['Salzburg', 'AT', 'Salzburg', 47.81, 13.055, 155000],
+  ['Graz', 'AT', 'Styria', 47.071, 15.439, 291000],
+  ['Zurich', 'CH', 'Zurich', 47.377, 8.542, 421000],
+  ['Basel', 'CH', 'Basel-Stadt', 47.56, 7.589, 178000],
+  ['Bern', 'CH', 'Bern', 46.948, 7.447, 134000],
+  ['Geneva', 'CH', 'Geneva', 46.204, 6.143, 203000],
+  ['Lausanne', 'CH', 'Vaud', 46.52, 6.633, 140000],
+
+  // Southern Europe
+  ['Madrid', 'ES', 'Community of Madrid', 40.417, -3.704, 3223000],
+  ['Toledo', 'ES', 'Castile-La Mancha', 39.863, -4.027, 85000],
+  ['Guadalajara', 'ES', 'Castile-La Mancha', 40.633, -3.167, 87000],
+  ['Barcelona', 'ES', 'Catalonia', 41.385, 2.173, 1620000],
+  ['Tarragona', 'ES', 'Catalonia', 41.119, 1.245, 134000],
+  ['Girona', 'ES', 'Catalonia', 41.979, 2.822, 103000],
+  ['Valencia', 'ES', 'Valencian Community', 39.47, -0.376, 794000],
+  ['Seville', 'ES', 'Andalusia', 37.389, -5.984, 688000],
+  ['Málaga', 'ES', 'Andalusia', 36.721, -4.421, 578000],
+  ['Bilbao', 'ES', 'Basque Country', 43.263, -2.935, 346000],
+  ['Lisbon', 'PT', 'Lisbon', 38.722, -9.139, 545000],
+  ['Setúbal', 'PT', 'Setúbal', 38.524, -8.893, 121000],
+  ['Porto', 'PT', 'Porto', 41.158, -8.629, 232000],
+  ['Rome', 'IT', 'Lazio', 41.903, 12.496, 2873000],
+  ['Latina', 'IT', 'Lazio', 41.467, 12.904, 127000],
+  ['Naples', 'IT', 'Campania', 40.852, 14.268, 959000],
+  ['Salerno', 'IT', 'Campania', 40.683, 14.768, 133000],
+  ['Milan', 'IT', 'Lombardy', 45.464, 9.19, 1352000],
+  ['Bergamo', 'IT', 'Lombardy', 45.698, 9.677, 120000],
+  ['Brescia', 'IT', 'Lombardy', 45.541, 10.212, 196000],
+  ['Turin', 'IT', 'Piedmont', 45.07, 7.687, 875000],
+  ['Genoa', 'IT', 'Liguria', 44.406, 8.946, 580000],
+  ['Bologna', 'IT', 'Emilia-Romagna', 44.494, 11.343, 391000],
+  ['Florence', 'IT', 'Tuscany', 43.77, 11.256, 382000],
+  ['Venice', 'IT', 'Veneto', 45.441, 12.316, 261000],
+  ['Padua', 'IT', 'Veneto', 45.406, 11.877, 210000],
+  ['Verona', 'IT', 'Veneto', 45.438, 10.992, 259000],
+  ['Athens', 'GR', 'Attica', 37.984, 23.728, 664000],
+  ['Piraeus', 'GR', 'Attica', 37.943, 23.647, 163000],
+  ['Thessaloniki', 'GR', 'Central Macedonia', 40.64, 22.944, 325000],
+
+  // Northern and Eastern Europe
+  ['Copenhagen', 'DK', 'Capital Region', 55.676, 12.568, 644000],
+  ['Malmö', 'SE', 'Skåne', 55.605, 13.004, 347000],
+  ['Stockholm', 'SE', 'Stockholm', 59.329, 18.069, 975000],
+  ['Uppsala', 'SE', 'Uppsala', 59.859, 17.639, 177000],
+  ['Gothenburg', 'SE', 'Västra Götaland', 57.709, 11.975, 583000],
+  ['Oslo', 'NO', 'Oslo', 59.914, 10.752, 697000],
+  ['Helsinki', 'FI', 'Uusimaa', 60.17, 24.938, 656000],
+  ['Espoo', 'FI', 'Uusimaa', 60.205, 24.656, 292000],
+  ['Tallinn', 'EE', 'Harju', 59.437, 24.754, 437000],
+  ['Warsaw', 'PL', 'Masovia', 52.23, 21.012, 1790000],
+  ['Łódź', 'PL', 'Łódź', 51.759, 19.456, 679000],
+  ['Kraków', 'PL', 'Lesser Poland', 50.065, 19.945, 780000],
+  ['Katowice', 'PL', 'Silesia', 50.265, 19.024, 292000],
+  ['Wrocław', 'PL', 'Lower Silesia', 51.108, 17.038, 641000],
+  ['Poznań', 'PL', 'Greater Poland', 52.406, 16.925, 534000],
+  ['Gdańsk', 'PL', 'Pomerania', 54.352, 18.646, 470000],
+  ['Prague', 'CZ', 'Prague', 50.075, 14.438, 1309000],
+  ['Brno', 'CZ', 'South Moravia', 49.195, 16.608, 381000],
+  ['Ostrava', 'CZ', 'Moravia-Silesia', 49.821, 18.262, 285000],
+  ['Bratislava', 'SK', 'Bratislava', 48.149, 17.107, 475000],
+  ['Budapest', 'HU', 'Budapest', 47.498, 19.04, 1752000],
+  ['Ljubljana', 'SI', 'Central Slovenia', 46.057, 14.506, 295000],
+  ['Zagreb', 'HR', 'Zagreb', 45.815, 15.982, 790000],
+  ['Belgrade', 'RS', 'Belgrade', 44.787, 20.457, 1374000],
+  ['Novi Sad', 'RS', 'Vojvodina', 45.267, 19.833, 341000],
+  ['Sarajevo', 'BA', 'Sarajevo Canton', 43.856, 18.413, 275000],
+  ['Skopje', 'MK', 'Skopje', 41.998, 21.425, 526000],
+  ['Sofia', 'BG', 'Sofia City', 42.698, 23.322, 1236000],
+  ['Plovdiv', 'BG', 'Plovdiv', 42.136, 24.745, 346000],
+  ['Bucharest', 'RO', 'Bucharest', 44.427, 26.103, 1883000],
+  ['Ploiești', 'RO', 'Prahova', 44.941, 26.013, 209000],
+  ['Cluj-Napoca', 'RO', 'Cluj', 46.771, 23.624, 324000],
+  ['Kyiv', 'UA', 'Kyiv', 50.45, 30.524, 2952000],
+  ['Minsk', 'BY', 'Minsk', 53.904, 27.562, 2009000],
+  ['Vilnius', 'LT', 'Vilnius', 54.687, 25.28, 588000],
+  ['Riga', 'LV', 'Riga', 56.949, 24.106, 614000],
+  ['Moscow', 'RU', 'Moscow', 55.756, 37.617, 12506000],
+  ['Saint Petersburg', 'RU', 'Saint Petersburg', 59.939, 30.316, 5384000],
+  ['Istanbul', 'TR', 'Istanbul', 41.008, 28.978, 15460000],
+  ['Izmit', 'TR', 'Kocaeli', 40.765, 29.94, 363000],
+  ['Bursa', 'TR', 'Bursa', 40.183, 29.067, 3101000],
+  ['Ankara', 'TR', 'Ankara', 39.933, 32.86, 5663000],
+
+  // Middle East and Africa
+  ['Tel Aviv', 'IL', 'Tel Aviv', 32.085, 34.782, 460000],
+  ['Jerusalem', 'IL', 'Jerusalem', 31.769, 35.216, 936000],
+  ['Amman', 'JO', 'Amman', 31.954, 35.911, 4007000],
+  ['Beirut', 'LB', 'Beirut', 33.894, 35.502, 2400000],
+  ['Dubai', 'AE', 'Dubai', 25.205, 55.271, 3331000],
+  ['Sharjah', 'AE', 'Sharjah', 25.346, 55.421, 1800000],
+  ['Abu Dhabi', 'AE', 'Abu Dhabi', 24.454, 54.377, 1483000],
+  ['Doha', 'QA', 'Doha', 25.285, 51.531, 2382000],
+  ['Riyadh', 'SA', 'Riyadh', 24.713, 46.675, 7677000],
+  ['Jeddah', 'SA', 'Makkah', 21.486, 39.192, 4697000],
+  ['Mecca', 'SA', 'Makkah', 21.389, 39.858, 2385000],
+  ['Tehran', 'IR', 'Tehran', 35.689, 51.389, 8694000],
+  ['Karaj', 'IR', 'Alborz', 35.84, 50.939, 1593000],
+  ['Cairo', 'EG', 'Cairo', 30.044, 31.236, 9540000],
+  ['Giza', 'EG', 'Giza', 30.013, 31.209, 4367000],
+  ['Alexandria', 'EG', 'Alexandria', 31.2, 29.919, 5200000],
+  ['Lagos', 'NG', 'Lagos', 6.524, 3.379, 15388000],
+  ['Ibadan', 'NG', 'Oyo', 7.378, 3.947, 3649000],
+  ['Accra', 'GH', 'Greater Accra', 5.603, -0.187, 2514000],
+  ['Nairobi', 'KE', 'Nairobi', -1.292, 36.822, 4397000],
+  ['Addis Ababa', 'ET', 'Addis Ababa', 9.03, 38.74, 3384000],
+  ['Johannesburg', 'ZA', 'Gauteng', -26.204, 28.047, 5635000],
+  ['Pretoria', 'ZA', 'Gauteng', -25.747, 28.229, 2473000],
+  ['Cape Town', 'ZA', 'Western Cape', -33.925, 18.424, 4618000],
+  ['Casablanca', 'MA', 'Casablanca-Settat', 33.573, -7.59, 3360000],
+  ['Rabat', 'MA', 'Rabat-Salé-Kénitra', 34.02, -6.842, 577000],
+
+  // South Asia
+  ['Delhi', 'IN', 'Delhi', 28.704, 77.102, 16787000],
+  ['Noida', 'IN', 'Uttar Pradesh', 28.535, 77.391, 642000],
+  ['Gurugram', 'IN', 'Haryana', 28.459, 77.027, 876000],
+  ['Faridabad', 'IN', 'Haryana', 28.408, 77.317, 1415000],
+  ['Ghaziabad', 'IN', 'Uttar Pradesh', 28.669, 77.454, 1648000],
+  ['Meerut', 'IN', 'Uttar Pradesh', 28.984, 77.706, 1305000],
+  ['Agra', 'IN', 'Uttar Pradesh', 27.177, 78.008, 1585000],
+  ['Jaipur', 'IN', 'Rajasthan', 26.912, 75.787, 3046000],
+  ['Lucknow', 'IN', 'Uttar Pradesh', 26.847, 80.946, 2817000],
+  ['Kanpur', 'IN', 'Uttar Pradesh', 26.449, 80.332, 2768000],
+  ['Chandigarh', 'IN', 'Chandigarh', 30.733, 76.779, 1055000],
+  ['Ludhiana', 'IN', 'Punjab', 30.901, 75.857, 1618000],
+  ['Amritsar', 'IN', 'Punjab', 31.634, 74.872, 1132000],
+  ['Mumbai', 'IN', 'Maharashtra', 19.076, 72.878, 12442000],
+  ['Thane', 'IN', 'Maharashtra', 19.218, 72.978, 1841000],
+  ['Navi Mumbai', 'IN', 'Maharashtra', 19.033, 73.03, 1120000],
+  ['Pune', 'IN', 'Maharashtra', 18.52, 73.857, 3124000],
+  ['Nashik', 'IN', 'Maharashtra', 19.998, 73.79, 1486000],
+  ['Ahmedabad', 'IN', 'Gujarat', 23.023, 72.571, 5577000],
+  ['Surat', 'IN', 'Gujarat', 21.17, 72.831, 4467000],
+  ['Vadodara', 'IN', 'Gujarat', 22.307, 73.181, 1670000],
+  ['Kolkata', 'IN', 'West Bengal', 22.573, 88.364, 4497000],
+  ['Howrah', 'IN', 'West Bengal', 22.596, 88.264, 1077000],
+  ['Patna', 'IN', 'Bihar', 25.594, 85.138, 1684000],
+  ['Bengaluru', 'IN', 'Karnataka', 12.972, 77.595, 8443000],
+  ['Mysuru', 'IN', 'Karnataka', 12.296, 76.639, 887000],
+  ['Chennai', 'IN', 'Tamil Nadu', 13.083, 80.271, 4647000],
+  ['Vellore', 'IN', 'Tamil Nadu', 12.917, 79.133, 504000],
+  ['Coimbatore', 'IN', 'Tamil Nadu', 11.017, 76.956, 1061000],
+  ['Hyderabad', 'IN', 'Telangana', 17.385, 78.487, 6810000],
+  ['Kochi', 'IN', 'Kerala', 9.931, 76.267, 602000],
+  ['Lahore', 'PK', 'Punjab', 31.52, 74.359, 11126000],
+  ['Gujranwala', 'PK', 'Punjab', 32.188, 74.194, 2027000],
+  ['Faisalabad', 'PK', 'Punjab', 31.418, 73.079, 3204000],
+  ['Islamabad', 'PK', 'Islamabad Capital Territory', 33.684, 73.048, 1015000],
+  ['Rawalpindi', 'PK', 'Punjab', 33.6, 73.068, 2098000],
+  ['Peshawar', 'PK', 'Khyber Pakhtunkhwa', 34.015, 71.525, 1970000],
+  ['Karachi', 'PK', 'Sindh', 24.861, 67.01, 14916000],
+  ['Hyderabad', 'PK', 'Sindh', 25.396, 68.377, 1733000],
+  ['Dhaka', 'BD', 'Dhaka', 23.81, 90.413, 8906000],
+  ['Narayanganj', 'BD', 'Dhaka', 23.623, 90.5, 967000],
+  ['Gazipur', 'BD', 'Dhaka', 24.0, 90.426, 2674000],
+  ['Chittagong', 'BD', 'Chittagong', 22.357, 91.783, 2582000],
+  ['Kathmandu', 'NP', 'Bagmati', 27.717, 85.324, 845000],
+  ['Colombo', 'LK', 'Western', 6.927, 79.861, 753000],
+
+  // East and Southeast Asia
+  ['Beijing', 'CN', 'Beijing', 39.904, 116.407, 21540000],
+  ['Tianjin', 'CN', 'Tianjin', 39.343, 117.362, 13866000],
+  ['Langfang', 'CN', 'Hebei', 39.538, 116.684, 5464000],
+  ['Baoding', 'CN', 'Hebei', 38.874, 115.464, 11543000],
+  ['Tangshan', 'CN', 'Hebei', 39.631, 118.18, 7717000],
+  ['Shijiazhuang', 'CN', 'Hebei', 38.042, 114.515, 11235000],
+  ['Shanghai', 'CN', 'Shanghai', 31.23, 121.474, 24870000],
+  ['Suzhou', 'CN', 'Jiangsu', 31.299, 120.585, 12748000],
+  ['Wuxi', 'CN', 'Jiangsu', 31.491, 120.312, 7462000],
+  ['Jiaxing', 'CN', 'Zhejiang', 30.746, 120.756, 5400000],
+  ['Hangzhou', 'CN', 'Zhejiang', 30.274, 120.155, 11936000],
+  ['Ningbo', 'CN', 'Zhejiang', 29.868, 121.544, 9404000],
+  ['Nanjing', 'CN', 'Jiangsu', 32.06, 118.797, 9314000],
+  ['Changzhou', 'CN', 'Jiangsu', 31.811, 119.974, 5278000],
+  ['Hefei', 'CN', 'Anhui', 31.821, 117.227, 9370000],
+  ['Guangzhou', 'CN', 'Guangdong', 23.129, 113.264, 18676000],
+  ['Foshan', 'CN', 'Guangdong', 23.022, 113.122, 9498000],
+  ['Dongguan', 'CN', 'Guangdong', 23.021, 113.752, 10466000],
+  ['Shenzhen', 'CN', 'Guangdong', 22.543, 114.058, 17560000],
+  ['Zhuhai', 'CN', 'Guangdong', 22.271, 113.577, 2439000],
+  ['Hong Kong', 'HK', 'Hong Kong', 22.32, 114.169, 7482000],
+  ['Macau', 'MO', 'Macau', 22.199, 113.544, 683000],
+  ['Wuhan', 'CN', 'Hubei', 30.593, 114.305, 12326000],
+  ['Chengdu', 'CN', 'Sichuan', 30.573, 104.066, 20938000],
+  ['Chongqing', 'CN', 'Chongqing', 29.563, 106.551, 32054000],
+  ["Xi'an", 'CN', 'Shaanxi', 34.341, 108.94, 12953000],
+  ['Zhengzhou', 'CN', 'Henan', 34.747, 113.625, 12600000],
+  ['Jinan', 'CN', 'Shandong', 36.651, 117.12, 9202000],
+  ['Qingdao', 'CN', 'Shandong', 36.067, 120.383, 10071000],
+  ['Shenyang', 'CN', 'Liaoning', 41.805, 123.431, 9070000],
+  ['Harbin', 'CN', 'Heilongjiang', 45.803, 126.535, 10009000],
+  ['Taipei', 'TW', 'Taipei', 25.033, 121.565, 2602000],
+  ['New Taipei', 'TW', 'New Taipei', 25.012, 121.465, 4004000],
+  ['Taoyuan', 'TW', 'Taoyuan', 24.994, 121.301, 2268000],
+  ['Taichung', 'TW', 'Taichung', 24.148, 120.674, 2820000],
+  ['Kaohsiung', 'TW', 'Kaohsiung', 22.627, 120.301, 2765000],
+  ['Seoul', 'KR', 'Seoul', 37.567, 126.978, 9776000],
+  ['Incheon', 'KR', 'Incheon', 37.456, 126.705, 2957000],
+  ['Suwon', 'KR', 'Gyeonggi', 37.264, 127.029, 1194000],
+  ['Daejeon', 'KR', 'Daejeon', 36.351, 127.385, 1475000],
+  ['Busan', 'KR', 'Busan', 35.18, 129.076, 3429000],
+  ['Ulsan', 'KR', 'Ulsan', 35.538, 129.311, 1147000],
+  ['Daegu', 'KR', 'Daegu', 35.871, 128.601, 2418000],
+  ['Tokyo', 'JP', 'Tokyo', 35.676, 139.65, 13960000],
+  ['Yokohama', 'JP', 'Kanagawa', 35.444, 139.638, 3757000],
+  ['Kawasaki', 'JP', 'Kanagawa', 35.531, 139.703, 1540000],
+  ['Saitama', 'JP', 'Saitama', 35.861, 139.646, 1324000],
+  ['Chiba', 'JP', 'Chiba', 35.607, 140.106, 979000],
+  ['Osaka', 'JP', 'Osaka', 34.694, 135.502, 2750000],
+  ['Kyoto', 'JP', 'Kyoto', 35.012, 135.768, 1464000],
+  ['Kobe', 'JP', 'Hyogo', 34.69, 135.196, 1525000],
+  ['Nagoya', 'JP', 'Aichi', 35.181, 136.906, 2320000],
+  ['Fukuoka', 'JP', 'Fukuoka', 33.59, 130.402, 1612000],
+  ['Sapporo', 'JP', 'Hokkaido', 43.062, 141.354, 1973000],
+  ['Bangkok', 'TH', 'Bangkok', 13.756, 100.502, 10539000],
+  ['Nonthaburi', 'TH', 'Nonthaburi', 13.862, 100.514, 255000],
+  ['Chiang Mai', 'TH', 'Chiang Mai', 18.788, 98.985, 131000],
+  ['Hanoi', 'VN', 'Hanoi', 21.028, 105.854, 8054000],
+  ['Haiphong', 'VN', 'Haiphong', 20.845, 106.688, 2029000],
+  ['Ho Chi Minh City', 'VN', 'Ho Chi Minh City', 10.823, 106.63, 8993000],
+  ['Bien Hoa', 'VN', 'Dong Nai', 10.945, 106.824, 1104000],
+  ['Kuala Lumpur', 'MY', 'Kuala Lumpur', 3.139, 101.687, 1982000],
+  ['Shah Alam', 'MY', 'Selangor', 3.073, 101.518, 740000],
+  ['Singapore', 'SG', 'Singapore', 1.352, 103.82, 5454000],
+  ['Johor Bahru', 'MY', 'Johor', 1.493, 103.741, 858000],
+  ['Jakarta', 'ID', 'Jakarta', -6.209, 106.846, 10562000],
+  ['Bekasi', 'ID', 'West Java', -6.238, 106.976, 2543000],
+  ['Depok', 'ID', 'West Java', -6.402, 106.794, 2056000],
+  ['Tangerang', 'ID', 'Banten', -6.178, 106.63, 1895000],
+  ['Bogor', 'ID', 'West Java', -6.595, 106.816, 1044000],
+  ['Bandung', 'ID', 'West Java', -6.917, 107.619, 2444000],
+  ['Surabaya', 'ID', 'East Java', -7.257, 112.752, 2874000],
+  ['Manila', 'PH', 'Metro Manila', 14.6, 120.984, 1847000],
+  ['Quezon City', 'PH', 'Metro Manila', 14.676, 121.044, 2960000],
+  ['Cebu City', 'PH', 'Central Visayas', 10.316, 123.885, 964000],
+  ['Ulaanbaatar', 'MN', 'Ulaanbaatar', 47.886, 106.906, 1645000],
+
+  // Oceania
+  ['Sydney', 'AU', 'New South Wales', -33.869, 151.209, 5312000],
+  ['Newcastle', 'AU', 'New South Wales', -32.928, 151.78, 322000],
+  ['Wollongong', 'AU', 'New South Wales', -34.425, 150.893, 305000],
+  ['Melbourne', 'AU', 'Victoria', -37.814, 144.963, 5078000],
+  ['Geelong', 'AU', 'Victoria', -38.149, 144.361, 268000],
+  ['Brisbane', 'AU', 'Queensland', -27.47, 153.026, 2514000],
+  ['Gold Coast', 'AU', 'Queensland', -28.017, 153.4, 699000],
+  ['Perth', 'AU', 'Western Australia', -31.95, 115.861, 2085000],
+  ['Adelaide', 'AU', 'South Australia', -34.929, 138.601, 1376000],
+  ['Auckland', 'NZ', 'Auckland', -36.849, 174.763, 1657000],
+  ['Wellington', 'NZ', 'Wellington', -41.287, 174.776, 215000],
+
+  // North America
+  ['New York', 'US', 'New York', 40.713, -74.006, 8336000],
+  ['Newark', 'US', 'New Jersey', 40.736, -74.172, 311000],
+  ['Jersey City', 'US', 'New Jersey', 40.728, -74.078, 292000],
+  ['Yonkers', 'US', 'New York', 40.931, -73.899, 211000],
+  ['Stamford', 'US', 'Connecticut', 41.053, -73.539, 135000],
+  ['New Haven', 'US', 'Connecticut', 41.308, -72.928, 135000],
+  ['Trenton', 'US', 'New Jersey', 40.217, -74.743, 90000],
+  ['Philadelphia', 'US', 'Pennsylvania', 39.953, -75.165, 1604000],
+  ['Wilmington', 'US', 'Delaware', 39.744, -75.546, 71000],
+  ['Baltimore', 'US', 'Maryland', 39.29, -76.612, 586000],
+  ['Washington', 'US', 'District of Columbia', 38.907, -77.037, 690000],
+  ['Arlington', 'US', 'Virginia', 38.88, -77.107, 236000],
+  ['Richmond', 'US', 'Virginia', 37.541, -77.436, 227000],
+  ['Boston', 'US', 'Massachusetts', 42.36, -71.059, 676000],
+  ['Worcester', 'US', 'Massachusetts', 42.263, -71.802, 206000],
+  ['Providence', 'US', 'Rhode Island', 41.824, -71.413, 190000],
+  ['Hartford', 'US', 'Connecticut', 41.764, -72.685, 121000],
+  ['Pittsburgh', 'US', 'Pennsylvania', 40.441, -79.996, 303000],
+  ['Cleveland', 'US', 'Ohio', 41.499, -81.694, 372000],
+  ['Akron', 'US', 'Ohio', 41.081, -81.519, 190000],
+  ['Columbus', 'US', 'Ohio', 39.961, -82.999, 906000],
+  ['Cincinnati', 'US', 'Ohio', 39.103, -84.512, 309000],
+  ['Detroit', 'US', 'Michigan', 42.331, -83.046, 620000],
+  ['Ann Arbor', 'US', 'Michigan', 42.281, -83.743, 123000],
+  ['Toledo', 'US', 'Ohio', 41.664, -83.555, 270000],
+  ['Chicago', 'US', 'Illinois', 41.878, -87.63, 2697000],
+  ['Naperville', 'US', 'Illinois', 41.75, -88.153, 149000],
+  ['Gary', 'US', 'Indiana', 41.593, -87.346, 69000],
+  ['Milwaukee', 'US', 'Wisconsin', 43.039, -87.906, 577000],
+  ['Indianapolis', 'US', 'Indiana', 39.768, -86.158, 887000],
+  ['Minneapolis', 'US', 'Minnesota', 44.978, -93.265, 425000],
+  ['Saint Paul', 'US', 'Minnesota', 44.954, -93.09, 311000],
+  ['St. Louis', 'US', 'Missouri', 38.627, -90.199, 293000],
+  ['Kansas City', 'US', 'Missouri', 39.1, -94.579, 508000],
+  ['Atlanta', 'US', 'Georgia', 33.749, -84.388, 499000],
+  ['Charlotte', 'US', 'North Carolina', 35.227, -80.843, 875000],
+  ['Raleigh', 'US', 'North Carolina', 35.78, -78.639, 468000],
+  ['Durham', 'US', 'North Carolina', 35.994, -78.899, 284000],
+  ['Nashville', 'US', 'Tennessee', 36.163, -86.781, 689000],
+  ['Miami', 'US', 'Florida', 25.762, -80.192, 442000],
+  ['Fort Lauderdale', 'US', 'Florida', 26.122, -80.137, 183000],
+  ['West Palm Beach', 'US', 'Florida', 26.715, -80.053, 117000],
+  ['Orlando', 'US', 'Florida', 28.538, -81.379, 307000],
+  ['Tampa', 'US', 'Florida', 27.951, -82.457, 384000],
+  ['St. Petersburg', 'US', 'Florida', 27.768, -82.64, 258000],
+  ['Jacksonville', 'US', 'Florida', 30.332, -81.656, 950000],
+  ['New Orleans', 'US', 'Louisiana', 29.951, -90.072, 384000],
+  ['Houston', 'US', 'Texas', 29.76, -95.37, 2304000],
+  ['Galveston', 'US', 'Texas', 29.301, -94.798, 53000],
+  ['Dallas', 'US', 'Texas', 32.777, -96.797, 1304000],
+  ['Fort Worth', 'US', 'Texas', 32.755, -97.331, 918000],
+  ['Arlington', 'US', 'Texas', 32.736, -97.108, 394000],
+  ['Austin', 'US', 'Texas', 30.267, -97.743, 961000],
+  ['San Antonio', 'US', 'Texas', 29.424, -98.494, 1434000],
+  ['Denver', 'US', 'Colorado', 39.739, -104.99, 715000],
+  ['Boulder', 'US', 'Colorado', 40.015, -105.27, 108000],
+  ['Colorado Springs', 'US', 'Colorado', 38.834, -104.821, 478000],
+  ['Salt Lake City', 'US', 'Utah', 40.761, -111.891, 200000],
+  ['Provo', 'US', 'Utah', 40.234, -111.659, 115000],
+  ['Phoenix', 'US', 'Arizona', 33.448, -112.074, 1608000],
+  ['Mesa', 'US', 'Arizona', 33.415, -111.831, 504000],
+  ['Tucson', 'US', 'Arizona', 32.222, -110.975, 542000],
+  ['Las Vegas', 'US', 'Nevada', 36.17, -115.14, 641000],
+  ['Los Angeles', 'US', 'California', 34.052, -118.244, 3898000],
+  ['Long Beach', 'US', 'California', 33.77, -118.194, 466000],
+  ['Pasadena', 'US', 'California', 34.148, -118.144, 138000],
+  ['Santa Ana', 'US', 'California', 33.746, -117.868, 310000],
+  ['Riverside', 'US', 'California', 33.953, -117.396, 314000],
+  ['San Bernardino', 'US', 'California', 34.108, -117.29, 222000],
+  ['Oxnard', 'US', 'California', 34.197, -119.177, 202000],
+  ['San Diego', 'US', 'California', 32.716, -117.161, 1386000],
+  ['Tijuana', 'MX', 'Baja California', 32.515, -117.038, 1922000],
+  ['Bakersfield', 'US', 'California', 35.373, -119.019, 403000],
+  ['Fresno', 'US', 'California', 36.738, -119.787, 542000],
+  ['San Francisco', 'US', 'California', 37.775, -122.419, 874000],
+  ['Oakland', 'US', 'California', 37.804, -122.271, 440000],
+  ['San Jose', 'US', 'California', 37.339, -121.895, 1013000],
+  ['Santa Rosa', 'US', 'California', 38.44, -122.714, 178000],
+  ['Stockton', 'US', 'California', 37.958, -121.291, 320000],
+  ['Sacramento', 'US', 'California', 38.582, -121.494, 525000],
+  ['Portland', 'US', 'Oregon', 45.515, -122.679, 652000],
+  ['Salem', 'US', 'Oregon', 44.943, -123.035, 175000],
+  ['Vancouver', 'US', 'Washington', 45.639, -122.661, 190000],
+  ['Seattle', 'US', 'Washington', 47.606, -122.332, 737000],
+  ['Tacoma', 'US', 'Washington', 47.253, -122.444, 219000],
+  ['Everett', 'US', 'Washington', 47.979, -122.202, 111000],
+  ['Honolulu', 'US', 'Hawaii', 21.307, -157.858, 350000],
+  ['Anchorage', 'US', 'Alaska', 61.218, -149.9, 291000],
+  ['Toronto', 'CA', 'Ontario', 43.653, -79.383, 2794000],
+  ['Mississauga', 'CA', 'Ontario', 43.589, -79.644, 717000],
+  ['Hamilton', 'CA', 'Ontario', 43.256, -79.871, 570000],
+  ['Oshawa', 'CA', 'Ontario', 43.897, -78.866, 175000],
+  ['Kitchener', 'CA', 'Ontario', 43.452, -80.49, 256000],
+  ['Ottawa', 'CA', 'Ontario', 45.421, -75.697, 1017000],
+  ['Montreal', 'CA', 'Quebec', 45.502, -73.567, 1762000],
+  ['Laval', 'CA', 'Quebec', 45.607, -73.712, 438000],
+  ['Quebec City', 'CA', 'Quebec', 46.814, -71.208, 549000],
+  ['Calgary', 'CA', 'Alberta', 51.045, -114.072, 1306000],
+  ['Edmonton', 'CA', 'Alberta', 53.546, -113.494, 1011000],
+  ['Vancouver', 'CA', 'British Columbia', 49.283, -123.121, 662000],
+  ['Surrey', 'CA', 'British Columbia', 49.191, -122.849, 568000],
+  ['Victoria', 'CA', 'British Columbia', 48.428, -123.366, 92000],
+  ['Winnipeg', 'CA', 'Manitoba', 49.895, -97.138, 749000],
+  ['Mexico City', 'MX', 'Mexico City', 19.433, -99.133, 9209000],
+  ['Ecatepec', 'MX', 'State of Mexico', 19.601, -99.05, 1645000],
+  ['Toluca', 'MX', 'State of Mexico', 19.283, -99.655, 910000],
+  ['Puebla', 'MX', 'Puebla', 19.041, -98.206, 1692000],
+  ['Cuernavaca', 'MX', 'Morelos', 18.922, -99.234, 378000],
+  ['Guadalajara', 'MX', 'Jalisco', 20.659, -103.349, 1385000],
+  ['Monterrey', 'MX', 'Nuevo León', 25.686, -100.316, 1142000],
+
+  // Central and South America
+  ['Guatemala City', 'GT', 'Guatemala', 14.634, -90.507, 2935000],
+  ['San José', 'CR', 'San José', 9.928, -84.091, 342000],
+  ['Panama City', 'PA', 'Panamá', 8.983, -79.517, 880000],
+  ['Havana', 'CU', 'Havana', 23.113, -82.366, 2130000],
+  ['Santo Domingo', 'DO', 'Distrito Nacional', 18.486, -69.931, 1030000],
+  ['San Juan', 'PR', 'Puerto Rico', 18.466, -66.106, 342000],
+  ['Bogotá', 'CO', 'Bogotá', 4.711, -74.072, 7181000],
+  ['Medellín', 'CO', 'Antioquia', 6.244, -75.581, 2569000],
+  ['Cali', 'CO', 'Valle del Cauca', 3.452, -76.532, 2228000],
+  ['Caracas', 'VE', 'Capital District', 10.481, -66.904, 2082000],
+  ['Quito', 'EC', 'Pichincha', -0.181, -78.468, 2011000],
+  ['Guayaquil', 'EC', 'Guayas', -2.171, -79.922, 2698000],
+  ['Lima', 'PE', 'Lima', -12.046, -77.043, 9752000],
+  ['Callao', 'PE', 'Callao', -12.057, -77.118, 1130000],
+  ['La Paz', 'BO', 'La Paz', -16.5, -68.15, 816000],
+  ['El Alto', 'BO', 'La Paz', -16.504, -68.163, 943000],
+  ['Santiago', 'CL', 'Santiago Metropolitan', -33.449, -70.669, 6310000],
+  ['Valparaíso', 'CL', 'Valparaíso', -33.047, -71.613, 296000],
+  ['Buenos Aires', 'AR', 'Buenos Aires', -34.604, -58.382, 3075000],
+  ['La Plata', 'AR', 'Buenos Aires', -34.921, -57.955, 772000],
+  ['Rosario', 'AR', 'Santa Fe', -32.944, -60.65, 1277000],
+  ['Córdoba', 'AR', 'Córdoba', -31.42, -64.189, 1391000],
+  ['Montevideo', 'UY', 'Montevideo', -34.901, -56.165, 1319000],
+  ['São Paulo', 'BR', 'São Paulo', -23.551, -46.633, 12325000],
+  ['Guarulhos', 'BR', 'São Paulo', -23.454, -46.534, 1392000],
+  ['Campinas', 'BR', 'São Paulo', -22.907, -47.063, 1214000],
+  ['Santos', 'BR', 'São Paulo', -23.961, -46.333, 433000],
+  ['São José dos Campos', 'BR', 'São Paulo', -23.223, -45.9, 729000],
+  ['Rio de Janeiro', 'BR', 'Rio de Janeiro', -22.907, -43.173, 6748000],
+  ['Niterói', 'BR', 'Rio de Janeiro', -22.883, -43.104, 515000],
+  ['Belo Horizonte', 'BR', 'Minas Gerais', -19.917, -43.934, 2521000],
+  ['Brasília', 'BR', 'Federal District', -15.794, -47.882, 3055000],
+  ['Curitiba', 'BR', 'Paraná', -25.429, -49.271, 1948000],
+  ['Porto Alegre', 'BR', 'Rio Grande do Sul', -30.035, -51.218, 1488000],
+  ['Salvador', 'BR', 'Bahia', -12.971, -38.501, 2886000],
+  ['Recife', 'BR', 'Pernambuco', -8.048, -34.877, 1653000],
+  ['Fortaleza', 'BR', 'Ceará', -3.732, -38.527, 2687000],
+  ['Manaus', 'BR', 'Amazonas', -3.119, -60.022, 2219000]
+].map(([name, country, state, lat, lon, population]) => ({ name, country, state, lat, lon, population }));
+
+// Great-circle distance in km
+export function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Places within `radius` km of a point, nearest first, each with its `distance` in km.
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Most places returned
+ * @param {number} [options.exclude] - Leave out places closer than this (km), i.e. the point's own city
+ */
+export function findNearbyPlaces(lat, lon, radius = 100, { limit = 5, exclude = 10 } = {}) {
+  return PLACES
+    .map(place => ({ ...place, distance: distanceKm(lat, lon, place.lat, place.lon) }))
+    .filter(place => place.distance <= radius && place.distance >= exclude)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit);
+}
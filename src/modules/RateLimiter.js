@@ -0,0 +1,187 @@
+// src/modules/RateLimiter.js - Client-Side Request Budget (Token Buckets per Minute and per Day)
+import { RateLimitError } from './DataError.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+// The OpenWeatherMap free tier allows 60 calls a minute; the daily budget keeps one browser well inside the monthly quota
+export const DEFAULT_REQUEST_BUDGET = {
+  perMinute: 60,
+  perDay: 1000,
+  // Share of each budget prefetches may not touch, so searches still get through
+  prefetchReserve: 0.25
+};
+
+const STORAGE_KEY = 'aqi_request_budget';
+
+export class RateLimiter {
+  /**
+   * User requests wait in line for the per-minute budget; prefetches never wait and are dropped
+   * instead of dipping into the reserve. Running out of the daily budget fails every request at once.
+   * @param {Object} [options] - See DEFAULT_REQUEST_BUDGET
+   * @param {Storage} [options.storage] - Where the buckets survive reloads; localStorage by default
+   */
+  constructor(options = {}) {
+    const budget = { ...DEFAULT_REQUEST_BUDGET, ...options };
+    this.prefetchReserve = budget.prefetchReserve;
+    this.storage = options.storage === undefined ? globalThis.localStorage : options.storage;
+    this.buckets = {
+      minute: { capacity: budget.perMinute, interval: MINUTE, tokens: budget.perMinute, updatedAt: Date.now() },
+      day: { capacity: budget.perDay, interval: DAY, tokens: budget.perDay, updatedAt: Date.now() }
+    };
+    // User requests waiting for a token, oldest first
+    this.queue = [];
+    this.timer = null;
+    this.stats = { user: 0, prefetch: 0, skipped: 0 };
+
+    this.load();
+  }
+
+  /**
+   * Resolves once a request may go out.
+   * @param {Object} [options]
+   * @param {boolean} [options.prefetch] - Background request: taken now or rejected, never queued
+   * @param {AbortSignal} [options.signal] - Gives up the place in the queue
+   */
+  acquire({ prefetch = false, signal } = {}) {
+    this.refill();
+
+    if (this.buckets.day.tokens < 1) {
+      return Promise.reject(new RateLimitError('Daily request budget used up', { retryAfter: this.timeUntilToken('day') }));
+    }
+
+    if (prefetch) {
+      // Users waiting or a budget down to its reserve: the prefetch is simply not made
+      if (this.queue.length > 0 || !this.aboveReserve()) {
+        this.stats.skipped++;
+        return Promise.reject(new RateLimitError('Request budget reserved for searches', { retryAfter: this.timeUntilToken('minute') }));
+      }
+      this.take('prefetch');
+      return Promise.resolve();
+    }
+
+    if (this.queue.length === 0 && this.buckets.minute.tokens >= 1) {
+      this.take('user');
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, signal };
+      const onAbort = () => {
+        this.queue = this.queue.filter(entry => entry !== waiter);
+        reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+      };
+
+      signal?.throwIfAborted();
+      signal?.addEventListener('abort', onAbort, { once: true });
+      waiter.cleanup = () => signal?.removeEventListener('abort', onAbort);
+
+      this.queue.push(waiter);
+      this.schedule();
+    });
+  }
+
+  // Let queued users through as tokens come back
+  schedule() {
+    if (this.timer || this.queue.length === 0) return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.refill();
+
+      while (this.queue.length > 0 && this.buckets.minute.tokens >= 1 && this.buckets.day.tokens >= 1) {
+        const waiter = this.queue.shift();
+        waiter.cleanup();
+        this.take('user');
+        waiter.resolve();
+      }
+
+      if (this.queue.length > 0 && this.buckets.day.tokens < 1) {
+        const error = new RateLimitError('Daily request budget used up', { retryAfter: this.timeUntilToken('day') });
+        this.queue.splice(0).forEach(waiter => {
+          waiter.cleanup();
+          waiter.reject(error);
+        });
+      }
+
+      this.schedule();
+    }, this.timeUntilToken('minute'));
+  }
+
+  take(kind) {
+    this.buckets.minute.tokens -= 1;
+    this.buckets.day.tokens -= 1;
+    this.stats[kind]++;
+    this.save();
+  }
+
+  aboveReserve() {
+    return Object.values(this.buckets).every(bucket =>
+      bucket.tokens - 1 >= bucket.capacity * this.prefetchReserve
+    );
+  }
+
+  // Tokens flow back continuously, a full bucket's worth per interval
+  refill(now = Date.now()) {
+    Object.values(this.buckets).forEach(bucket => {
+      const elapsed = now - bucket.updatedAt;
+      bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsed * bucket.capacity / bucket.interval);
+      bucket.updatedAt = now;
+    });
+  }
+
+  // ms until the bucket holds a whole token again
+  timeUntilToken(name) {
+    const bucket = this.buckets[name];
+    if (bucket.tokens >= 1) return 0;
+    return Math.ceil((1 - bucket.tokens) * bucket.interval / bucket.capacity);
+  }
+
+  getStats() {
+    this.refill();
+    const { minute, day } = this.buckets;
+
+    return {
+      perMinute: { limit: minute.capacity, remaining: Math.floor(minute.tokens) },
+      perDay: { limit: day.capacity, remaining: Math.floor(day.tokens) },
+      queued: this.queue.length,
+      sent: { user: this.stats.user, prefetch: this.stats.prefetch },
+      prefetchesSkipped: this.stats.skipped
+    };
+  }
+
+  // Persistence, so a reload doesn't hand out a fresh budget
+  load() {
+    try {
+      const saved = JSON.parse(this.storage?.getItem(STORAGE_KEY) || 'null');
+      if (!saved) return;
+
+      for (const [name, bucket] of Object.entries(this.buckets)) {
+        if (Number.isFinite(saved[name]?.tokens) && Number.isFinite(saved[name]?.updatedAt)) {
+          bucket.tokens = Math.min(bucket.capacity, saved[name].tokens);
+          bucket.updatedAt = Math.min(Date.now(), saved[name].updatedAt);
+        }
+      }
+      this.refill();
+    } catch (error) {
+      console.warn('Failed to load request budget:', error);
+    }
+  }
+
+  save() {
+    try {
+      const { minute, day } = this.buckets;
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify({
+        minute: { tokens: minute.tokens, updatedAt: minute.updatedAt },
+        day: { tokens: day.tokens, updatedAt: day.updatedAt }
+      }));
+    } catch (error) {
+      console.warn('Failed to save request budget:', error);
+    }
+  }
+
+  destroy() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
@@ -0,0 +1,42 @@
+// src/modules/RetryPolicy.js - When and How Long to Wait Before Retrying a Request
+
+export class RetryPolicy {
+  /**
+   * Exponential backoff with jitter; only errors marked `retryable` are retried.
+   * @param {Object} [options]
+   * @param {number} [options.attempts] - Tries in total, the first included
+   * @param {number} [options.baseDelay] - Wait before the second try (ms); doubles after each
+   * @param {number} [options.maxDelay] - Longest backoff (ms)
+   * @param {number} [options.maxRetryAfter] - Longest Retry-After worth waiting for (ms); past it the error is thrown
+   * @param {Function} [options.random] - Returns [0, 1); replaceable for deterministic delays
+   */
+  constructor(options = {}) {
+    this.attempts = options.attempts ?? 3;
+    this.baseDelay = options.baseDelay ?? 1000;
+    this.maxDelay = options.maxDelay ?? 10000;
+    this.maxRetryAfter = options.maxRetryAfter ?? 30000;
+    this.random = options.random || Math.random;
+  }
+
+  // `attempt` is the try that just failed, counting from 1
+  shouldRetry(error, attempt) {
+    if (attempt >= this.attempts || !error?.retryable) return false;
+
+    // A source asking for a long pause gets it; the caller decides whether to come back later
+    return !(error.retryAfter > this.maxRetryAfter);
+  }
+
+  /**
+   * Wait before the next try (ms). Retry-After wins when the source sent one; otherwise
+   * "equal jitter": half the exponential step, plus a random share of the other half, so
+   * clients that failed together don't all retry together.
+   */
+  delayFor(error, attempt) {
+    if (Number.isFinite(error?.retryAfter)) {
+      return error.retryAfter;
+    }
+
+    const step = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempt - 1));
+    return Math.round(step / 2 + this.random() * step / 2);
+  }
+}
@@ -0,0 +1,267 @@
+// src/modules/SeasonalForecast.js - Holt-Winters Forecasting with a Daily Cycle
+// Pure functions, run in the calculator worker (see CalculatorTasks.js) and usable from Node.
+
+const HOUR = 60 * 60 * 1000;
+
+// One season is a day of hourly readings
+const SEASON = 24;
+
+// Trend damping: the slope fades over the horizon instead of running away
+const DAMPING = 0.98;
+
+// Smoothing parameters tried when none are given; the set with the lowest one-step error wins
+const PARAMETER_GRID = {
+  alpha: [0.1, 0.3, 0.5, 0.7, 0.9],
+  beta: [0.01, 0.05, 0.1, 0.2],
+  gamma: [0.05, 0.1, 0.2, 0.4]
+};
+
+// Two-sided normal quantiles for the supported interval levels
+const Z_SCORES = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 };
+
+/**
+ * One slot per hour from the first reading to the last, each the mean of that hour's readings
+ * (null when there were none), so gaps keep their place in the daily cycle.
+ * @param {Array<{timestamp: number}>} history - Readings in μg/m³, in any order
+ * @param {string} [pollutant]
+ * @returns {{start: number|null, values: Array<number|null>}} `start` is the first hour (ms)
+ */
+export function hourlyGrid(history, pollutant = 'pm25') {
+  const sums = new Map();
+  history.forEach(reading => {
+    const value = reading?.[pollutant];
+    if (!Number.isFinite(value) || !Number.isFinite(reading.timestamp)) return;
+
+    const hour = Math.floor(reading.timestamp / HOUR);
+    const entry = sums.get(hour) || { sum: 0, count: 0 };
+    entry.sum += value;
+    entry.count++;
+    sums.set(hour, entry);
+  });
+
+  if (sums.size === 0) return { start: null, values: [] };
+
+  const hours = [...sums.keys()];
+  const first = Math.min(...hours);
+  const last = Math.max(...hours);
+  const values = [];
+  for (let hour = first; hour <= last; hour++) {
+    const entry = sums.get(hour);
+    values.push(entry ? entry.sum / entry.count : null);
+  }
+
+  return { start: first * HOUR, values };
+}
+
+/**
+ * Additive Holt-Winters with a damped trend, fitted to log(1 + PM2.5) so forecasts stay positive and
+ * the daily swing scales with the level. Missing hours advance the model without correcting it.
+ * @param {Array<{timestamp: number}>} history - Hourly readings; at least two days' span is needed
+ * @param {Object} [options]
+ * @param {number} [options.horizon] - Hours to forecast
+ * @param {number} [options.interval] - Prediction interval level: 0.8, 0.9, 0.95 or 0.99
+ * @param {string} [options.pollutant]
+ * @param {{alpha: number, beta: number, gamma: number}} [options.parameters] - Skip the grid search
+ * @returns {{status: string, predictions: Array<{timestamp: number, hour: number, value: number, lower: number, upper: number}>, parameters?: Object, rmse?: number, missingHours?: number}}
+ *   `rmse` is the in-sample one-step error on the log scale; status 'insufficient-data' comes with no predictions
+ */
+export function forecastHoltWinters(history, options = {}) {
+  const { horizon = 24, interval = 0.8, pollutant = 'pm25' } = options;
+  const z = Z_SCORES[interval];
+  if (!z) {
+    throw new Error(`Unsupported prediction interval: ${interval}`);
+  }
+
+  const grid = hourlyGrid(history, pollutant);
+  const series = grid.values.map(value => (value === null ? null : Math.log1p(Math.max(0, value))));
+  const observed = series.filter(value => value !== null).length;
+  if (series.length < SEASON * 2 || observed < SEASON) {
+    return { status: 'insufficient-data', predictions: [] };
+  }
+
+  const parameters = options.parameters || fitParameters(series);
+  const model = runModel(series, parameters);
+  const lastHour = grid.start + (series.length - 1) * HOUR;
+
+  const predictions = [];
+  let damping = 0;
+  let variance = 0;
+  for (let step = 1; step <= horizon; step++) {
+    damping += DAMPING ** step;
+    const seasonal = model.seasonals[(series.length + step - 1) % SEASON];
+    const mean = model.level + damping * model.trend + seasonal;
+
+    // Error variance grows with the horizon (ETS(A,Ad,A) approximation)
+    variance += step === 1 ? 1 : errorWeight(parameters, step - 1) ** 2;
+    const spread = z * model.sigma * Math.sqrt(variance);
+
+    predictions.push({
+      timestamp: lastHour + step * HOUR,
+      hour: step,
+      value: Math.expm1(mean),
+      lower: Math.max(0, Math.expm1(mean - spread)),
+      upper: Math.expm1(mean + spread)
+    });
+  }
+
+  return {
+    status: 'ok',
+    predictions,
+    parameters,
+    rmse: model.sigma,
+    missingHours: series.length - observed
+  };
+}
+
+/**
+ * Hold out the last `holdout` hours, forecast them from the rest, and score the forecast against
+ * what was measured. `models` maps a name to (training history, hours) → [{ timestamp, value, lower?, upper? }].
+ * @returns {{status: string, holdout: number, trainHours: number, testHours: number, models: Object<string, {mae: number, rmse: number, coverage: number|null, hours: number}>}}
+ *   `coverage` is the share of measured hours inside the prediction interval, for models that give one
+ */
+export function backtest(history, models, { holdout = 24, pollutant = 'pm25' } = {}) {
+  const grid = hourlyGrid(history, pollutant);
+  if (grid.values.length <= holdout) {
+    return { status: 'insufficient-data', holdout, models: {} };
+  }
+
+  const cutoff = grid.start + (grid.values.length - holdout) * HOUR;
+  const train = history.filter(reading => reading.timestamp < cutoff);
+  const actual = new Map();
+  grid.values.forEach((value, index) => {
+    const timestamp = grid.start + index * HOUR;
+    if (value !== null && timestamp >= cutoff) actual.set(timestamp, value);
+  });
+
+  const scores = {};
+  Object.entries(models).forEach(([name, model]) => {
+    const predictions = model(train, holdout)
+      .map(prediction => ({ ...prediction, timestamp: Math.floor(prediction.timestamp / HOUR) * HOUR }))
+      .filter(prediction => actual.has(prediction.timestamp));
+    scores[name] = scoreForecast(predictions, actual);
+  });
+
+  return {
+    status: 'ok',
+    holdout,
+    trainHours: grid.values.length - holdout,
+    testHours: actual.size,
+    models: scores
+  };
+}
+
+function scoreForecast(predictions, actual) {
+  if (predictions.length === 0) {
+    return { mae: null, rmse: null, coverage: null, hours: 0 };
+  }
+
+  let absolute = 0;
+  let squared = 0;
+  let covered = 0;
+  const withInterval = predictions.filter(prediction => Number.isFinite(prediction.lower));
+
+  predictions.forEach(prediction => {
+    const error = prediction.value - actual.get(prediction.timestamp);
+    absolute += Math.abs(error);
+    squared += error * error;
+  });
+  withInterval.forEach(prediction => {
+    const value = actual.get(prediction.timestamp);
+    if (value >= prediction.lower && value <= prediction.upper) covered++;
+  });
+
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    mae: round(absolute / predictions.length),
+    rmse: round(Math.sqrt(squared / predictions.length)),
+    coverage: withInterval.length ? round(covered / withInterval.length) : null,
+    hours: predictions.length
+  };
+}
+
+// Weight of the shock `j` steps back in an h-step forecast error
+function errorWeight({ alpha, beta, gamma }, j) {
+  let damping = 0;
+  for (let i = 1; i <= j; i++) damping += DAMPING ** i;
+  return alpha * (1 + damping * beta) + (j % SEASON === 0 ? gamma : 0);
+}
+
+function fitParameters(series) {
+  let best = null;
+
+  PARAMETER_GRID.alpha.forEach(alpha => {
+    PARAMETER_GRID.beta.forEach(beta => {
+      PARAMETER_GRID.gamma.forEach(gamma => {
+        const { sigma } = runModel(series, { alpha, beta, gamma });
+        if (!best || sigma < best.sigma) {
+          best = { sigma, parameters: { alpha, beta, gamma } };
+        }
+      });
+    });
+  });
+
+  return best.parameters;
+}
+
+// Runs the smoothing equations over the whole series; `sigma` is the RMS of the one-step errors
+function runModel(series, { alpha, beta, gamma }) {
+  const { level: initialLevel, trend: initialTrend, seasonals } = initialState(series);
+  let level = initialLevel;
+  let trend = initialTrend;
+  let squared = 0;
+  let count = 0;
+
+  for (let t = SEASON; t < series.length; t++) {
+    const phase = t % SEASON;
+    const value = series[t];
+    const expected = level + DAMPING * trend + seasonals[phase];
+
+    if (value === null) {
+      // Nothing to learn from; carry the state forward
+      level += DAMPING * trend;
+      trend *= DAMPING;
+      continue;
+    }
+
+    const error = value - expected;
+    squared += error * error;
+    count++;
+
+    const previousLevel = level;
+    level = alpha * (value - seasonals[phase]) + (1 - alpha) * (level + DAMPING * trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * DAMPING * trend;
+    seasonals[phase] = gamma * (value - level) + (1 - gamma) * seasonals[phase];
+  }
+
+  return { level, trend, seasonals, sigma: count ? Math.sqrt(squared / count) : Infinity };
+}
+
+// Level and slope from the means of the first two days, each placed at the mean hour it was measured
+// at (11.5 for a full day); each hour of day's offset from that line. The first day only sets up the
+// state, so the smoothing starts at hour 24 with the level as of hour 23.
+function initialState(series) {
+  const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+  const dayMean = (day) => {
+    const hours = [];
+    for (let t = day * SEASON; t < (day + 1) * SEASON; t++) {
+      if (series[t] !== null) hours.push(t);
+    }
+    return hours.length ? { value: mean(hours.map(t => series[t])), hour: mean(hours) } : null;
+  };
+
+  const days = [dayMean(0), dayMean(1)].filter(Boolean);
+  const trend = days.length === 2 && days[1].hour !== days[0].hour
+    ? (days[1].value - days[0].value) / (days[1].hour - days[0].hour)
+    : 0;
+  const line = (t) => days[0].value + trend * (t - days[0].hour);
+
+  const seasonals = [];
+  for (let phase = 0; phase < SEASON; phase++) {
+    const offsets = [phase, phase + SEASON]
+      .filter(t => series[t] !== null)
+      .map(t => series[t] - line(t));
+    seasonals.push(mean(offsets) ?? 0);
+  }
+
+  return { level: line(SEASON - 1), trend, seasonals };
+}
@@ -0,0 +1,113 @@
+// src/modules/UnitConverter.js - Concentration Unit Conversion
+import { POLLUTANTS } from './AQIStandards.js';
+
+// Ideal gas constant in L·atm/(K·mol)
+const GAS_CONSTANT = 0.082057;
+const STANDARD_PRESSURE = 1013.25; // hPa (1 atm)
+
+// Conditions assumed when no weather reading is available: 25 °C and 1 atm
+export const REFERENCE_CONDITIONS = Object.freeze({ temperature: 25, pressure: STANDARD_PRESSURE });
+
+// Spellings accepted for each unit
+const UNIT_ALIASES = {
+  'μg/m³': 'μg/m³',
+  'µg/m³': 'μg/m³',
+  'μg/m3': 'μg/m³',
+  'µg/m3': 'μg/m³',
+  'ug/m3': 'μg/m³',
+  'mg/m³': 'mg/m³',
+  'mg/m3': 'mg/m³',
+  'ppb': 'ppb',
+  'ppm': 'ppm'
+};
+
+export class UnitConverter {
+  /**
+   * @param {Object} [conditions]
+   * @param {number} [conditions.temperature] - Air temperature in °C
+   * @param {number} [conditions.pressure] - Air pressure in hPa
+   */
+  constructor(conditions = {}) {
+    this.setConditions(conditions);
+  }
+
+  // Accepts the shape returned by DataManager.fetchWeatherData; missing values fall back to 25 °C / 1 atm
+  setConditions({ temperature, pressure } = {}) {
+    this.conditions = {
+      temperature: Number.isFinite(temperature) ? temperature : REFERENCE_CONDITIONS.temperature,
+      pressure: Number.isFinite(pressure) && pressure > 0 ? pressure : REFERENCE_CONDITIONS.pressure
+    };
+    return this.conditions;
+  }
+
+  getConditions() {
+    return { ...this.conditions };
+  }
+
+  // Litres occupied by one mole of gas (24.45 L at the reference conditions)
+  getMolarVolume() {
+    const kelvin = this.conditions.temperature + 273.15;
+    const atmospheres = this.conditions.pressure / STANDARD_PRESSURE;
+    return (GAS_CONSTANT * kelvin) / atmospheres;
+  }
+
+  normalizeUnit(unit) {
+    const normalized = UNIT_ALIASES[String(unit).trim()];
+    if (!normalized) {
+      throw new Error(`Unsupported unit: ${unit}`);
+    }
+    return normalized;
+  }
+
+  getMolecularWeight(pollutant, unit) {
+    const { molecularWeight } = POLLUTANTS[pollutant] || {};
+    if (!molecularWeight) {
+      throw new Error(`Cannot express ${pollutant} in ${unit}`);
+    }
+    return molecularWeight;
+  }
+
+  // Any supported unit → μg/m³
+  toMicrograms(pollutant, value, unit = 'μg/m³') {
+    const from = this.normalizeUnit(unit);
+
+    switch (from) {
+      case 'μg/m³':
+        return value;
+      case 'mg/m³':
+        return value * 1000;
+      default: {
+        const ppb = from === 'ppm' ? value * 1000 : value;
+        return (ppb * this.getMolecularWeight(pollutant, from)) / this.getMolarVolume();
+      }
+    }
+  }
+
+  // μg/m³ → any supported unit
+  fromMicrograms(pollutant, micrograms, unit = 'μg/m³') {
+    const to = this.normalizeUnit(unit);
+
+    switch (to) {
+      case 'μg/m³':
+        return micrograms;
+      case 'mg/m³':
+        return micrograms / 1000;
+      default: {
+        const ppb = (micrograms * this.getMolarVolume()) / this.getMolecularWeight(pollutant, to);
+        return to === 'ppm' ? ppb / 1000 : ppb;
+      }
+    }
+  }
+
+  convert(pollutant, value, fromUnit, toUnit) {
+    return this.fromMicrograms(pollutant, this.toMicrograms(pollutant, value, fromUnit), toUnit);
+  }
+
+  // A concentration given either as a plain μg/m³ number or as a { value, unit } pair, in μg/m³
+  resolve(pollutant, concentration) {
+    if (concentration !== null && typeof concentration === 'object') {
+      return this.toMicrograms(pollutant, concentration.value, concentration.unit);
+    }
+    return concentration;
+  }
+}
@@ -0,0 +1,139 @@
+// src/modules/WorkerPool.js - Calculator Workers Sharing Large Batches
+// Library API for long series (months of hourly data, many stations); the app's week of history doesn't need it.
+import { CalculatorClient } from './CalculatorClient.js';
+import { COLUMN_POLLUTANTS, NO_POLLUTANT, transferablesOf } from './CalculatorTasks.js';
+
+// Workers when the browser doesn't say how many cores it has
+const DEFAULT_POOL_SIZE = 4;
+
+// Chunks per worker, so that a slow worker holds up little and progress comes often
+const CHUNKS_PER_WORKER = 4;
+
+// Smallest chunk worth a message (hours)
+const MIN_CHUNK = 1024;
+
+export { COLUMN_POLLUTANTS, NO_POLLUTANT };
+
+/**
+ * Columns for scoreColumns from readings such as DataManager.fetchHistoricalAQIData returns:
+ * one Float32Array per pollutant, NaN for the hours that didn't measure it.
+ * @param {Array<Object>} readings
+ * @param {Array<string>} [pollutants] - Keys as in POLLUTANTS; every one by default
+ */
+export function readingsToColumns(readings, pollutants = COLUMN_POLLUTANTS) {
+  const columns = {};
+
+  pollutants.forEach(pollutant => {
+    const column = new Float32Array(readings.length).fill(NaN);
+    readings.forEach((reading, index) => {
+      if (Number.isFinite(reading?.[pollutant])) column[index] = reading[pollutant];
+    });
+    columns[pollutant] = column;
+  });
+
+  return columns;
+}
+
+export class WorkerPool {
+  /**
+   * One CalculatorClient per worker; each takes the next chunk of a batch as soon as it is free.
+   * Workers start on first use, and where there are none the chunks run on the main thread.
+   * @param {Object} [options]
+   * @param {number} [options.size] - Workers in the pool; navigator.hardwareConcurrency by default
+   * @param {number} [options.timeout] - Per chunk (ms), see CalculatorClient
+   * @param {Function} [options.createWorker] - See CalculatorClient
+   */
+  constructor(options = {}) {
+    this.size = Math.max(1, options.size || globalThis.navigator?.hardwareConcurrency || DEFAULT_POOL_SIZE);
+    this.clients = Array.from({ length: this.size }, () => new CalculatorClient({
+      timeout: options.timeout,
+      createWorker: options.createWorker
+    }));
+  }
+
+  /**
+   * Hour-by-hour AQI, dominant pollutant and cigarettes for columns of concentrations, split across
+   * the pool. Each chunk is copied out of the columns and its buffer transferred, so the columns stay
+   * usable and no worker gets a structured clone of the whole series.
+   * @param {Object<string, Float32Array>} columns - μg/m³ per pollutant, all the same length; NaN where not measured (see readingsToColumns)
+   * @param {Object} [options]
+   * @param {string} [options.standard] - Standard to score in; the calculator's default otherwise
+   * @param {string|Array} [options.schedule] - Exposure schedule for the cigarettes column
+   * @param {number} [options.chunkSize] - Hours per message
+   * @param {Function} [options.onProgress] - Called as chunks finish with { done, total } (hours)
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<{aqi: Float32Array, dominant: Uint8Array, cigarettes: Float32Array, standard: string, version: string}>}
+   *   `dominant` holds indices into COLUMN_POLLUTANTS, NO_POLLUTANT for hours with nothing measured
+   */
+  async scoreColumns(columns, { standard, schedule, chunkSize, onProgress, signal } = {}) {
+    const lengths = new Set(Object.values(columns).map(column => column.length));
+    if (lengths.size > 1) {
+      throw new Error('Concentration columns must all have the same length');
+    }
+
+    const total = lengths.size ? [...lengths][0] : 0;
+    const size = chunkSize || Math.max(MIN_CHUNK, Math.ceil(total / (this.size * CHUNKS_PER_WORKER)));
+    const chunks = [];
+    for (let start = 0; start < total; start += size) {
+      chunks.push({ start, end: Math.min(start + size, total) });
+    }
+
+    const scores = {
+      aqi: new Float32Array(total),
+      dominant: new Uint8Array(total),
+      cigarettes: new Float32Array(total),
+      standard: null,
+      version: null
+    };
+    let done = 0;
+
+    const runChunk = async (client, { start, end }) => {
+      const slice = {};
+      Object.entries(columns).forEach(([pollutant, column]) => {
+        slice[pollutant] = column.slice(start, end);
+      });
+
+      const data = { columns: slice, standard, schedule };
+      return client.call('scoreColumns', data, { signal, transfer: transferablesOf(slice) });
+    };
+
+    // Each client works through the shared queue one chunk at a time
+    const queue = [...chunks];
+    await Promise.all(this.clients.map(async client => {
+      try {
+        while (queue.length > 0) {
+          signal?.throwIfAborted();
+          const chunk = queue.shift();
+
+          let result;
+          try {
+            result = await runChunk(client, chunk);
+          } catch (error) {
+            // The worker went down with this chunk's buffers; the client now calculates locally
+            if (!error.retryable) throw error;
+            result = await runChunk(client, chunk);
+          }
+
+          scores.aqi.set(result.aqi, chunk.start);
+          scores.dominant.set(result.dominant, chunk.start);
+          scores.cigarettes.set(result.cigarettes, chunk.start);
+          scores.standard = result.standard;
+          scores.version = result.version;
+
+          done += chunk.end - chunk.start;
+          onProgress?.({ done, total });
+        }
+      } catch (error) {
+        // The batch has failed; the other clients stop at their current chunk
+        queue.length = 0;
+        throw error;
+      }
+    }));
+
+    return scores;
+  }
+
+  destroy() {
+    this.clients.forEach(client => client.destroy());
+  }
+}
@@ -0,0 +1,117 @@
+// src/providers/AirQualityProvider.js - Common Interface for Air Quality Sources
+
+// Every provider reports readings with these keys, in μg/m³; pollutants it doesn't measure stay null
+export const READING_POLLUTANTS = ['pm25', 'pm10', 'no2', 'so2', 'o3', 'co', 'nh3', 'no'];
+
+export const PROVIDER_CAPABILITIES = ['geocode', 'reverseGeocode', 'current', 'history', 'forecast'];
+
+export class AirQualityProvider {
+  /**
+   * @param {Object} options
+   * @param {Function} options.fetchJson - (url, { ttl, headers, signal, ... }) → parsed JSON; providers never call fetch themselves
+   * @param {string} [options.apiKey] - Key or token for sources that need one
+   */
+  constructor(options = {}) {
+    if (typeof options.fetchJson !== 'function') {
+      throw new Error(`${this.constructor.name} needs a fetchJson function`);
+    }
+
+    this.fetchJson = options.fetchJson;
+    this.apiKey = options.apiKey;
+
+    // Set by each adapter
+    this.id = 'base';
+    this.name = 'Air quality provider';
+    this.capabilities = [];
+    this.requiresKey = false;
+
+    // [{ host?, path: RegExp, file }] - which fixture file answers a URL; `$1` in file is the first capture.
+    // Routes without a host match the path on any base URL, such as a proxy's
+    this.fixtureRoutes = [];
+  }
+
+  supports(capability) {
+    return this.capabilities.includes(capability);
+  }
+
+  isConfigured() {
+    return !this.requiresKey || Boolean(this.apiKey);
+  }
+
+  // Every method takes trailing request options ({ signal } and the like) and hands them on to fetchJson
+
+  /**
+   * Places matching a search query, best match first.
+   * @returns {Promise<Array<{name: string, country: string, state?: string, lat: number, lon: number}>>}
+   */
+  async geocode(query, options = {}) {
+    throw this.unsupported('geocode');
+  }
+
+  /**
+   * Places at a point, nearest first.
+   * @returns {Promise<Array<{name: string, country: string, state?: string, lat: number, lon: number}>>}
+   */
+  async reverseGeocode(lat, lon, options = {}) {
+    throw this.unsupported('reverseGeocode');
+  }
+
+  /** Latest reading near a point */
+  async current(lat, lon, options = {}) {
+    throw this.unsupported('current');
+  }
+
+  /** Hourly readings between start and end (ms), oldest first; hours without data are left out */
+  async history(lat, lon, start, end, options = {}) {
+    throw this.unsupported('history');
+  }
+
+  /** Hourly forecast readings from the current hour on */
+  async forecast(lat, lon, options = {}) {
+    throw this.unsupported('forecast');
+  }
+
+  unsupported(capability) {
+    return new Error(`${this.name} does not provide ${capability}`);
+  }
+
+  // A reading in the shared shape, tagged with where it came from
+  createReading(values, timestamp) {
+    const reading = {};
+    READING_POLLUTANTS.forEach(pollutant => {
+      const value = values[pollutant];
+      reading[pollutant] = Number.isFinite(value) ? value : null;
+    });
+
+    return {
+      ...reading,
+      timestamp,
+      aqi: values.aqi ?? null,
+      source: this.id
+    };
+  }
+
+  hasMeasurements(reading) {
+    return READING_POLLUTANTS.some(pollutant => reading[pollutant] !== null);
+  }
+
+  // Fixture file (relative to the fixtures directory) that stands in for a URL, or null
+  fixtureFor(url) {
+    const { host, pathname } = new URL(url);
+
+    for (const route of this.fixtureRoutes) {
+      if (route.host && route.host !== host) continue;
+      const match = pathname.match(route.path);
+      if (match) {
+        return route.file.replace('$1', match[1]);
+      }
+    }
+
+    return null;
+  }
+
+  // Adjust a fixture response before it is handed over; recorded responses are kept as they are
+  rebaseFixture(data, url) {
+    return data;
+  }
+}
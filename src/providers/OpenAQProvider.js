@@ -0,0 +1,125 @@
+// src/providers/OpenAQProvider.js - OpenAQ v3 Measurements from the Nearest Station
+import { AirQualityProvider } from './AirQualityProvider.js';
+import { NotFoundError } from '../modules/DataError.js';
+import { UnitConverter } from '../modules/UnitConverter.js';
+
+const HOUR = 60 * 60 * 1000;
+const API_HOST = 'api.openaq.org';
+
+// Furthest a station may be from the requested point, in metres (the API allows up to 25 km)
+const SEARCH_RADIUS = 25000;
+
+// OpenAQ parameter names that have a place in a reading
+const PARAMETERS = {
+  pm25: 'pm25',
+  pm10: 'pm10',
+  no2: 'no2',
+  so2: 'so2',
+  o3: 'o3',
+  co: 'co',
+  nh3: 'nh3',
+  no: 'no'
+};
+
+export class OpenAQProvider extends AirQualityProvider {
+  /**
+   * @param {Object} options - See AirQualityProvider
+   * @param {UnitConverter} [options.units] - Converts gases OpenAQ reports in ppm/ppb; reference conditions by default
+   */
+  constructor(options = {}) {
+    super(options);
+    this.id = 'openaq';
+    this.name = 'OpenAQ';
+    this.capabilities = ['current', 'history'];
+    this.requiresKey = true;
+    this.baseUrl = `https://${API_HOST}/v3`;
+    this.units = options.units || new UnitConverter();
+
+    this.fixtureRoutes = [
+      { host: API_HOST, path: /^\/v3\/locations$/, file: 'openaq/locations.json' },
+      { host: API_HOST, path: /^\/v3\/locations\/\d+\/latest$/, file: 'openaq/latest.json' },
+      { host: API_HOST, path: /^\/v3\/sensors\/(\d+)\/hours$/, file: 'openaq/sensor_$1_hours.json' }
+    ];
+  }
+
+  request(path, ttl, options) {
+    return this.fetchJson(`${this.baseUrl}${path}`, { ...options, ttl, headers: { 'X-API-Key': this.apiKey } });
+  }
+
+  // Closest station with at least one sensor we can use
+  async findLocation(lat, lon, options) {
+    const data = await this.request(
+      `/locations?coordinates=${lat},${lon}&radius=${SEARCH_RADIUS}&limit=10`,
+      86400000, // 24 hours cache; stations rarely move
+      options
+    );
+
+    const location = (data?.results || []).find(result =>
+      (result.sensors || []).some(sensor => PARAMETERS[sensor.parameter?.name])
+    );
+    if (!location) {
+      throw new NotFoundError('No OpenAQ station nearby', { source: this.id });
+    }
+    return location;
+  }
+
+  async current(lat, lon, options = {}) {
+    const location = await this.findLocation(lat, lon, options);
+    const data = await this.request(`/locations/${location.id}/latest`, 600000, options); // 10 minutes cache
+
+    const sensors = new Map((location.sensors || []).map(sensor => [sensor.id, sensor.parameter]));
+    const values = {};
+    let timestamp = null;
+
+    (data?.results || []).forEach(result => {
+      const parameter = sensors.get(result.sensorsId);
+      const pollutant = PARAMETERS[parameter?.name];
+      if (!pollutant || !Number.isFinite(result.value)) return;
+
+      values[pollutant] = this.toMicrograms(pollutant, result.value, parameter.units);
+      timestamp = Math.max(timestamp ?? 0, Date.parse(result.datetime.utc));
+    });
+
+    const reading = this.createReading(values, timestamp);
+    if (timestamp === null || !this.hasMeasurements(reading)) {
+      throw new NotFoundError('No AQI data available', { source: this.id });
+    }
+    return reading;
+  }
+
+  // One request per sensor; the hourly series are merged on the hour they start
+  async history(lat, lon, start, end, options = {}) {
+    const location = await this.findLocation(lat, lon, options);
+    const from = new Date(Math.floor(start / HOUR) * HOUR).toISOString();
+    const to = new Date(Math.floor(end / HOUR) * HOUR).toISOString();
+
+    const sensors = (location.sensors || []).filter(sensor => PARAMETERS[sensor.parameter?.name]);
+    const responses = await Promise.all(sensors.map(sensor =>
+      this.request(`/sensors/${sensor.id}/hours?datetime_from=${from}&datetime_to=${to}&limit=1000`, 600000, options) // 10 minutes cache
+    ));
+
+    const hours = new Map();
+    responses.forEach((data, index) => {
+      const parameter = sensors[index].parameter;
+      const pollutant = PARAMETERS[parameter.name];
+
+      (data?.results || []).forEach(result => {
+        if (!Number.isFinite(result.value)) return;
+        const timestamp = Date.parse(result.period.datetimeFrom.utc);
+        const values = hours.get(timestamp) || {};
+        values[pollutant] = this.toMicrograms(pollutant, result.value, result.parameter?.units || parameter.units);
+        hours.set(timestamp, values);
+      });
+    });
+
+    return [...hours.entries()]
+      .map(([timestamp, values]) => this.createReading(values, timestamp))
+      .filter(reading => reading.timestamp >= start && reading.timestamp <= end)
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  // Gases are often reported in ppm; readings are always μg/m³
+  toMicrograms(pollutant, value, unit) {
+    return this.units.toMicrograms(pollutant, value, unit || 'μg/m³');
+  }
+}
@@ -0,0 +1,132 @@
+// src/providers/OpenMeteoProvider.js - Open-Meteo Air Quality and Geocoding APIs (no key needed)
+import { AirQualityProvider } from './AirQualityProvider.js';
+import { NotFoundError, ParseError } from '../modules/DataError.js';
+
+const HOUR = 60 * 60 * 1000;
+const AIR_QUALITY_HOST = 'air-quality-api.open-meteo.com';
+const GEOCODING_HOST = 'geocoding-api.open-meteo.com';
+
+// Open-Meteo variable → reading key; all are modelled values in μg/m³ (ammonia only over Europe)
+const VARIABLES = {
+  pm2_5: 'pm25',
+  pm10: 'pm10',
+  nitrogen_dioxide: 'no2',
+  sulphur_dioxide: 'so2',
+  ozone: 'o3',
+  carbon_monoxide: 'co',
+  ammonia: 'nh3'
+};
+
+const FORECAST_DAYS = 4;
+
+export class OpenMeteoProvider extends AirQualityProvider {
+  constructor(options = {}) {
+    super(options);
+    this.id = 'open-meteo';
+    this.name = 'Open-Meteo';
+    this.capabilities = ['geocode', 'current', 'history', 'forecast'];
+
+    this.fixtureRoutes = [
+      { host: AIR_QUALITY_HOST, path: /^\/v1\/air-quality$/, file: 'open-meteo/air_quality.json' },
+      { host: GEOCODING_HOST, path: /^\/v1\/search$/, file: 'open-meteo/geocoding.json' }
+    ];
+  }
+
+  airQualityUrl(lat, lon, params) {
+    const variables = Object.keys(VARIABLES).join(',');
+    return `https://${AIR_QUALITY_HOST}/v1/air-quality?latitude=${lat}&longitude=${lon}&${params.replace('{variables}', variables)}&timeformat=unixtime&timezone=GMT`;
+  }
+
+  async geocode(query, options = {}) {
+    const data = await this.fetchJson(
+      `https://${GEOCODING_HOST}/v1/search?name=${encodeURIComponent(query)}&count=5&language=en&format=json`,
+      { ...options, ttl: 3600000 } // 1 hour cache
+    );
+
+    // No `results` at all means nothing matched
+    return (data?.results || []).map(place => ({
+      name: place.name,
+      country: place.country_code,
+      state: place.admin1,
+      lat: place.latitude,
+      lon: place.longitude
+    }));
+  }
+
+  async current(lat, lon, options = {}) {
+    const data = await this.fetchJson(this.airQualityUrl(lat, lon, 'current={variables}'), { ...options, ttl: 600000 }); // 10 minutes cache
+
+    if (!data || !data.current) {
+      throw new NotFoundError('No AQI data available', { source: this.id });
+    }
+
+    const reading = this.parseValues(data.current, data.current.time * 1000);
+    if (!this.hasMeasurements(reading)) {
+      throw new NotFoundError('No AQI data available', { source: this.id });
+    }
+    return reading;
+  }
+
+  async history(lat, lon, start, end, options = {}) {
+    const params = `hourly={variables}&start_date=${this.formatDate(start)}&end_date=${this.formatDate(end)}`;
+    const data = await this.fetchJson(this.airQualityUrl(lat, lon, params), { ...options, ttl: 600000 }); // 10 minutes cache
+
+    return this.parseHourly(data)
+      .filter(reading => reading.timestamp >= start && reading.timestamp <= end);
+  }
+
+  async forecast(lat, lon, options = {}) {
+    const params = `hourly={variables}&forecast_days=${FORECAST_DAYS}`;
+    const data = await this.fetchJson(this.airQualityUrl(lat, lon, params), { ...options, ttl: 3600000 }); // 1 hour cache
+
+    // The response starts at midnight; keep the current hour onwards
+    const currentHour = Math.floor(Date.now() / HOUR) * HOUR;
+    return this.parseHourly(data).filter(reading => reading.timestamp >= currentHour);
+  }
+
+  // Columns of hourly values → readings, leaving out hours with no values at all
+  parseHourly(data) {
+    const hourly = data?.hourly;
+    if (!hourly || !Array.isArray(hourly.time)) {
+      throw new ParseError('No hourly air quality data available', { source: this.id });
+    }
+
+    return hourly.time
+      .map((time, index) => {
+        const values = {};
+        Object.keys(VARIABLES).forEach(variable => {
+          values[variable] = hourly[variable]?.[index];
+        });
+        return this.parseValues(values, time * 1000);
+      })
+      .filter(reading => this.hasMeasurements(reading))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  parseValues(values, timestamp) {
+    const mapped = {};
+    for (const [variable, pollutant] of Object.entries(VARIABLES)) {
+      mapped[pollutant] = values[variable];
+    }
+    return this.createReading(mapped, timestamp);
+  }
+
+  // YYYY-MM-DD in UTC, as the API expects with timezone=GMT
+  formatDate(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+  }
+
+  // The fixture was recorded at a fixed time; move it so its `current` hour is now
+  rebaseFixture(data, url) {
+    if (!data?.current || !Array.isArray(data.hourly?.time)) return data;
+
+    const hourSeconds = HOUR / 1000;
+    const shift = Math.floor(Date.now() / HOUR) * hourSeconds - data.current.time;
+
+    return {
+      ...data,
+      current: { ...data.current, time: data.current.time + shift },
+      hourly: { ...data.hourly, time: data.hourly.time.map(time => time + shift) }
+    };
+  }
+}
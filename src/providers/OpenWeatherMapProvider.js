@@ -0,0 +1,164 @@
+// src/providers/OpenWeatherMapProvider.js - OpenWeatherMap Air Pollution API
+import { AirQualityProvider } from './AirQualityProvider.js';
+import { NotFoundError } from '../modules/DataError.js';
+
+const HOUR = 60 * 60 * 1000;
+const API_HOST = 'api.openweathermap.org';
+const DEFAULT_BASE_URL = `https://${API_HOST}`;
+
+export class OpenWeatherMapProvider extends AirQualityProvider {
+  /**
+   * @param {Object} options - See AirQualityProvider
+   * @param {string} [options.baseUrl] - API root, e.g. a local stand-in like server/mock-server.mjs
+   */
+  constructor(options = {}) {
+    super(options);
+    this.id = 'openweathermap';
+    this.name = 'OpenWeatherMap';
+    this.capabilities = ['geocode', 'reverseGeocode', 'current', 'history', 'forecast'];
+    this.requiresKey = true;
+    this.baseUrl = options.baseUrl || DEFAULT_BASE_URL;
+
+    // Weather isn't part of the provider interface, but DataManager and the offline mode
+    // use the same file. Matched by path, as the base URL may be the proxy
+    this.fixtureRoutes = [
+      { path: /\/data\/2\.5\/air_pollution\/history$/, file: 'openweathermap/air_pollution_history.json' },
+      { path: /\/data\/2\.5\/air_pollution\/forecast$/, file: 'openweathermap/air_pollution_forecast.json' },
+      { path: /\/data\/2\.5\/air_pollution$/, file: 'openweathermap/air_pollution.json' },
+      { path: /\/data\/2\.5\/weather$/, file: 'openweathermap/weather.json' },
+      { path: /\/geo\/1\.0\/direct$/, file: 'openweathermap/geo_direct.json' },
+      { path: /\/geo\/1\.0\/reverse$/, file: 'openweathermap/geo_reverse.json' }
+    ];
+  }
+
+  // The proxy and the mock server answer without a key
+  isConfigured() {
+    return Boolean(this.apiKey) || this.baseUrl !== DEFAULT_BASE_URL;
+  }
+
+  apiUrl(path, params) {
+    const query = new URLSearchParams(params);
+    if (this.apiKey) {
+      query.set('appid', this.apiKey);
+    }
+    return `${this.baseUrl}${path}?${query}`;
+  }
+
+  async geocode(query, options = {}) {
+    const data = await this.fetchJson(
+      this.apiUrl('/geo/1.0/direct', { q: query, limit: 5 }),
+      { ...options, ttl: 3600000 } // 1 hour cache
+    );
+
+    return (data || []).map(place => ({
+      name: place.name,
+      country: place.country,
+      state: place.state,
+      lat: place.lat,
+      lon: place.lon
+    }));
+  }
+
+  async reverseGeocode(lat, lon, options = {}) {
+    const data = await this.fetchJson(
+      this.apiUrl('/geo/1.0/reverse', { lat, lon, limit: 1 }),
+      { ...options, ttl: 3600000 } // 1 hour cache
+    );
+
+    return (data || []).map(place => ({
+      name: place.name,
+      country: place.country,
+      state: place.state,
+      lat: place.lat,
+      lon: place.lon
+    }));
+  }
+
+  async current(lat, lon, options = {}) {
+    const data = await this.fetchJson(
+      this.apiUrl('/data/2.5/air_pollution', { lat, lon }),
+      { ...options, ttl: 600000 } // 10 minutes cache
+    );
+
+    if (!data || !data.list || data.list.length === 0) {
+      throw new NotFoundError('No AQI data available', { source: this.id });
+    }
+
+    return this.parseAirPollutionEntry(data.list[0]);
+  }
+
+  async history(lat, lon, start, end, options = {}) {
+    // Whole hours keep the URL, and with it the cache entry, the same for the rest of the hour
+    const startSeconds = (Math.floor(start / HOUR) * HOUR) / 1000;
+    const endSeconds = (Math.floor(end / HOUR) * HOUR) / 1000;
+
+    const data = await this.fetchJson(
+      this.apiUrl('/data/2.5/air_pollution/history', { lat, lon, start: startSeconds, end: endSeconds }),
+      { ...options, ttl: 600000 } // 10 minutes cache
+    );
+
+    if (!data || !Array.isArray(data.list)) {
+      throw new NotFoundError('No historical AQI data available', { source: this.id });
+    }
+
+    return data.list
+      .map(entry => this.parseAirPollutionEntry(entry))
+      .filter(reading => reading.timestamp >= start && reading.timestamp <= end)
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  // Hourly forecast for the next 4 days
+  async forecast(lat, lon, options = {}) {
+    const data = await this.fetchJson(
+      this.apiUrl('/data/2.5/air_pollution/forecast', { lat, lon }),
+      { ...options, ttl: 3600000 } // 1 hour cache
+    );
+
+    if (!data || !Array.isArray(data.list)) {
+      throw new NotFoundError('No AQI forecast available', { source: this.id });
+    }
+
+    return data.list
+      .map(entry => this.parseAirPollutionEntry(entry))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  // One entry of an air_pollution list; components are already in μg/m³.
+  // `aqi` is OpenWeatherMap's own 1-5 index.
+  parseAirPollutionEntry(entry) {
+    const components = entry.components || {};
+    return this.createReading({
+      pm25: components.pm2_5,
+      pm10: components.pm10,
+      no2: components.no2,
+      so2: components.so2,
+      o3: components.o3,
+      co: components.co,
+      nh3: components.nh3,
+      no: components.no,
+      aqi: entry.main?.aqi
+    }, entry.dt * 1000); // Convert to milliseconds
+  }
+
+  // Fixture readings have fixed timestamps. Shift them so the last one falls on the requested
+  // end (or the current hour) and drop those before the requested start; gaps are kept as recorded.
+  // A forecast is shifted the other way: its first hour becomes the current one.
+  rebaseFixture(data, url) {
+    if (!data || !Array.isArray(data.list) || data.list.length === 0) return data;
+
+    const { pathname, searchParams: params } = new URL(url);
+    const isForecast = pathname.endsWith('/forecast');
+    const hourSeconds = HOUR / 1000;
+    const end = params.has('end') ? Number(params.get('end')) : Date.now() / 1000;
+    const anchor = isForecast ? data.list[0].dt : data.list[data.list.length - 1].dt;
+    const shift = Math.floor(end / hourSeconds) * hourSeconds - anchor;
+    const start = params.has('start') ? Number(params.get('start')) : -Infinity;
+
+    return {
+      ...data,
+      list: data.list
+        .map(entry => ({ ...entry, dt: entry.dt + shift }))
+        .filter(entry => entry.dt >= start)
+    };
+  }
+}
@@ -0,0 +1,51 @@
+// src/providers/ProviderRegistry.js - Available Air Quality Providers and Fixture Loading
+import { OpenWeatherMapProvider } from './OpenWeatherMapProvider.js';
+import { OpenMeteoProvider } from './OpenMeteoProvider.js';
+import { OpenAQProvider } from './OpenAQProvider.js';
+import { WAQIProvider } from './WAQIProvider.js';
+
+export const PROVIDERS = {
+  openweathermap: OpenWeatherMapProvider,
+  'open-meteo': OpenMeteoProvider,
+  openaq: OpenAQProvider,
+  waqi: WAQIProvider
+};
+
+// Tried in this order; providers that need a key are skipped until one is configured
+export const DEFAULT_PROVIDER_PRIORITY = ['openweathermap', 'open-meteo', 'openaq', 'waqi'];
+
+/**
+ * Instantiate providers in priority order.
+ * @param {Array<string>} ids - Provider ids, highest priority first
+ * @param {Object} options
+ * @param {Function} options.fetchJson - Shared by every provider
+ * @param {Object} [options.keys] - API keys by provider id, e.g. { openaq: '...', waqi: '...' }
+ * @param {Object} [options.baseUrls] - API roots by provider id, for providers that can be pointed at a stand-in
+ */
+export function createProviders(ids = DEFAULT_PROVIDER_PRIORITY, { fetchJson, keys = {}, baseUrls = {} } = {}) {
+  return ids.map(id => {
+    const Provider = PROVIDERS[id];
+    if (!Provider) {
+      throw new Error(`Unknown data provider: ${id}`);
+    }
+    return new Provider({ fetchJson, apiKey: keys[id], baseUrl: baseUrls[id] });
+  });
+}
+
+/**
+ * A fetchJson that answers provider URLs from fixture files instead of the network.
+ * `load(file)` reads a path relative to the fixtures directory and resolves to parsed JSON,
+ * e.g. with fetch() in the browser or fs.readFile in Node.
+ */
+export function createFixtureFetch(providers, load) {
+  return async (url) => {
+    for (const provider of providers) {
+      const file = provider.fixtureFor(url);
+      if (file) {
+        console.log(`🧪 Using fixture ${file} for ${new URL(url).pathname}`);
+        return provider.rebaseFixture(await load(file), url);
+      }
+    }
+    throw new Error(`No fixture for ${url}`);
+  };
+}
@@ -0,0 +1,71 @@
+// src/providers/WAQIProvider.js - World Air Quality Index Project (aqicn.org) Station Feed
+import { AirQualityProvider } from './AirQualityProvider.js';
+import { AuthError, NotFoundError, ProviderDownError, RateLimitError } from '../modules/DataError.js';
+import { AQICalculator } from '../modules/AQICalculator.js';
+
+const API_HOST = 'api.waqi.info';
+
+// WAQI publishes per-pollutant US AQI values (2012 scale) rather than concentrations
+const INDEX_STANDARD = 'epa-2012';
+const PARAMETERS = ['pm25', 'pm10', 'no2', 'so2', 'o3', 'co'];
+
+export class WAQIProvider extends AirQualityProvider {
+  constructor(options = {}) {
+    super(options);
+    this.id = 'waqi';
+    this.name = 'World Air Quality Index';
+    this.capabilities = ['current'];
+    this.requiresKey = true;
+    this.calculator = new AQICalculator({ standard: INDEX_STANDARD });
+
+    this.fixtureRoutes = [
+      { host: API_HOST, path: /^\/feed\/geo:[^/]+\/?$/, file: 'waqi/feed.json' }
+    ];
+  }
+
+  async current(lat, lon, options = {}) {
+    const data = await this.fetchJson(
+      `https://${API_HOST}/feed/geo:${lat};${lon}/?token=${this.apiKey}`,
+      { ...options, ttl: 600000 } // 10 minutes cache
+    );
+
+    // Errors come back as 200 with status "error" and the message in data
+    if (data?.status !== 'ok' || !data.data?.iaqi) {
+      throw this.feedError(data);
+    }
+
+    const { iaqi, time } = data.data;
+    const values = {};
+    PARAMETERS.forEach(pollutant => {
+      const index = iaqi[pollutant]?.v;
+      if (Number.isFinite(index)) {
+        values[pollutant] = this.indexToMicrograms(pollutant, index);
+      }
+    });
+
+    const reading = this.createReading(values, Date.parse(time.iso));
+    if (!this.hasMeasurements(reading)) {
+      throw new NotFoundError('No AQI data available', { source: this.id });
+    }
+    return reading;
+  }
+
+  // Typed error for a feed answered with status "error", e.g. "Invalid key" or "Unknown station"
+  feedError(data) {
+    const message = typeof data?.data === 'string' ? data.data : 'No AQI data available';
+    const options = { source: this.id };
+
+    if (/key|token/i.test(message)) return new AuthError(`WAQI: ${message}`, options);
+    if (/unknown|no .*data|not found/i.test(message)) return new NotFoundError(`WAQI: ${message}`, options);
+    if (/over ?quota|limit/i.test(message)) return new RateLimitError(`WAQI: ${message}`, options);
+    return new ProviderDownError(`WAQI: ${message}`, options);
+  }
+
+  // Back from a sub-index to μg/m³. This is approximate: WAQI rounds the index, and
+  // the conversion assumes reference conditions for gases.
+  indexToMicrograms(pollutant, index) {
+    const concentration = this.calculator.calculateConcentrationFromIndex(pollutant, index);
+    const unit = this.calculator.getStandard().units?.[pollutant] || 'μg/m³';
+    return this.calculator.units.toMicrograms(pollutant, concentration, unit);
+  }
+}
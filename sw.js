@@ -1,7 +1,7 @@
 // Service Worker for AQI Calculator PWA
 // Implements advanced caching strategies and offline functionality
 
-const CACHE_VERSION = 'aqi-v2.1';
+const CACHE_VERSION = 'aqi-v2.3';
 const STATIC_CACHE = `${CACHE_VERSION}-static`;
 const DYNAMIC_CACHE = `${CACHE_VERSION}-dynamic`;
 const API_CACHE = `${CACHE_VERSION}-api`;
@@ -11,15 +11,35 @@ const IMAGE_CACHE = `${CACHE_VERSION}-images`;
 const STATIC_FILES = [
   '/',
   '/index.html',
+  // The whole module graph of src/main.js and the worker; one missing import fails an offline load
   '/src/main.js',
+  '/src/bundle.js',
   '/src/App.js',
   '/src/core/StateManager.js',
   '/src/core/EventBus.js',
   '/src/core/Component.js',
   '/src/modules/DataManager.js',
+  '/src/modules/DataError.js',
+  '/src/modules/RetryPolicy.js',
+  '/src/modules/RateLimiter.js',
+  '/src/modules/CacheStore.js',
+  '/src/modules/Gazetteer.js',
   '/src/modules/AQICalculator.js',
+  '/src/modules/AQIStandards.js',
+  '/src/modules/UnitConverter.js',
+  '/src/modules/ExposureModel.js',
+  '/src/modules/ExposureLedger.js',
+  '/src/modules/CalculatorClient.js',
+  '/src/modules/CalculatorTasks.js',
+  '/src/modules/SeasonalForecast.js',
   '/src/modules/SmartSearch.js',
   '/src/modules/CanvasRenderer.js',
+  '/src/providers/ProviderRegistry.js',
+  '/src/providers/AirQualityProvider.js',
+  '/src/providers/OpenWeatherMapProvider.js',
+  '/src/providers/OpenMeteoProvider.js',
+  '/src/providers/OpenAQProvider.js',
+  '/src/providers/WAQIProvider.js',
   '/src/workers/aqi-calculator-worker.js',
   '/src/components/SearchComponent.js',
   '/src/components/ResultsComponent.js',
@@ -113,8 +133,8 @@ self.addEventListener('fetch', (event) => {
   // Handle different request types
   if (request.method !== 'GET') return;
 
-  // API requests
-  if (url.hostname === 'api.openweathermap.org') {
+  // API requests, whether direct or through the proxy / mock server
+  if (url.hostname === 'api.openweathermap.org' || /^\/(data\/2\.5|geo\/1\.0)\//.test(url.pathname)) {
     event.respondWith(handleApiRequest(request));
     return;
   }
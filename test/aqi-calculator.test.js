@@ -0,0 +1,35 @@
+// test/aqi-calculator.test.js - Index Conversions Across Standards
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AQICalculator } from '../src/modules/AQICalculator.js';
+
+test('an index between two EPA bands reads as the bottom of the upper band', () => {
+  const calculator = new AQICalculator({ standard: 'epa-2024' });
+
+  assert.equal(calculator.calculatePM25FromAQI(50.5), calculator.calculatePM25FromAQI(51));
+  assert.notEqual(calculator.calculateCigarettes(50.5), '0.00');
+});
+
+test('a missing AQI has no category and no advice', () => {
+  const calculator = new AQICalculator();
+
+  assert.equal(calculator.getAQICategory(null).key, 'unknown');
+  assert.equal(calculator.getRiskLevel(undefined), null);
+  assert.deepEqual(calculator.generateRecommendations(null, null), []);
+});
+
+test('the weather adjustment never leaves a banded index\'s band', () => {
+  const calculator = new AQICalculator({ standard: 'uk-daqi' });
+  const pm25 = 66; // DAQI 9
+
+  assert.equal(calculator.calculateAQIFromPM25(pm25), 9);
+  assert.equal(calculator.calculateAdvancedAQI(pm25, 35, 90), 9);
+});
+
+test('the weather adjustment stays within the standard\'s scale', () => {
+  const caqi = new AQICalculator({ standard: 'eu-caqi' });
+  assert.ok(caqi.calculateAdvancedAQI(100, 40, 95) <= 101);
+
+  const epa = new AQICalculator({ standard: 'epa-2024' });
+  assert.equal(epa.calculateAdvancedAQI(300, 40, 95), 500);
+});
@@ -0,0 +1,49 @@
+// test/nowcast.test.js - EPA NowCast Window
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AQICalculator } from '../src/modules/AQICalculator.js';
+
+const HOUR = 60 * 60 * 1000;
+// Readings are stamped at the start of their hour, as OpenWeatherMap's `dt` is
+const LATEST = Date.UTC(2024, 0, 15, 12);
+
+const calculator = new AQICalculator();
+const reading = (hoursAgo, pm25) => ({ timestamp: LATEST - hoursAgo * HOUR, pm25 });
+
+test('the newest reading counts as the most recent hour', () => {
+  const nowCast = calculator.calculateNowCast([reading(0, 10)]);
+  assert.equal(nowCast, null, 'one of the last three hours is not enough');
+
+  const hourly = calculator.bucketHourly([reading(0, 10), reading(1, 20)], 'pm25', Math.floor(LATEST / HOUR));
+  assert.deepEqual(hourly.slice(0, 3), [10, 20, null]);
+});
+
+test('two of the three most recent hours are enough when the middle one is missing', () => {
+  const nowCast = calculator.calculateNowCast([reading(0, 10), reading(2, 10)]);
+
+  assert.ok(nowCast);
+  assert.equal(nowCast.hoursUsed, 2);
+  assert.equal(nowCast.concentration, 10);
+});
+
+test('a full window uses all twelve hours', () => {
+  const series = Array.from({ length: 12 }, (_, hoursAgo) => reading(hoursAgo, 20));
+  const nowCast = calculator.calculateNowCast(series);
+
+  assert.equal(nowCast.hoursUsed, 12);
+  assert.equal(nowCast.weightFactor, 1);
+  assert.equal(nowCast.concentration, 20);
+});
+
+test('readings older than twelve hours are left out', () => {
+  const series = Array.from({ length: 13 }, (_, hoursAgo) => reading(hoursAgo, hoursAgo === 12 ? 500 : 20));
+
+  assert.equal(calculator.calculateNowCast(series).concentration, 20);
+});
+
+test('endTime marks the end of the newest hour', () => {
+  const series = Array.from({ length: 12 }, (_, hoursAgo) => reading(hoursAgo, 20));
+
+  assert.equal(calculator.calculateNowCast(series, 'pm25', { endTime: LATEST + HOUR }).hoursUsed, 12);
+  assert.equal(calculator.calculateNowCast(series, 'pm25', { endTime: LATEST + 2 * HOUR }).hoursUsed, 11);
+});